@@ -0,0 +1,255 @@
+// Comparison of two movement maps, e.g. two datasets, years or population groups. Requires movement.js.
+
+let movementComparisonCount = 0; // Numbers each comparison so the ids in its markup are unique on the page
+
+/**
+ * Returns the mode and measure controls and the two map panes of one comparison.
+ * @param {string} id - The comparison's unique id prefix.
+ * @returns {string} The HTML markup.
+ */
+function buildMovementComparisonMarkup(id) {
+    return `
+        <div class="comparison-toolbar">
+            <fieldset class="display-mode">
+                <legend class="visually-hidden" data-i18n="comparison.mode">Comparison view</legend>
+                <label><input type="radio" name="${id}-mode" value="side-by-side" checked> <span data-i18n="comparison.sideBySide">Side by side</span></label>
+                <label><input type="radio" name="${id}-mode" value="swipe"> <span data-i18n="comparison.swipe">Swipe</span></label>
+                <label><input type="radio" name="${id}-mode" value="difference"> <span data-i18n="comparison.difference">Difference</span></label>
+            </fieldset>
+            <label for="${id}-measure" data-i18n="comparison.measure">Change as</label>
+            <select id="${id}-measure" data-ref="comparison-measure">
+                <option value="absolute" data-i18n="comparison.absolute">Number of movements</option>
+                <option value="percent" data-i18n="comparison.percent">Percentage</option>
+            </select>
+        </div>
+        <div data-ref="comparison-maps" class="comparison-maps">
+            <div data-ref="comparison-before" class="comparison-before"></div>
+            <div data-ref="comparison-after" class="comparison-after"></div>
+            <div data-ref="comparison-divider" class="comparison-divider" role="slider" tabindex="0"
+                aria-valuemin="0" aria-valuemax="100" aria-valuenow="50"
+                aria-label="Swipe between the two maps" data-i18n-aria-label="comparison.swipeHandle"></div>
+        </div>
+    `;
+}
+
+/**
+ * Shows two movement maps with synchronised cameras, selections, filters and regional groupings, either
+ * side by side, stacked with a swipe divider, or as one map coloured by its change from the other.
+ * The 'before' map is the baseline of the difference view.
+ * @param {HTMLElement|string} container - The element to render into, or its id.
+ * @param {Object} [options] - { before, after } options for each createMovementMap, plus the initial
+ * mode ('side-by-side', 'swipe' or 'difference'), measure ('absolute' or 'percent') and the
+ * baselineLabel naming the before map in the difference view.
+ * @returns {Object} The comparison's API: before, after, setMode, setMeasure and destroy.
+ */
+function createMovementComparison(container, options = {}) {
+    const root = typeof container === 'string' ? document.getElementById(container) : container;
+    if (!root) throw new Error(`Movement comparison container not found: ${container}`);
+
+    root.classList.add('movement-comparison');
+    root.innerHTML = buildMovementComparisonMarkup(`movement-comparison-${++movementComparisonCount}`);
+
+    // Finds one of the comparison's own elements by its data-ref name
+    function getElement(name) {
+        return root.querySelector(`[data-ref="${name}"]`);
+    }
+
+    // The before map only follows the after map, so it neither owns the URL nor the page's shortcuts
+    const before = createMovementMap(getElement('comparison-before'),
+        Object.assign({ urlState: false, keyboardShortcuts: false, spinOnLoad: false }, options.before));
+    const after = createMovementMap(getElement('comparison-after'), Object.assign({ urlState: false }, options.after));
+    const maps = [before, after];
+
+    const comparisonState = {
+        mode: null, // 'side-by-side', 'swipe' or 'difference'
+        measure: options.measure || 'absolute',
+        baselineLabel: options.baselineLabel || '',
+        leader: after, // The map the user last interacted with; the other one follows its camera
+        isSyncing: false, // Set while one map is being updated to match the other, so it doesn't echo back
+        swipePosition: 50 // Percentage of the width showing the before map in the swipe view
+    };
+    const reportedGroupings = new Map(maps.map(movementMap => [movementMap, ''])); // Grouping id each map last reported
+    const reportedFilters = new Map(); // Filters and period each map last reported, for its partner's data once loaded
+
+    // Returns the other map of the pair
+    function getPartner(movementMap) {
+        return movementMap === before ? after : before;
+    }
+
+    // Runs an update of one map without letting its events sync back to the other
+    function withoutEcho(update) {
+        if (comparisonState.isSyncing) return;
+        comparisonState.isSyncing = true;
+        try {
+            update();
+        } finally {
+            comparisonState.isSyncing = false;
+        }
+    }
+
+    // Moves the following map's camera to match the leading one
+    function syncCamera(movementMap) {
+        const partner = getPartner(movementMap);
+        if (movementMap !== comparisonState.leader || !movementMap.map || !partner.map) return;
+        withoutEcho(() => partner.map.jumpTo({
+            center: movementMap.map.getCenter(),
+            zoom: movementMap.map.getZoom(),
+            bearing: movementMap.map.getBearing(),
+            pitch: movementMap.map.getPitch()
+        }));
+    }
+
+    maps.forEach(movementMap => {
+        // Whichever map the user touches leads until the other one is touched
+        const lead = () => {
+            comparisonState.leader = movementMap;
+        };
+        movementMap.container.addEventListener('pointerdown', lead);
+        movementMap.container.addEventListener('wheel', lead, { passive: true });
+        movementMap.container.addEventListener('focusin', lead);
+
+        movementMap.on('mapready', event => {
+            event.detail.map.on('move', () => syncCamera(movementMap));
+            syncCamera(getPartner(movementMap));
+        });
+        movementMap.on('countryselected', event => withoutEcho(() => {
+            const partner = getPartner(movementMap);
+            if (event.detail.country) partner.selectCountry(event.detail.country);
+            else partner.clearSelection();
+        }));
+        // Both maps show the same filters and period, so the difference view compares like with like
+        movementMap.on('filterchanged', event => {
+            const partner = getPartner(movementMap);
+            const grouping = event.detail.grouping || '';
+            reportedGroupings.set(movementMap, grouping);
+            reportedFilters.set(movementMap, event.detail);
+            withoutEcho(() => {
+                if (reportedGroupings.get(partner) !== grouping) partner.setRegionGrouping(grouping);
+                partner.setFilters(event.detail);
+            });
+        });
+        movementMap.on('dataloaded', () => {
+            const filters = reportedFilters.get(getPartner(movementMap));
+            if (filters) withoutEcho(() => movementMap.setFilters(filters));
+        });
+        movementMap.on('localechanged', event => {
+            applyTranslations(event.detail.locale);
+            if (getPartner(movementMap).locale !== event.detail.locale) getPartner(movementMap).setLocale(event.detail.locale);
+        });
+    });
+
+    // The difference view follows the before map's data, filters and period
+    ['dataloaded', 'filterchanged'].forEach(type => before.on(type, () => {
+        if (comparisonState.mode === 'difference') updateBaseline();
+    }));
+
+    // Hands the before map's visible corridors to the after map as its baseline
+    function updateBaseline() {
+        after.setComparison(before.getCorridors(), { label: comparisonState.baselineLabel, measure: comparisonState.measure });
+    }
+
+    // Translates the comparison's own controls; each map translates its own
+    function applyTranslations(locale) {
+        const toolbar = root.querySelector('.comparison-toolbar');
+        toolbar.lang = locale;
+        toolbar.dir = isRtlLocale(locale) ? 'rtl' : 'ltr';
+        root.querySelectorAll('.comparison-toolbar [data-i18n]').forEach(element => {
+            element.textContent = translate(locale, element.dataset.i18n);
+        });
+        const divider = getElement('comparison-divider');
+        divider.setAttribute('aria-label', translate(locale, divider.dataset.i18nAriaLabel));
+    }
+
+    /**
+     * Switches between the side-by-side, swipe and difference views.
+     * @param {string} mode - 'side-by-side', 'swipe' or 'difference'.
+     */
+    function setMode(mode) {
+        if (!['side-by-side', 'swipe', 'difference'].includes(mode)) return;
+        comparisonState.mode = mode;
+        root.dataset.comparisonMode = mode;
+        root.querySelectorAll('.comparison-toolbar input[type="radio"]').forEach(radio => {
+            radio.checked = radio.value === mode;
+        });
+        getElement('comparison-measure').disabled = mode !== 'difference';
+
+        if (mode === 'difference') updateBaseline();
+        else after.setComparison(null);
+        // The panes change size with the layout
+        maps.forEach(movementMap => movementMap.map && movementMap.map.resize());
+    }
+
+    /**
+     * Sets whether the difference view shows the change in movements or in percent.
+     * @param {string} measure - 'absolute' or 'percent'.
+     */
+    function setMeasure(measure) {
+        if (!['absolute', 'percent'].includes(measure)) return;
+        comparisonState.measure = measure;
+        getElement('comparison-measure').value = measure;
+        if (comparisonState.mode === 'difference') updateBaseline();
+    }
+
+    // Moves the swipe divider to a percentage of the width
+    function setSwipePosition(percent) {
+        comparisonState.swipePosition = Math.min(100, Math.max(0, percent));
+        root.style.setProperty('--comparison-swipe', `${comparisonState.swipePosition}%`);
+        getElement('comparison-divider').setAttribute('aria-valuenow', String(Math.round(comparisonState.swipePosition)));
+    }
+
+    // Drags the swipe divider with the mouse, pen or a finger
+    function handleDividerPointerDown(event) {
+        const divider = event.currentTarget;
+        const bounds = getElement('comparison-maps').getBoundingClientRect();
+        const follow = moveEvent => setSwipePosition((moveEvent.clientX - bounds.left) / bounds.width * 100);
+        const release = () => {
+            divider.removeEventListener('pointermove', follow);
+            divider.removeEventListener('pointerup', release);
+            divider.removeEventListener('pointercancel', release);
+        };
+        if (divider.setPointerCapture) divider.setPointerCapture(event.pointerId);
+        divider.addEventListener('pointermove', follow);
+        divider.addEventListener('pointerup', release);
+        divider.addEventListener('pointercancel', release);
+        event.preventDefault();
+    }
+
+    // Moves the swipe divider with the arrow, Home and End keys
+    function handleDividerKeyDown(event) {
+        const steps = { ArrowLeft: -5, ArrowDown: -5, ArrowRight: 5, ArrowUp: 5 };
+        if (event.key in steps) setSwipePosition(comparisonState.swipePosition + steps[event.key]);
+        else if (event.key === 'Home') setSwipePosition(0);
+        else if (event.key === 'End') setSwipePosition(100);
+        else return;
+        event.preventDefault();
+    }
+
+    root.querySelectorAll('.comparison-toolbar input[type="radio"]').forEach(radio => {
+        radio.addEventListener('change', () => setMode(radio.value));
+    });
+    getElement('comparison-measure').addEventListener('change', event => setMeasure(event.target.value));
+    getElement('comparison-divider').addEventListener('pointerdown', handleDividerPointerDown);
+    getElement('comparison-divider').addEventListener('keydown', handleDividerKeyDown);
+
+    getElement('comparison-measure').value = comparisonState.measure;
+    setSwipePosition(comparisonState.swipePosition);
+    applyTranslations(after.locale);
+    setMode(options.mode || 'side-by-side');
+
+    // Removes both maps and the comparison's controls
+    function destroy() {
+        maps.forEach(movementMap => movementMap.destroy());
+        root.innerHTML = '';
+        root.classList.remove('movement-comparison');
+        root.style.removeProperty('--comparison-swipe');
+        delete root.dataset.comparisonMode;
+    }
+
+    return {
+        before,
+        after,
+        setMode,
+        setMeasure,
+        destroy
+    };
+}
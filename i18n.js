@@ -0,0 +1,705 @@
+// Message catalogues and lookup for the user interface. Loaded before movement.js.
+
+// Interface language settings shared by every movement map; each map keeps its own current locale
+const i18n = {
+    fallbackLocale: 'en', // Used for any key missing from a catalogue
+    supportedLocales: ['en', 'fr', 'es', 'ar'],
+    rtlLocales: ['ar'], // Locales laid out right to left
+    storageKey: 'movement-map-locale' // localStorage key remembering the user's choice
+};
+
+// One catalogue per locale; {name} placeholders are filled in by translate()
+const messageCatalogs = {
+    en: {
+        'language.label': 'Language',
+        'search.label': 'Country',
+        'search.placeholder': 'Search countries',
+        'search.help': 'Shortcuts: slash to search, n and p for the next and previous country, s to toggle spinning, Page Down and Page Up to step through a story, Escape to close the details panel or story.',
+        'live.updated': 'Updated {time}',
+        'live.failed': 'Update failed at {time}; showing data from {updated}',
+        'filters.flowType': 'Flow type',
+        'filters.allFlows': 'All flows',
+        'filters.minPlaceholder': 'Movement (Min)',
+        'filters.maxPlaceholder': 'Movement (Max)',
+        'filters.minLabel': 'Minimum movement',
+        'filters.maxLabel': 'Maximum movement',
+        'filters.apply': 'Apply Filters',
+        'display.legend': 'Display',
+        'display.bubbles': 'Bubbles',
+        'display.choropleth': 'Choropleth',
+        'regions.groupBy': 'Group by',
+        'regions.countries': 'Countries',
+        'regions.back': 'All regions',
+        'comparison.mode': 'Comparison view',
+        'comparison.sideBySide': 'Side by side',
+        'comparison.swipe': 'Swipe',
+        'comparison.difference': 'Difference',
+        'comparison.measure': 'Change as',
+        'comparison.absolute': 'Number of movements',
+        'comparison.percent': 'Percentage',
+        'comparison.swipeHandle': 'Swipe between the two maps',
+        'comparison.baseline': 'Baseline',
+        'comparison.current': 'Current',
+        'comparison.change': 'Change',
+        'comparison.total': 'Total',
+        'comparison.new': 'New',
+        'choropleth.metric': 'Metric',
+        'choropleth.method': 'Class breaks',
+        'choropleth.breaksPlaceholder': 'Breaks, e.g. 10, 100, 1000',
+        'metric.outbound': 'Total outbound',
+        'metric.inbound': 'Total inbound',
+        'metric.net': 'Net migration',
+        'metric.partners': 'Number of partner countries',
+        'method.quantile': 'Quantile breaks',
+        'method.equal': 'Equal interval breaks',
+        'method.manual': 'Manual breaks',
+        'legend.title': 'Legend',
+        'legend.allValues': 'All values',
+        'legend.below': 'Below {value}',
+        'legend.andAbove': '{value} and above',
+        'legend.bubbleSize': 'Movements (bubble size)',
+        'legend.departuresNetReceivers': 'Departures / net receivers',
+        'legend.arrivalsNetSenders': 'Arrivals / net senders',
+        'legend.totalDepartures': 'Total departures by origin',
+        'legend.corridor': 'Movement corridor',
+        'legend.changeFrom': 'Change from {label}',
+        'legend.decrease': 'Decrease',
+        'legend.unchanged': 'No change',
+        'legend.increase': 'Increase',
+        'export.title': 'Export',
+        'export.mapImage': 'Map image',
+        'export.corridors': 'Corridors',
+        'export.countryTotals': 'Country totals',
+        'corridorTable.summary': 'Corridor table ({count})',
+        'corridorTable.caption': 'Movement corridors shown on the map. Column headers sort the table.',
+        'corridorTable.origin': 'Origin',
+        'corridorTable.destination': 'Destination',
+        'corridorTable.flow': 'Flow',
+        'corridorTable.movement': 'Movement',
+        'corridorTable.showCorridor': '{from} to {to}, movement {count}, show corridor',
+        'dataQuality.title': 'Data quality',
+        'dataQuality.line': 'Line',
+        'dataQuality.issue': 'Issue',
+        'dataQuality.summary': 'Rows loaded: {accepted} of {total}. Rejected: {rejected}. Warnings: {warnings}.',
+        'dataQuality.missingColumns': 'Missing columns: {columns}.',
+        'dataQuality.loadFailed': 'Could not load {source}: {message}',
+        'dataQuality.rejected': 'Rejected',
+        'dataQuality.warning': 'Warning',
+        'map.label': 'Animated map of movements between countries. The corridor table lists the same data.',
+        'map.dropLabel': 'Drop a CSV, JSON, GeoJSON or Excel file to visualise it',
+        'timeline.label': 'Period',
+        'timeline.play': 'Play',
+        'timeline.pause': 'Pause',
+        'timeline.allPeriods': 'All periods',
+        'story.label': 'Story',
+        'story.start': 'Play story',
+        'story.previous': 'Previous',
+        'story.next': 'Next',
+        'story.play': 'Play',
+        'story.pause': 'Pause',
+        'story.close': 'Close story',
+        'story.progress': 'Step {step} of {count}',
+        'breakdown.groupLabel': 'Population group',
+        'breakdown.everyone': 'Everyone',
+        'breakdown.chartLabel': 'Bubble charts',
+        'breakdown.plainBubbles': 'Plain bubbles',
+        'breakdown.chartBy': 'Charts by {dimension}',
+        'breakdown.styleLabel': 'Chart style',
+        'breakdown.pie': 'Pie charts',
+        'breakdown.donut': 'Donut charts',
+        'breakdown.caption': 'Movements by group',
+        'breakdown.group': 'Group',
+        'breakdown.unspecified': 'Not specified',
+        'breakdown.dimension.sex': 'Sex',
+        'breakdown.dimension.age': 'Age',
+        'breakdown.dimension.population_type': 'Population type',
+        'breakdown.sex.female': 'Female',
+        'breakdown.sex.male': 'Male',
+        'breakdown.population_type.refugee': 'Refugees',
+        'breakdown.population_type.asylum_seeker': 'Asylum-seekers',
+        'breakdown.population_type.returnee': 'Returnees',
+        'breakdown.population_type.idp': 'Internally displaced people',
+        'breakdown.population_type.stateless': 'Stateless people',
+        'breakdown.population_type.other': 'Others of concern',
+        'period.quarter': 'Q{quarter} {year}',
+        'panel.label': 'Details',
+        'panel.close': 'Close details',
+        'panel.placeholderTitle': 'Info Title',
+        'panel.placeholderText': 'Details will appear here.',
+        'panel.totalMovement': 'Total Movement: {count}',
+        'panel.arrivals': 'Arrivals',
+        'panel.departures': 'Departures',
+        'panel.netBalance': 'Net balance',
+        'panel.shareOfDepartures': 'Share of departures from {country}',
+        'panel.shareOfArrivals': 'Share of arrivals in {country}',
+        'panel.flow': 'Flow',
+        'panel.topDestinations': 'Top destinations',
+        'panel.topOrigins': 'Top origins',
+        'panel.country': 'Country',
+        'panel.movement': 'Movement',
+        'panel.share': 'Share',
+        'pair.swap': 'Swap direction',
+        'pair.caption': 'Selected origins',
+        'pair.destination': 'Corridor to',
+        'pair.destinationPlaceholder': 'Pick a destination',
+        'pair.compare': 'Compare with',
+        'pair.comparePlaceholder': 'Add an origin',
+        'pair.hint': 'Shift-click a bubble to pick the destination, or Ctrl-click it to compare it.',
+        'pair.title': 'Comparing {count} origins',
+        'pair.remove': 'Remove {country} from the comparison',
+        'format.labelValue': '{label}: {value}',
+        'tooltip.movements': 'Movements: {count}',
+        'tooltip.cluster': '{count} countries',
+        'tooltip.clusterExpand': 'Click to zoom in',
+        'tooltip.shareOfDepartures': '{share} of departures from {country}',
+        'tooltip.change': 'Change from {label}: {change}',
+        'view.countRange': 'Movement {min}–{max}',
+        'announce.selected': '{country} selected. Arrivals: {inflow}. Departures: {outflow}.',
+        'announce.cleared': 'Selection cleared, showing all countries.',
+        'announce.corridor': 'Corridor {from} to {to}. Movements: {count}.',
+        'announce.corridors': 'Corridors shown: {count}.',
+        'announce.period': 'Showing {period}.',
+        'announce.noMatch': 'No movements found for {country}.',
+        'announce.loadFailed': 'Could not load {source}. The data quality report has the details.',
+        'announce.regions': 'Grouped by {grouping}.',
+        'announce.countries': 'Showing countries.',
+        'announce.drillDown': 'Showing the countries of {region}.',
+        'announce.allRegions': 'Showing all regions.',
+        'announce.comparing': 'Comparing with {label}.',
+        'announce.comparisonEnded': 'Comparison ended.',
+        'announce.spinning': 'Globe spinning.',
+        'announce.stopped': 'Globe stopped.',
+        'announce.originsCompared': 'Comparing origins: {countries}.',
+        'announce.originLimit': 'At most {count} origins can be compared.',
+        'announce.updated': 'Data updated: {count} corridors changed.'
+    },
+    fr: {
+        'language.label': 'Langue',
+        'search.label': 'Pays',
+        'search.placeholder': 'Rechercher un pays',
+        'search.help': 'Raccourcis : barre oblique pour rechercher, n et p pour le pays suivant et précédent, s pour lancer ou arrêter la rotation, Page suivante et Page précédente pour parcourir un récit, Échap pour fermer le panneau de détails ou le récit.',
+        'live.updated': 'Mis à jour à {time}',
+        'live.failed': 'Échec de la mise à jour à {time} ; données de {updated} affichées',
+        'filters.flowType': 'Type de flux',
+        'filters.allFlows': 'Tous les flux',
+        'filters.minPlaceholder': 'Mouvements (min)',
+        'filters.maxPlaceholder': 'Mouvements (max)',
+        'filters.minLabel': 'Mouvements minimum',
+        'filters.maxLabel': 'Mouvements maximum',
+        'filters.apply': 'Appliquer les filtres',
+        'display.legend': 'Affichage',
+        'display.bubbles': 'Bulles',
+        'display.choropleth': 'Choroplèthe',
+        'regions.groupBy': 'Regrouper par',
+        'regions.countries': 'Pays',
+        'regions.back': 'Toutes les régions',
+        'comparison.mode': 'Vue de comparaison',
+        'comparison.sideBySide': 'Côte à côte',
+        'comparison.swipe': 'Balayage',
+        'comparison.difference': 'Différence',
+        'comparison.measure': 'Variation en',
+        'comparison.absolute': 'Nombre de mouvements',
+        'comparison.percent': 'Pourcentage',
+        'comparison.swipeHandle': 'Balayer entre les deux cartes',
+        'comparison.baseline': 'Référence',
+        'comparison.current': 'Actuel',
+        'comparison.change': 'Variation',
+        'comparison.total': 'Total',
+        'comparison.new': 'Nouveau',
+        'choropleth.metric': 'Indicateur',
+        'choropleth.method': 'Classes',
+        'choropleth.breaksPlaceholder': 'Seuils, p. ex. 10, 100, 1000',
+        'metric.outbound': 'Total des départs',
+        'metric.inbound': 'Total des arrivées',
+        'metric.net': 'Migration nette',
+        'metric.partners': 'Nombre de pays partenaires',
+        'method.quantile': 'Quantiles',
+        'method.equal': 'Intervalles égaux',
+        'method.manual': 'Seuils manuels',
+        'legend.title': 'Légende',
+        'legend.allValues': 'Toutes les valeurs',
+        'legend.below': 'Moins de {value}',
+        'legend.andAbove': '{value} et plus',
+        'legend.bubbleSize': 'Mouvements (taille des bulles)',
+        'legend.departuresNetReceivers': 'Départs / pays bénéficiaires nets',
+        'legend.arrivalsNetSenders': 'Arrivées / pays émetteurs nets',
+        'legend.totalDepartures': 'Total des départs par origine',
+        'legend.corridor': 'Corridor de mouvement',
+        'legend.changeFrom': 'Variation par rapport à {label}',
+        'legend.decrease': 'Baisse',
+        'legend.unchanged': 'Stable',
+        'legend.increase': 'Hausse',
+        'export.title': 'Exporter',
+        'export.mapImage': 'Image de la carte',
+        'export.corridors': 'Corridors',
+        'export.countryTotals': 'Totaux par pays',
+        'corridorTable.summary': 'Tableau des corridors ({count})',
+        'corridorTable.caption': 'Corridors de mouvement affichés sur la carte. Les en-têtes de colonne trient le tableau.',
+        'corridorTable.origin': 'Origine',
+        'corridorTable.destination': 'Destination',
+        'corridorTable.flow': 'Flux',
+        'corridorTable.movement': 'Mouvements',
+        'corridorTable.showCorridor': '{from} vers {to}, mouvements : {count}, afficher le corridor',
+        'dataQuality.title': 'Qualité des données',
+        'dataQuality.line': 'Ligne',
+        'dataQuality.issue': 'Problème',
+        'dataQuality.summary': 'Lignes chargées : {accepted} sur {total}. Rejetées : {rejected}. Avertissements : {warnings}.',
+        'dataQuality.missingColumns': 'Colonnes manquantes : {columns}.',
+        'dataQuality.loadFailed': 'Impossible de charger {source} : {message}',
+        'dataQuality.rejected': 'Rejetée',
+        'dataQuality.warning': 'Avertissement',
+        'map.label': 'Carte animée des mouvements entre pays. Le tableau des corridors présente les mêmes données.',
+        'map.dropLabel': 'Déposez un fichier CSV, JSON, GeoJSON ou Excel pour le visualiser',
+        'timeline.label': 'Période',
+        'timeline.play': 'Lecture',
+        'timeline.pause': 'Pause',
+        'timeline.allPeriods': 'Toutes les périodes',
+        'story.label': 'Récit',
+        'story.start': 'Lancer le récit',
+        'story.previous': 'Précédent',
+        'story.next': 'Suivant',
+        'story.play': 'Lecture',
+        'story.pause': 'Pause',
+        'story.close': 'Fermer le récit',
+        'story.progress': 'Étape {step} sur {count}',
+        'breakdown.groupLabel': 'Groupe de population',
+        'breakdown.everyone': 'Tout le monde',
+        'breakdown.chartLabel': 'Graphiques des bulles',
+        'breakdown.plainBubbles': 'Bulles simples',
+        'breakdown.chartBy': 'Graphiques par {dimension}',
+        'breakdown.styleLabel': 'Style de graphique',
+        'breakdown.pie': 'Secteurs',
+        'breakdown.donut': 'Anneaux',
+        'breakdown.caption': 'Mouvements par groupe',
+        'breakdown.group': 'Groupe',
+        'breakdown.unspecified': 'Non précisé',
+        'breakdown.dimension.sex': 'Sexe',
+        'breakdown.dimension.age': 'Âge',
+        'breakdown.dimension.population_type': 'Type de population',
+        'breakdown.sex.female': 'Femmes',
+        'breakdown.sex.male': 'Hommes',
+        'breakdown.population_type.refugee': 'Réfugiés',
+        'breakdown.population_type.asylum_seeker': 'Demandeurs d’asile',
+        'breakdown.population_type.returnee': 'Rapatriés',
+        'breakdown.population_type.idp': 'Déplacés internes',
+        'breakdown.population_type.stateless': 'Apatrides',
+        'breakdown.population_type.other': 'Autres personnes relevant de la compétence du HCR',
+        'period.quarter': 'T{quarter} {year}',
+        'panel.label': 'Détails',
+        'panel.close': 'Fermer les détails',
+        'panel.placeholderTitle': 'Titre',
+        'panel.placeholderText': 'Les détails s’afficheront ici.',
+        'panel.totalMovement': 'Total des mouvements : {count}',
+        'panel.arrivals': 'Arrivées',
+        'panel.departures': 'Départs',
+        'panel.netBalance': 'Solde net',
+        'panel.shareOfDepartures': 'Part des départs – {country}',
+        'panel.shareOfArrivals': 'Part des arrivées – {country}',
+        'panel.flow': 'Flux',
+        'panel.topDestinations': 'Principales destinations',
+        'panel.topOrigins': 'Principales origines',
+        'panel.country': 'Pays',
+        'panel.movement': 'Mouvements',
+        'panel.share': 'Part',
+        'pair.swap': 'Inverser le sens',
+        'pair.caption': 'Origines sélectionnées',
+        'pair.destination': 'Corridor vers',
+        'pair.destinationPlaceholder': 'Choisir une destination',
+        'pair.compare': 'Comparer avec',
+        'pair.comparePlaceholder': 'Ajouter une origine',
+        'pair.hint': 'Maj-clic sur une bulle pour choisir la destination, ou Ctrl-clic pour la comparer.',
+        'pair.title': 'Comparaison de {count} origines',
+        'pair.remove': 'Retirer {country} de la comparaison',
+        'format.labelValue': '{label} : {value}',
+        'tooltip.movements': 'Mouvements : {count}',
+        'tooltip.cluster': '{count} pays',
+        'tooltip.clusterExpand': 'Cliquez pour zoomer',
+        'tooltip.shareOfDepartures': '{share} des départs – {country}',
+        'tooltip.change': 'Variation par rapport à {label} : {change}',
+        'view.countRange': 'Mouvements {min}–{max}',
+        'announce.selected': '{country} sélectionné. Arrivées : {inflow}. Départs : {outflow}.',
+        'announce.cleared': 'Sélection effacée, tous les pays sont affichés.',
+        'announce.corridor': 'Corridor {from} – {to}. Mouvements : {count}.',
+        'announce.corridors': 'Corridors affichés : {count}.',
+        'announce.period': 'Affichage : {period}.',
+        'announce.noMatch': 'Aucun mouvement trouvé pour {country}.',
+        'announce.loadFailed': 'Impossible de charger {source}. Le rapport sur la qualité des données donne les détails.',
+        'announce.regions': 'Regroupement : {grouping}.',
+        'announce.countries': 'Affichage par pays.',
+        'announce.drillDown': 'Affichage des pays de {region}.',
+        'announce.allRegions': 'Affichage de toutes les régions.',
+        'announce.comparing': 'Comparaison avec {label}.',
+        'announce.comparisonEnded': 'Comparaison terminée.',
+        'announce.spinning': 'Rotation du globe lancée.',
+        'announce.stopped': 'Rotation du globe arrêtée.',
+        'announce.originsCompared': 'Origines comparées : {countries}.',
+        'announce.originLimit': 'Au plus {count} origines peuvent être comparées.',
+        'announce.updated': 'Données mises à jour : {count} corridors modifiés.'
+    },
+    es: {
+        'language.label': 'Idioma',
+        'search.label': 'País',
+        'search.placeholder': 'Buscar países',
+        'search.help': 'Atajos: barra diagonal para buscar, n y p para el país siguiente y anterior, s para activar o detener la rotación, Avanzar página y Retroceder página para recorrer una historia, Escape para cerrar el panel de detalles o la historia.',
+        'live.updated': 'Actualizado a las {time}',
+        'live.failed': 'Error al actualizar a las {time}; se muestran los datos de las {updated}',
+        'filters.flowType': 'Tipo de flujo',
+        'filters.allFlows': 'Todos los flujos',
+        'filters.minPlaceholder': 'Movimientos (mín.)',
+        'filters.maxPlaceholder': 'Movimientos (máx.)',
+        'filters.minLabel': 'Movimientos mínimos',
+        'filters.maxLabel': 'Movimientos máximos',
+        'filters.apply': 'Aplicar filtros',
+        'display.legend': 'Visualización',
+        'display.bubbles': 'Burbujas',
+        'display.choropleth': 'Coropletas',
+        'regions.groupBy': 'Agrupar por',
+        'regions.countries': 'Países',
+        'regions.back': 'Todas las regiones',
+        'comparison.mode': 'Vista de comparación',
+        'comparison.sideBySide': 'Lado a lado',
+        'comparison.swipe': 'Deslizar',
+        'comparison.difference': 'Diferencia',
+        'comparison.measure': 'Cambio en',
+        'comparison.absolute': 'Número de movimientos',
+        'comparison.percent': 'Porcentaje',
+        'comparison.swipeHandle': 'Deslizar entre los dos mapas',
+        'comparison.baseline': 'Referencia',
+        'comparison.current': 'Actual',
+        'comparison.change': 'Cambio',
+        'comparison.total': 'Total',
+        'comparison.new': 'Nuevo',
+        'choropleth.metric': 'Indicador',
+        'choropleth.method': 'Clases',
+        'choropleth.breaksPlaceholder': 'Cortes, p. ej. 10, 100, 1000',
+        'metric.outbound': 'Total de salidas',
+        'metric.inbound': 'Total de llegadas',
+        'metric.net': 'Migración neta',
+        'metric.partners': 'Número de países socios',
+        'method.quantile': 'Cuantiles',
+        'method.equal': 'Intervalos iguales',
+        'method.manual': 'Cortes manuales',
+        'legend.title': 'Leyenda',
+        'legend.allValues': 'Todos los valores',
+        'legend.below': 'Menos de {value}',
+        'legend.andAbove': '{value} o más',
+        'legend.bubbleSize': 'Movimientos (tamaño de las burbujas)',
+        'legend.departuresNetReceivers': 'Salidas / receptores netos',
+        'legend.arrivalsNetSenders': 'Llegadas / emisores netos',
+        'legend.totalDepartures': 'Total de salidas por origen',
+        'legend.corridor': 'Corredor de movimiento',
+        'legend.changeFrom': 'Cambio respecto a {label}',
+        'legend.decrease': 'Disminución',
+        'legend.unchanged': 'Sin cambio',
+        'legend.increase': 'Aumento',
+        'export.title': 'Exportar',
+        'export.mapImage': 'Imagen del mapa',
+        'export.corridors': 'Corredores',
+        'export.countryTotals': 'Totales por país',
+        'corridorTable.summary': 'Tabla de corredores ({count})',
+        'corridorTable.caption': 'Corredores de movimiento mostrados en el mapa. Los encabezados de columna ordenan la tabla.',
+        'corridorTable.origin': 'Origen',
+        'corridorTable.destination': 'Destino',
+        'corridorTable.flow': 'Flujo',
+        'corridorTable.movement': 'Movimientos',
+        'corridorTable.showCorridor': '{from} a {to}, movimientos: {count}, mostrar corredor',
+        'dataQuality.title': 'Calidad de los datos',
+        'dataQuality.line': 'Línea',
+        'dataQuality.issue': 'Problema',
+        'dataQuality.summary': 'Filas cargadas: {accepted} de {total}. Rechazadas: {rejected}. Advertencias: {warnings}.',
+        'dataQuality.missingColumns': 'Columnas faltantes: {columns}.',
+        'dataQuality.loadFailed': 'No se pudo cargar {source}: {message}',
+        'dataQuality.rejected': 'Rechazada',
+        'dataQuality.warning': 'Advertencia',
+        'map.label': 'Mapa animado de los movimientos entre países. La tabla de corredores contiene los mismos datos.',
+        'map.dropLabel': 'Suelte un archivo CSV, JSON, GeoJSON o Excel para visualizarlo',
+        'timeline.label': 'Período',
+        'timeline.play': 'Reproducir',
+        'timeline.pause': 'Pausa',
+        'timeline.allPeriods': 'Todos los períodos',
+        'story.label': 'Historia',
+        'story.start': 'Reproducir la historia',
+        'story.previous': 'Anterior',
+        'story.next': 'Siguiente',
+        'story.play': 'Reproducir',
+        'story.pause': 'Pausa',
+        'story.close': 'Cerrar la historia',
+        'story.progress': 'Paso {step} de {count}',
+        'breakdown.groupLabel': 'Grupo de población',
+        'breakdown.everyone': 'Todas las personas',
+        'breakdown.chartLabel': 'Gráficos de las burbujas',
+        'breakdown.plainBubbles': 'Burbujas simples',
+        'breakdown.chartBy': 'Gráficos por {dimension}',
+        'breakdown.styleLabel': 'Estilo de gráfico',
+        'breakdown.pie': 'Gráficos circulares',
+        'breakdown.donut': 'Gráficos de anillo',
+        'breakdown.caption': 'Movimientos por grupo',
+        'breakdown.group': 'Grupo',
+        'breakdown.unspecified': 'Sin especificar',
+        'breakdown.dimension.sex': 'Sexo',
+        'breakdown.dimension.age': 'Edad',
+        'breakdown.dimension.population_type': 'Tipo de población',
+        'breakdown.sex.female': 'Mujeres',
+        'breakdown.sex.male': 'Hombres',
+        'breakdown.population_type.refugee': 'Personas refugiadas',
+        'breakdown.population_type.asylum_seeker': 'Solicitantes de asilo',
+        'breakdown.population_type.returnee': 'Personas retornadas',
+        'breakdown.population_type.idp': 'Personas desplazadas internas',
+        'breakdown.population_type.stateless': 'Personas apátridas',
+        'breakdown.population_type.other': 'Otras personas de interés',
+        'period.quarter': 'T{quarter} {year}',
+        'panel.label': 'Detalles',
+        'panel.close': 'Cerrar detalles',
+        'panel.placeholderTitle': 'Título',
+        'panel.placeholderText': 'Los detalles aparecerán aquí.',
+        'panel.totalMovement': 'Total de movimientos: {count}',
+        'panel.arrivals': 'Llegadas',
+        'panel.departures': 'Salidas',
+        'panel.netBalance': 'Saldo neto',
+        'panel.shareOfDepartures': 'Proporción de las salidas – {country}',
+        'panel.shareOfArrivals': 'Proporción de las llegadas – {country}',
+        'panel.flow': 'Flujo',
+        'panel.topDestinations': 'Principales destinos',
+        'panel.topOrigins': 'Principales orígenes',
+        'panel.country': 'País',
+        'panel.movement': 'Movimientos',
+        'panel.share': 'Proporción',
+        'pair.swap': 'Invertir el sentido',
+        'pair.caption': 'Orígenes seleccionados',
+        'pair.destination': 'Corredor hacia',
+        'pair.destinationPlaceholder': 'Elegir un destino',
+        'pair.compare': 'Comparar con',
+        'pair.comparePlaceholder': 'Añadir un origen',
+        'pair.hint': 'Mayús-clic en una burbuja para elegir el destino, o Ctrl-clic para compararla.',
+        'pair.title': 'Comparación de {count} orígenes',
+        'pair.remove': 'Quitar {country} de la comparación',
+        'format.labelValue': '{label}: {value}',
+        'tooltip.movements': 'Movimientos: {count}',
+        'tooltip.cluster': '{count} países',
+        'tooltip.clusterExpand': 'Haga clic para acercar',
+        'tooltip.shareOfDepartures': '{share} de las salidas – {country}',
+        'tooltip.change': 'Cambio respecto a {label}: {change}',
+        'view.countRange': 'Movimientos {min}–{max}',
+        'announce.selected': '{country} seleccionado. Llegadas: {inflow}. Salidas: {outflow}.',
+        'announce.cleared': 'Selección borrada, se muestran todos los países.',
+        'announce.corridor': 'Corredor {from} – {to}. Movimientos: {count}.',
+        'announce.corridors': 'Corredores mostrados: {count}.',
+        'announce.period': 'Mostrando {period}.',
+        'announce.noMatch': 'No se encontraron movimientos para {country}.',
+        'announce.loadFailed': 'No se pudo cargar {source}. El informe de calidad de los datos tiene los detalles.',
+        'announce.regions': 'Agrupado por {grouping}.',
+        'announce.countries': 'Mostrando países.',
+        'announce.drillDown': 'Mostrando los países de {region}.',
+        'announce.allRegions': 'Mostrando todas las regiones.',
+        'announce.comparing': 'Comparando con {label}.',
+        'announce.comparisonEnded': 'Comparación finalizada.',
+        'announce.spinning': 'Rotación del globo activada.',
+        'announce.stopped': 'Rotación del globo detenida.',
+        'announce.originsCompared': 'Orígenes comparados: {countries}.',
+        'announce.originLimit': 'Se pueden comparar como máximo {count} orígenes.',
+        'announce.updated': 'Datos actualizados: {count} corredores cambiaron.'
+    },
+    ar: {
+        'language.label': 'اللغة',
+        'search.label': 'البلد',
+        'search.placeholder': 'ابحث عن بلد',
+        'search.help': 'اختصارات لوحة المفاتيح: الشرطة المائلة للبحث، و n و p للانتقال إلى البلد التالي والسابق، و s لتشغيل دوران الكرة الأرضية أو إيقافه، و Page Down و Page Up للتنقل بين خطوات القصة، و Escape لإغلاق لوحة التفاصيل أو القصة.',
+        'live.updated': 'آخر تحديث {time}',
+        'live.failed': 'فشل التحديث في {time}؛ تُعرض بيانات {updated}',
+        'filters.flowType': 'نوع التدفق',
+        'filters.allFlows': 'جميع التدفقات',
+        'filters.minPlaceholder': 'التحركات (الحد الأدنى)',
+        'filters.maxPlaceholder': 'التحركات (الحد الأقصى)',
+        'filters.minLabel': 'الحد الأدنى للتحركات',
+        'filters.maxLabel': 'الحد الأقصى للتحركات',
+        'filters.apply': 'تطبيق عوامل التصفية',
+        'display.legend': 'العرض',
+        'display.bubbles': 'الفقاعات',
+        'display.choropleth': 'خريطة التظليل',
+        'regions.groupBy': 'التجميع حسب',
+        'regions.countries': 'البلدان',
+        'regions.back': 'جميع المناطق',
+        'comparison.mode': 'طريقة المقارنة',
+        'comparison.sideBySide': 'جنبًا إلى جنب',
+        'comparison.swipe': 'سحب',
+        'comparison.difference': 'الفرق',
+        'comparison.measure': 'التغيّر حسب',
+        'comparison.absolute': 'عدد التنقلات',
+        'comparison.percent': 'النسبة المئوية',
+        'comparison.swipeHandle': 'السحب بين الخريطتين',
+        'comparison.baseline': 'خط الأساس',
+        'comparison.current': 'الحالي',
+        'comparison.change': 'التغيّر',
+        'comparison.total': 'المجموع',
+        'comparison.new': 'جديد',
+        'choropleth.metric': 'المؤشر',
+        'choropleth.method': 'الفئات',
+        'choropleth.breaksPlaceholder': 'حدود الفئات، مثل 10، 100، 1000',
+        'metric.outbound': 'إجمالي المغادرين',
+        'metric.inbound': 'إجمالي الوافدين',
+        'metric.net': 'صافي الهجرة',
+        'metric.partners': 'عدد البلدان الشريكة',
+        'method.quantile': 'فئات متساوية العدد',
+        'method.equal': 'فترات متساوية',
+        'method.manual': 'حدود يدوية',
+        'legend.title': 'مفتاح الخريطة',
+        'legend.allValues': 'جميع القيم',
+        'legend.below': 'أقل من {value}',
+        'legend.andAbove': '{value} فأكثر',
+        'legend.bubbleSize': 'التحركات (حجم الفقاعات)',
+        'legend.departuresNetReceivers': 'المغادرون / صافي المستقبِلين',
+        'legend.arrivalsNetSenders': 'الوافدون / صافي المرسِلين',
+        'legend.totalDepartures': 'إجمالي المغادرين حسب بلد المنشأ',
+        'legend.corridor': 'ممر التحركات',
+        'legend.changeFrom': 'التغيّر مقارنة بـ {label}',
+        'legend.decrease': 'انخفاض',
+        'legend.unchanged': 'دون تغيير',
+        'legend.increase': 'ارتفاع',
+        'export.title': 'تصدير',
+        'export.mapImage': 'صورة الخريطة',
+        'export.corridors': 'الممرات',
+        'export.countryTotals': 'الإجماليات حسب البلد',
+        'corridorTable.summary': 'جدول الممرات ({count})',
+        'corridorTable.caption': 'ممرات التحركات المعروضة على الخريطة. تُستخدم عناوين الأعمدة لفرز الجدول.',
+        'corridorTable.origin': 'بلد المنشأ',
+        'corridorTable.destination': 'بلد المقصد',
+        'corridorTable.flow': 'التدفق',
+        'corridorTable.movement': 'التحركات',
+        'corridorTable.showCorridor': 'من {from} إلى {to}، التحركات: {count}، عرض الممر',
+        'dataQuality.title': 'جودة البيانات',
+        'dataQuality.line': 'السطر',
+        'dataQuality.issue': 'المشكلة',
+        'dataQuality.summary': 'الصفوف المحمّلة: {accepted} من {total}. المرفوضة: {rejected}. التحذيرات: {warnings}.',
+        'dataQuality.missingColumns': 'أعمدة مفقودة: {columns}.',
+        'dataQuality.loadFailed': 'تعذّر تحميل {source}: {message}',
+        'dataQuality.rejected': 'مرفوض',
+        'dataQuality.warning': 'تحذير',
+        'map.label': 'خريطة متحركة للتحركات بين البلدان. يعرض جدول الممرات البيانات نفسها.',
+        'map.dropLabel': 'أفلت ملف CSV أو JSON أو GeoJSON أو Excel لعرضه',
+        'timeline.label': 'الفترة',
+        'timeline.play': 'تشغيل',
+        'timeline.pause': 'إيقاف مؤقت',
+        'timeline.allPeriods': 'جميع الفترات',
+        'story.label': 'القصة',
+        'story.start': 'تشغيل القصة',
+        'story.previous': 'السابق',
+        'story.next': 'التالي',
+        'story.play': 'تشغيل',
+        'story.pause': 'إيقاف مؤقت',
+        'story.close': 'إغلاق القصة',
+        'story.progress': 'الخطوة {step} من {count}',
+        'breakdown.groupLabel': 'الفئة السكانية',
+        'breakdown.everyone': 'الجميع',
+        'breakdown.chartLabel': 'مخططات الفقاعات',
+        'breakdown.plainBubbles': 'فقاعات بسيطة',
+        'breakdown.chartBy': 'مخططات حسب {dimension}',
+        'breakdown.styleLabel': 'نمط المخطط',
+        'breakdown.pie': 'مخططات دائرية',
+        'breakdown.donut': 'مخططات حلقية',
+        'breakdown.caption': 'التنقلات حسب الفئة',
+        'breakdown.group': 'الفئة',
+        'breakdown.unspecified': 'غير محدد',
+        'breakdown.dimension.sex': 'الجنس',
+        'breakdown.dimension.age': 'العمر',
+        'breakdown.dimension.population_type': 'نوع السكان',
+        'breakdown.sex.female': 'إناث',
+        'breakdown.sex.male': 'ذكور',
+        'breakdown.population_type.refugee': 'اللاجئون',
+        'breakdown.population_type.asylum_seeker': 'طالبو اللجوء',
+        'breakdown.population_type.returnee': 'العائدون',
+        'breakdown.population_type.idp': 'النازحون داخلياً',
+        'breakdown.population_type.stateless': 'عديمو الجنسية',
+        'breakdown.population_type.other': 'أشخاص آخرون تعنى بهم المفوضية',
+        'period.quarter': 'الربع {quarter} {year}',
+        'panel.label': 'التفاصيل',
+        'panel.close': 'إغلاق التفاصيل',
+        'panel.placeholderTitle': 'العنوان',
+        'panel.placeholderText': 'ستظهر التفاصيل هنا.',
+        'panel.totalMovement': 'إجمالي التحركات: {count}',
+        'panel.arrivals': 'الوافدون',
+        'panel.departures': 'المغادرون',
+        'panel.netBalance': 'الرصيد الصافي',
+        'panel.shareOfDepartures': 'الحصة من المغادرين – {country}',
+        'panel.shareOfArrivals': 'الحصة من الوافدين – {country}',
+        'panel.flow': 'التدفق',
+        'panel.topDestinations': 'أهم بلدان المقصد',
+        'panel.topOrigins': 'أهم بلدان المنشأ',
+        'panel.country': 'البلد',
+        'panel.movement': 'التحركات',
+        'panel.share': 'الحصة',
+        'pair.swap': 'عكس الاتجاه',
+        'pair.caption': 'بلدان المنشأ المحددة',
+        'pair.destination': 'الممر إلى',
+        'pair.destinationPlaceholder': 'اختر وجهة',
+        'pair.compare': 'قارن مع',
+        'pair.comparePlaceholder': 'أضف بلد منشأ',
+        'pair.hint': 'انقر مع Shift على فقاعة لاختيار الوجهة، أو مع Ctrl لإضافتها إلى المقارنة.',
+        'pair.title': 'مقارنة {count} من بلدان المنشأ',
+        'pair.remove': 'إزالة {country} من المقارنة',
+        'format.labelValue': '{label}: {value}',
+        'tooltip.movements': 'التحركات: {count}',
+        'tooltip.cluster': '{count} دول',
+        'tooltip.clusterExpand': 'انقر للتكبير',
+        'tooltip.shareOfDepartures': '{share} من المغادرين – {country}',
+        'tooltip.change': 'التغيّر مقارنة بـ {label}: {change}',
+        'view.countRange': 'التحركات {min}–{max}',
+        'announce.selected': 'تم اختيار {country}. الوافدون: {inflow}. المغادرون: {outflow}.',
+        'announce.cleared': 'تم مسح الاختيار وعرض جميع البلدان.',
+        'announce.corridor': 'الممر {from} – {to}. التحركات: {count}.',
+        'announce.corridors': 'الممرات المعروضة: {count}.',
+        'announce.period': 'عرض {period}.',
+        'announce.noMatch': 'لم يُعثر على تحركات لـ {country}.',
+        'announce.loadFailed': 'تعذّر تحميل {source}. يتضمن تقرير جودة البيانات التفاصيل.',
+        'announce.regions': 'التجميع حسب {grouping}.',
+        'announce.countries': 'عرض البلدان.',
+        'announce.drillDown': 'عرض بلدان {region}.',
+        'announce.allRegions': 'عرض جميع المناطق.',
+        'announce.comparing': 'المقارنة مع {label}.',
+        'announce.comparisonEnded': 'انتهت المقارنة.',
+        'announce.spinning': 'تم تشغيل دوران الكرة الأرضية.',
+        'announce.stopped': 'تم إيقاف دوران الكرة الأرضية.',
+        'announce.originsCompared': 'بلدان المنشأ المقارنة: {countries}.',
+        'announce.originLimit': 'يمكن مقارنة {count} من بلدان المنشأ كحد أقصى.',
+        'announce.updated': 'تم تحديث البيانات: تغيّر {count} من الممرات.'
+    }
+};
+
+/**
+ * Looks up a message in a locale, falling back to English and then to the key itself.
+ * @param {string} locale - One of i18n.supportedLocales.
+ * @param {string} key - The message key, e.g. 'panel.totalMovement'.
+ * @param {Object} [params] - Values for the message's {name} placeholders.
+ * @returns {string} The translated message.
+ */
+function translate(locale, key, params) {
+    const catalog = messageCatalogs[locale] || {};
+    const message = catalog[key] !== undefined ? catalog[key] : messageCatalogs[i18n.fallbackLocale][key];
+    if (message === undefined) {
+        console.warn(`Missing message: ${key}`);
+        return key;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params && params[name] !== undefined ? params[name] : placeholder));
+}
+
+// Whether a message exists in a locale or the fallback, for text that has a default of its own
+function hasMessage(locale, key) {
+    return (messageCatalogs[locale] || {})[key] !== undefined || messageCatalogs[i18n.fallbackLocale][key] !== undefined;
+}
+
+/**
+ * Picks the first supported locale from a list of BCP 47 language tags, e.g. 'fr-CA' -> 'fr'.
+ * @param {Array<string>} candidates - Language tags in order of preference; blank entries are skipped.
+ * @returns {string|null} The supported locale, or null if none match.
+ */
+function matchSupportedLocale(candidates) {
+    for (const candidate of candidates) {
+        const language = String(candidate || '').toLowerCase().split('-')[0];
+        if (i18n.supportedLocales.includes(language)) return language;
+    }
+    return null;
+}
+
+// Whether a locale is written right to left
+function isRtlLocale(locale) {
+    return i18n.rtlLocales.includes(locale);
+}
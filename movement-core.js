@@ -0,0 +1,857 @@
+// Movement data processing shared by the maps and the command-line tools: parsing, validation,
+// conversion to GeoJSON, aggregation and corridor geometry. It uses no DOM, map or network APIs, so
+// it loads in the browser before movement.js and in Node through require().
+
+// Defaults for reading movement data; createMovementMap's options and the tools' flags override them
+const movementDataDefaults = {
+    // Alternative column names accepted for each expected column, matched case-insensitively
+    columnAliases: {
+        country_from: ['origin', 'from', 'origin_country', 'country_of_origin', 'origin_name', 'iso3_from', 'origin_iso3', 'coo'],
+        country_to: ['destination', 'to', 'destination_country', 'country_of_asylum', 'destination_name', 'iso3_to', 'destination_iso3', 'coa'],
+        latitude_from: ['lat_from', 'origin_lat', 'origin_latitude'],
+        longitude_from: ['lon_from', 'lng_from', 'origin_lon', 'origin_lng', 'origin_longitude'],
+        latitude_to: ['lat_to', 'destination_lat', 'destination_latitude'],
+        longitude_to: ['lon_to', 'lng_to', 'destination_lon', 'destination_lng', 'destination_longitude'],
+        movement_count: ['count', 'value', 'total', 'movements'],
+        Flow: ['flow', 'flow_type']
+    },
+    periodColumns: ['period', 'date'], // Optional columns holding the reporting period of each row
+    periodGranularity: 'quarter', // How dates are grouped into periods: 'quarter', 'month' or 'none'
+    // Optional breakdowns of each row's movement_count, in columns named <dimension>_<category> such as
+    // sex_female, age_18_59, age_60_plus or population_type_refugee
+    breakdownDimensions: ['sex', 'age', 'population_type'],
+    arcSegments: 64 // Number of segments used to densify each great-circle corridor
+};
+
+// Columns every movement row must provide; coordinates are only needed for countries missing from the gazetteer
+const requiredMovementColumns = ['country_from', 'country_to', 'movement_count'];
+
+/**
+ * Fills the options a caller left unset from movementDataDefaults. Without a resolveCountry function,
+ * no country is in the gazetteer and rows keep the names and coordinates given in the data.
+ * @param {Object} [options] - The caller's options.
+ * @returns {Object} The options with every setting present.
+ */
+function withMovementDefaults(options) {
+    const merged = Object.assign({ resolveCountry: () => null }, movementDataDefaults);
+    Object.entries(options || {}).forEach(([key, value]) => {
+        if (value !== undefined) merged[key] = value;
+    });
+    return merged;
+}
+
+/**
+ * Parses CSV text with a header row into row objects. Fields may be quoted, and quoted fields may hold
+ * commas, line breaks and doubled quotes. The tools use it where Papa Parse is not available.
+ * @param {string} text - The CSV text.
+ * @returns {Array<Object>} One object per line after the header, keyed by the header's column names.
+ */
+function parseCsv(text) {
+    const input = String(text).replace(/^\uFEFF/, ''); // Spreadsheet exports often start with a byte order mark
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    // The last line may not end with a line break
+    if (field !== '' || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [header = [], ...lines] = records;
+    return lines.map(values => {
+        const row = {};
+        header.forEach((column, index) => {
+            row[column] = values[index] !== undefined ? values[index] : '';
+        });
+        return row;
+    });
+}
+
+/**
+ * Renames columns to the expected schema. Unrecognised columns are kept.
+ * @param {Array<Object>} rows - The loaded rows.
+ * @param {Object} columnAliases - Alternative names for each expected column, as in movementDataDefaults.
+ * @returns {Array<Object>} Rows keyed by the expected column names.
+ */
+function mapColumns(rows, columnAliases) {
+    const firstRow = rows.find(row => row && typeof row === 'object') || {};
+    const columnsByLowerCase = {};
+    Object.keys(firstRow).forEach(column => {
+        columnsByLowerCase[column.trim().toLowerCase()] = column;
+    });
+
+    // Source column for each expected column, for those not already present under their own name
+    const renames = {};
+    Object.entries(columnAliases).forEach(([expected, aliases]) => {
+        if (expected in firstRow) return;
+        const alias = [expected, ...aliases].find(name => columnsByLowerCase[name.toLowerCase()] !== undefined);
+        if (alias) renames[expected] = columnsByLowerCase[alias.toLowerCase()];
+    });
+    if (!Object.keys(renames).length) return rows;
+
+    return rows.map(row => {
+        const mapped = Object.assign({}, row);
+        Object.entries(renames).forEach(([expected, source]) => {
+            mapped[expected] = row[source];
+        });
+        return mapped;
+    });
+}
+
+/**
+ * Resolves countries through the gazetteer, then checks rows for missing columns, unknown countries,
+ * invalid coordinates and counts, self-loops and duplicate country pairs. Blank rows are skipped
+ * without being reported. Invalid breakdown values and breakdowns larger than the row's count are
+ * only reported as warnings.
+ * @param {Array<Object>} rows - Rows keyed by the expected column names.
+ * @param {number} firstLine - Source line number of the first row.
+ * @param {Object} [options] - { resolveCountry, periodColumns, periodGranularity, breakdownDimensions } where resolveCountry
+ * finds the gazetteer entry for a country identifier, or returns null. Unset options take their
+ * defaults from movementDataDefaults, and without resolveCountry no country is in the gazetteer.
+ * @returns {Object} { validRows, report } where validRows carry canonical country names, ISO3 codes
+ * and coordinates, and the report lists rejected rows and warnings by line.
+ */
+function validateMovementRows(rows, firstLine = 2, options) {
+    options = withMovementDefaults(options);
+    const report = { totalRows: 0, acceptedRows: 0, missingColumns: [], rejected: [], warnings: [] };
+    const firstRow = rows.find(row => row && !isBlankRow(row)) || {};
+    report.missingColumns = requiredMovementColumns.filter(column => !(column in firstRow));
+
+    const periodColumn = findPeriodColumn(rows, options.periodColumns);
+    const breakdownColumns = findBreakdownColumns(rows, options.breakdownDimensions);
+    const linesByPair = new Map();
+    const validRows = [];
+
+    const fallbackLocations = new Map(); // First coordinates seen for each country missing from the gazetteer
+
+    rows.forEach((sourceRow, index) => {
+        if (!sourceRow || isBlankRow(sourceRow)) return;
+        report.totalRows++;
+        const line = firstLine + index;
+        const { row, unknownEnds } = resolveRowCountries(sourceRow, options.resolveCountry);
+        const reasons = validateMovementRow(row, periodColumn, unknownEnds);
+
+        if (!reasons.length) {
+            // Keyed on the period the row is converted into, so two dates in the same quarter are duplicates
+            const period = periodColumn ? normalizePeriod(row[periodColumn], options.periodGranularity) : '';
+            const pairKey = [row.country_from, row.country_to, period].join('|');
+            if (linesByPair.has(pairKey)) {
+                reasons.push(`Duplicate of line ${linesByPair.get(pairKey)} for ${row.country_from} → ${row.country_to}`);
+            } else {
+                linesByPair.set(pairKey, line);
+            }
+        }
+
+        if (reasons.length) {
+            report.rejected.push({ line, reasons });
+            return;
+        }
+
+        const count = parseNumber(row.movement_count);
+        if (!Number.isInteger(count)) {
+            report.warnings.push({ line, message: `movement_count ${row.movement_count} is not a whole number and was rounded down` });
+        }
+        Object.entries(breakdownColumns).forEach(([dimension, columns]) => {
+            let sum = 0;
+            Object.values(columns).forEach(column => {
+                if (isBlankValue(row[column])) return;
+                const value = parseNumber(row[column]);
+                if (Number.isFinite(value) && value >= 0) sum += Math.floor(value);
+                else report.warnings.push({ line, message: `${column} ${row[column]} is not a non-negative number and was counted as 0` });
+            });
+            if (sum > Math.floor(count)) {
+                report.warnings.push({ line, message: `The ${dimension} breakdown adds up to ${sum}, more than the movement_count of ${Math.floor(count)}` });
+            }
+        });
+        unknownEnds.forEach(end => {
+            const country = row[`country_${end}`];
+            // Every row for an unknown country uses the same location so its bubble and corridors line up
+            if (!fallbackLocations.has(country)) {
+                fallbackLocations.set(country, [row[`latitude_${end}`], row[`longitude_${end}`]]);
+                report.warnings.push({ line, message: `${country} is not in the country gazetteer; using the coordinates from the file` });
+            }
+            [row[`latitude_${end}`], row[`longitude_${end}`]] = fallbackLocations.get(country);
+        });
+        validRows.push(row);
+    });
+
+    report.acceptedRows = validRows.length;
+    return { validRows, report };
+}
+
+/**
+ * Lists the problems that make a single row unusable.
+ * @param {Object} row - A row keyed by the expected column names, after gazetteer resolution.
+ * @param {string|null} periodColumn - The period column, if the data has one.
+ * @param {Array<string>} unknownEnds - 'from' and/or 'to' for countries missing from the gazetteer.
+ * @returns {Array<string>} The reasons for rejecting the row, empty if it is valid.
+ */
+function validateMovementRow(row, periodColumn, unknownEnds) {
+    const reasons = [];
+    const missing = requiredMovementColumns.filter(column => isBlankValue(row[column]));
+    if (missing.length) reasons.push(`Missing ${missing.join(', ')}`);
+
+    // Only countries missing from the gazetteer rely on coordinates from the file
+    unknownEnds.forEach(end => {
+        const coordinateColumns = [[`latitude_${end}`, 90], [`longitude_${end}`, 180]];
+        if (coordinateColumns.some(([column]) => isBlankValue(row[column]))) {
+            reasons.push(`Unknown country ${row[`country_${end}`]} and no coordinates given`);
+            return;
+        }
+        coordinateColumns.forEach(([column, limit]) => {
+            const value = parseNumber(row[column]);
+            if (!Number.isFinite(value) || Math.abs(value) > limit) {
+                reasons.push(`${column} ${row[column]} is not between -${limit} and ${limit}`);
+            }
+        });
+    });
+
+    if (!isBlankValue(row.movement_count)) {
+        const count = parseNumber(row.movement_count);
+        if (!Number.isFinite(count) || count < 0) {
+            reasons.push(`movement_count ${row.movement_count} is not a non-negative number`);
+        }
+    }
+
+    if (!isBlankValue(row.country_from) && String(row.country_from).trim() === String(row.country_to).trim()) {
+        reasons.push(`Origin and destination are both ${row.country_from}`);
+    }
+
+    if (periodColumn && isBlankValue(row[periodColumn])) {
+        reasons.push(`Missing ${periodColumn}`);
+    }
+    return reasons;
+}
+
+/**
+ * Parses a numeric cell strictly, so values like "12abc" are rejected rather than read as 12.
+ * @param {*} value - The cell value.
+ * @returns {number} The number, or NaN if the cell is not numeric.
+ */
+function parseNumber(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value).trim();
+    return text === '' ? NaN : Number(text);
+}
+
+// Returns true for cells that are empty, null or only whitespace
+function isBlankValue(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Returns true for rows where every cell is blank, such as the trailing line of a CSV file
+function isBlankRow(row) {
+    return Object.values(row).every(isBlankValue);
+}
+
+/**
+ * Indexes gazetteer entries by ISO3 code, ISO2 code, UNHCR name and aliases.
+ * @param {Array<Object>} entries - The gazetteer entries, { iso3, iso2, name, aliases, latitude, longitude }.
+ * @returns {Map<string, Object>} Normalised identifier to entry, for lookups with normalizeCountryKey.
+ */
+function buildGazetteerIndex(entries) {
+    const entriesByKey = new Map();
+    entries.forEach(entry => {
+        [entry.iso3, entry.iso2, entry.name, ...(entry.aliases || [])].forEach(identifier => {
+            if (identifier) entriesByKey.set(normalizeCountryKey(identifier), entry);
+        });
+    });
+    return entriesByKey;
+}
+
+/**
+ * Normalises a country identifier for lookup, ignoring case, accents and punctuation.
+ * @param {string} identifier - An ISO code, name or alias.
+ * @returns {string} The lookup key, e.g. "cote d ivoire" for "Côte d'Ivoire".
+ */
+function normalizeCountryKey(identifier) {
+    return String(identifier)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Replaces a row's country identifiers with canonical names and fills in ISO3 codes and centroids
+ * from the gazetteer. Countries not in the gazetteer keep the row's own name and coordinates.
+ * @param {Object} row - A row keyed by the expected column names.
+ * @param {Function} resolveCountry - Finds the gazetteer entry for a country identifier, or returns null.
+ * @returns {Object} { row, unknownEnds } where unknownEnds lists 'from' and/or 'to'.
+ */
+function resolveRowCountries(row, resolveCountry) {
+    const resolved = Object.assign({}, row);
+    const unknownEnds = [];
+
+    ['from', 'to'].forEach(end => {
+        const entry = resolveCountry(row[`country_${end}`]);
+        if (entry) {
+            resolved[`country_${end}`] = entry.name;
+            resolved[`iso3_${end}`] = entry.iso3;
+            resolved[`latitude_${end}`] = entry.latitude;
+            resolved[`longitude_${end}`] = entry.longitude;
+        } else if (!isBlankValue(row[`country_${end}`])) {
+            unknownEnds.push(end);
+        }
+    });
+    return { row: resolved, unknownEnds };
+}
+
+/**
+ * Maps each country in the movement data to its canonical location.
+ * @param {Object} geoJson - The GeoJSON object containing movement data.
+ * @returns {Map<string, Array<number>>} Country name to [longitude, latitude].
+ */
+function indexCountryCoordinates(geoJson) {
+    const coordinates = new Map();
+    geoJson.features.forEach(feature => {
+        const [from, to] = feature.geometry.coordinates;
+        if (!coordinates.has(feature.properties.country_from)) coordinates.set(feature.properties.country_from, from);
+        if (!coordinates.has(feature.properties.country_to)) coordinates.set(feature.properties.country_to, to);
+    });
+    return coordinates;
+}
+
+/**
+ * Finds the optional breakdown columns, named <dimension>_<category>. Names are matched case-insensitively,
+ * with spaces and dashes read as underscores and a trailing + as _plus, so "Age 60+" is age_60_plus.
+ * @param {Array<Object>} rows - Rows keyed by the expected column names.
+ * @param {Array<string>} dimensions - The breakdown dimensions, e.g. ['sex', 'age', 'population_type'].
+ * @returns {Object} Column name by category by dimension, e.g. { sex: { female: 'Sex Female' } }; empty
+ * when the rows have no breakdown columns.
+ */
+function findBreakdownColumns(rows, dimensions) {
+    const firstRow = rows.find(row => row && typeof row === 'object') || {};
+    // Longer names first, so a 'population_type' column is never read as a 'population' one
+    const candidates = dimensions.slice().sort((a, b) => b.length - a.length);
+    const columns = {};
+    Object.keys(firstRow).forEach(column => {
+        const key = column.trim().toLowerCase().replace(/\+$/, '_plus').replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+        const dimension = candidates.find(name => key.startsWith(`${name}_`));
+        if (!dimension) return;
+        if (!columns[dimension]) columns[dimension] = {};
+        columns[dimension][key.slice(dimension.length + 1)] = column;
+    });
+    return columns;
+}
+
+/**
+ * Reads a row's breakdown counts. Blank or invalid cells count as 0, and whatever part of the row's
+ * count a dimension doesn't account for is put in its 'unspecified' category.
+ * @param {Object} row - A validated row.
+ * @param {Object} breakdownColumns - The columns found by findBreakdownColumns.
+ * @param {number} count - The row's movement_count.
+ * @returns {Object} Counts by category by dimension, e.g. { sex: { female: 12, male: 9 } }.
+ */
+function readRowBreakdowns(row, breakdownColumns, count) {
+    const breakdowns = {};
+    Object.entries(breakdownColumns).forEach(([dimension, columns]) => {
+        const counts = {};
+        let sum = 0;
+        Object.entries(columns).forEach(([category, column]) => {
+            const value = parseNumber(row[column]);
+            const categoryCount = Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+            counts[category] = (counts[category] || 0) + categoryCount;
+            sum += categoryCount;
+        });
+        if (count > sum) counts.unspecified = (counts.unspecified || 0) + count - sum;
+        breakdowns[dimension] = counts;
+    });
+    return breakdowns;
+}
+
+// Adds one set of breakdown counts into another, e.g. to total a country's corridors; returns the target
+function addBreakdowns(target, source) {
+    Object.entries(source || {}).forEach(([dimension, counts]) => {
+        if (!target[dimension]) target[dimension] = {};
+        Object.entries(counts).forEach(([category, count]) => {
+            target[dimension][category] = (target[dimension][category] || 0) + count;
+        });
+    });
+    return target;
+}
+
+// Returns the count of one group, given as 'dimension:category' such as 'sex:female'
+function getBreakdownCount(breakdowns, group) {
+    const [dimension, category] = group.split(':');
+    return ((breakdowns || {})[dimension] || {})[category] || 0;
+}
+
+/**
+ * Lists the breakdown categories present in the movement data, in column order with 'unspecified' last.
+ * @param {Object} geoJson - The GeoJSON object containing movement data.
+ * @returns {Object} Category names by dimension, e.g. { sex: ['female', 'male'] }; empty without breakdowns.
+ */
+function getBreakdownCategories(geoJson) {
+    const categories = {};
+    geoJson.features.forEach(feature => {
+        Object.entries(feature.properties.total_breakdowns || {}).forEach(([dimension, counts]) => {
+            if (!categories[dimension]) categories[dimension] = new Set();
+            Object.keys(counts).forEach(category => categories[dimension].add(category));
+        });
+    });
+    Object.keys(categories).forEach(dimension => {
+        const names = Array.from(categories[dimension]);
+        categories[dimension] = names.filter(name => name !== 'unspecified').concat(names.includes('unspecified') ? ['unspecified'] : []);
+    });
+    return categories;
+}
+
+/**
+ * Converts validated rows into movement features, one LineString from origin to destination per
+ * country pair. Long-format data with a period column is merged into one feature per pair.
+ * Breakdown columns, if any, are kept as nested counts in each feature's breakdowns.
+ * @param {Array<Object>} csvData - Validated rows keyed by the expected column names.
+ * @param {Object} [options] - { periodColumns, periodGranularity, breakdownDimensions } as in movementDataDefaults,
+ * which also gives any left unset.
+ * @returns {Object} The movement GeoJSON FeatureCollection.
+ */
+function convertToGeoJson(csvData, options) {
+    options = withMovementDefaults(options);
+    try {
+        const periodColumn = findPeriodColumn(csvData, options.periodColumns);
+        const breakdownColumns = findBreakdownColumns(csvData, options.breakdownDimensions);
+        const hasBreakdowns = Object.keys(breakdownColumns).length > 0;
+        const features = csvData.map(row => {
+            if (!row.country_from || !row.country_to) return null;
+            const feature = {
+                type: "Feature",
+                geometry: {
+                    type: "LineString",
+                    coordinates: [
+                        [parseFloat(row.longitude_from), parseFloat(row.latitude_from)],
+                        [parseFloat(row.longitude_to), parseFloat(row.latitude_to)]
+                    ]
+                },
+                properties: {
+                    country_from: row.country_from,
+                    country_to: row.country_to,
+                    iso3_from: row.iso3_from || null,
+                    iso3_to: row.iso3_to || null,
+                    movement_count: Math.floor(parseNumber(row.movement_count)), // As validated, so "1e3" is 1000
+                    flow: row.Flow,
+                    period: periodColumn ? normalizePeriod(row[periodColumn], options.periodGranularity) : null
+                }
+            };
+            // The totals let applyPeriodToFeatures switch back after showing a single group
+            if (hasBreakdowns) {
+                const properties = feature.properties;
+                properties.breakdowns = readRowBreakdowns(row, breakdownColumns, properties.movement_count);
+                properties.total_breakdowns = properties.breakdowns;
+                properties.total_movement_count = properties.movement_count;
+            }
+            return feature;
+        }).filter(feature => feature !== null);
+
+        return {
+            type: "FeatureCollection",
+            features: periodColumn ? mergeFeaturesByPeriod(features) : features
+        };
+    } catch (error) {
+        console.error('Error converting CSV to GeoJSON:', error);
+        return { type: "FeatureCollection", features: [] };
+    }
+}
+
+/**
+ * Finds the first configured period column present in the parsed CSV rows.
+ * @param {Array<Object>} csvData - The parsed CSV rows.
+ * @param {Array<string>} periodColumns - The candidate column names, in order of preference.
+ * @returns {string|null} The column name, or null for a single-snapshot file.
+ */
+function findPeriodColumn(csvData, periodColumns) {
+    const firstRow = csvData.find(row => row && row.country_from);
+    if (!firstRow) return null;
+    return periodColumns.find(column => column in firstRow) || null;
+}
+
+/**
+ * Normalises a raw period or date value into a sortable period key such as "2023-Q1" or "2023-02".
+ * Values that are not recognisable dates are kept as trimmed strings.
+ * @param {string} value - The raw value from the period column.
+ * @param {string} granularity - How dates are grouped: 'quarter', 'month' or 'none'.
+ * @returns {string} The period key.
+ */
+function normalizePeriod(value, granularity) {
+    const text = String(value || '').trim();
+
+    const quarterMatch = text.match(/^(\d{4})[\s-]?Q([1-4])$/i) || text.match(/^Q([1-4])[\s-]?(\d{4})$/i);
+    if (quarterMatch) {
+        const [year, quarter] = /^Q/i.test(text) ? [quarterMatch[2], quarterMatch[1]] : [quarterMatch[1], quarterMatch[2]];
+        return `${year}-Q${quarter}`;
+    }
+
+    const dateMatch = text.match(/^(\d{4})-(\d{1,2})(?:-\d{1,2})?/);
+    if (dateMatch && granularity !== 'none') {
+        const year = dateMatch[1];
+        const month = parseInt(dateMatch[2], 10);
+        return granularity === 'quarter'
+            ? `${year}-Q${Math.ceil(month / 3)}`
+            : `${year}-${String(month).padStart(2, '0')}`;
+    }
+
+    return text;
+}
+
+/**
+ * Collapses long-format features (one per country pair and period) into one feature per pair.
+ * Each merged feature keeps its per-period counts in period_counts and its overall total in
+ * total_movement_count, and likewise any breakdowns in period_breakdowns and total_breakdowns.
+ * It starts out showing the total.
+ * @param {Array<Object>} features - Features carrying a period property.
+ * @returns {Array<Object>} One feature per country pair.
+ */
+function mergeFeaturesByPeriod(features) {
+    const featuresByPair = new Map();
+
+    features.forEach(feature => {
+        const { country_from, country_to, period, movement_count, breakdowns } = feature.properties;
+        const key = `${country_from}|${country_to}`;
+        if (!featuresByPair.has(key)) {
+            feature.properties.period_counts = {};
+            feature.properties.total_movement_count = 0;
+            if (breakdowns) {
+                feature.properties.period_breakdowns = {};
+                feature.properties.total_breakdowns = {};
+            }
+            featuresByPair.set(key, feature);
+        }
+        const merged = featuresByPair.get(key).properties;
+        const count = Number.isFinite(movement_count) ? movement_count : 0;
+        merged.period_counts[period] = (merged.period_counts[period] || 0) + count;
+        merged.total_movement_count += count;
+        if (breakdowns) {
+            merged.period_breakdowns[period] = addBreakdowns(merged.period_breakdowns[period] || {}, breakdowns);
+            addBreakdowns(merged.total_breakdowns, breakdowns);
+        }
+    });
+
+    return Array.from(featuresByPair.values()).map(feature => {
+        delete feature.properties.period;
+        feature.properties.movement_count = feature.properties.total_movement_count;
+        if (feature.properties.total_breakdowns) feature.properties.breakdowns = feature.properties.total_breakdowns;
+        return feature;
+    });
+}
+
+/**
+ * Lists the distinct periods present in the movement data, in chronological order.
+ * @param {Object} geoJson - The GeoJSON object containing movement data.
+ * @returns {Array<string>} The sorted period keys, empty for single-snapshot data.
+ */
+function getPeriods(geoJson) {
+    const periods = new Set();
+    geoJson.features.forEach(feature => {
+        Object.keys(feature.properties.period_counts || {}).forEach(period => periods.add(period));
+    });
+    return Array.from(periods).sort();
+}
+
+/**
+ * Sets each feature's movement_count and breakdowns to their values for the given period, optionally
+ * counting only one group. A single group has no breakdown by the other dimensions, so its features
+ * only keep the breakdown it belongs to.
+ * @param {Object} geoJson - The GeoJSON object containing movement data.
+ * @param {string|null} period - The period to show, or null for the total across all periods.
+ * @param {string|null} [group=null] - The group to count, as 'dimension:category', or null for everyone.
+ */
+function applyPeriodToFeatures(geoJson, period, group = null) {
+    geoJson.features.forEach(feature => {
+        const properties = feature.properties;
+        const inPeriod = Boolean(properties.period_counts) && period !== null;
+        if (properties.period_counts || properties.total_breakdowns) {
+            properties.movement_count = inPeriod ? properties.period_counts[period] || 0 : properties.total_movement_count;
+        }
+        if (!properties.total_breakdowns) return;
+
+        properties.breakdowns = inPeriod ? properties.period_breakdowns[period] || {} : properties.total_breakdowns;
+        if (group) {
+            const [dimension, category] = group.split(':');
+            properties.movement_count = getBreakdownCount(properties.breakdowns, group);
+            properties.breakdowns = { [dimension]: { [category]: properties.movement_count } };
+        }
+    });
+}
+
+/**
+ * Lists the distinct Flow categories present in the movement data, sorted alphabetically.
+ * @param {Object} geoJson - The GeoJSON object containing movement data.
+ * @returns {Array<string>} The unique, non-empty Flow values.
+ */
+function getFlowCategories(geoJson) {
+    const categories = new Set();
+    geoJson.features.forEach(feature => {
+        if (feature.properties.flow) categories.add(feature.properties.flow);
+    });
+    return Array.from(categories).sort();
+}
+
+/**
+ * Returns a new FeatureCollection holding only the movements that pass the given filters.
+ * Features are shared with the source collection so animation progress is preserved.
+ * @param {Object} geoJson - The GeoJSON object containing movement data.
+ * @param {Object} filters - The filter settings, shaped like filterConfig.
+ * @returns {Object} The filtered GeoJSON FeatureCollection.
+ */
+function filterMovementData(geoJson, filters) {
+    return {
+        type: 'FeatureCollection',
+        features: geoJson.features.filter(feature => {
+            const { flow, movement_count, period_counts } = feature.properties;
+            // Corridors with no movement in the current period or group are hidden entirely
+            if ((period_counts || filters.group) && movement_count <= 0) return false;
+            if (filters.flowType && flow !== filters.flowType) return false;
+            if (filters.minCount !== null && movement_count < filters.minCount) return false;
+            if (filters.maxCount !== null && movement_count > filters.maxCount) return false;
+            return true;
+        })
+    };
+}
+
+// Returns the movements leaving or arriving in a country
+function filterRelatedMovements(selectedCountry, geoJson) {
+    // Filter movements related to the selected country, either as origin or destination.
+    return geoJson.features.filter(feature =>
+        feature.properties.country_from === selectedCountry || feature.properties.country_to === selectedCountry
+    );
+}
+
+/**
+ * Aggregates movement counts for each country from GeoJSON data.
+ * @param {Object} geoJson - The GeoJSON object containing movement data.
+ * @param {Function} locate - Returns the [longitude, latitude] of a country name.
+ * @returns {Array} An array of GeoJSON features with aggregated movement counts.
+ */
+function aggregateMovementCounts(geoJson, locate) {
+    if (!geoJson || !Array.isArray(geoJson.features)) {
+        console.error('Invalid GeoJSON data provided to aggregateMovementCounts');
+        return []; // Return an empty array to avoid further processing errors
+    }
+
+    const aggregation = geoJson.features.reduce((acc, feature) => {
+        const { country_from, movement_count } = feature.properties;
+        // Initialize country entry in accumulator if not already present
+        if (!acc[country_from]) {
+            acc[country_from] = { count: 0, coordinates: locate(country_from), breakdowns: null };
+        }
+        acc[country_from].count += movement_count;
+        if (feature.properties.breakdowns) {
+            acc[country_from].breakdowns = addBreakdowns(acc[country_from].breakdowns || {}, feature.properties.breakdowns);
+        }
+        return acc;
+    }, {});
+
+    return Object.entries(aggregation).map(([country, data]) => {
+        const properties = { country_from: country, movement_count: data.count };
+        if (data.breakdowns) properties.breakdowns = data.breakdowns;
+        return {
+            type: "Feature",
+            properties,
+            geometry: { type: "Point", coordinates: data.coordinates }
+        };
+    });
+}
+
+/**
+ * Totals each country's departures for the global view.
+ * @param {Object} geoJson - The GeoJSON object containing movement data.
+ * @param {Function} locate - Returns the [longitude, latitude] of a country name.
+ * @returns {Array<Object>} One Point feature per origin country.
+ */
+function aggregateGlobalMovementCounts(geoJson, locate) {
+    // This function aggregates movement counts for all countries, creating a global overview.
+    let counts = {};
+    let breakdowns = {};
+    geoJson.features.forEach(feature => {
+        let country = feature.properties.country_from;
+        if (!counts[country]) counts[country] = 0;
+        counts[country] += feature.properties.movement_count;
+        if (feature.properties.breakdowns) breakdowns[country] = addBreakdowns(breakdowns[country] || {}, feature.properties.breakdowns);
+    });
+
+    // Convert the counts into the format expected by the bubble layer.
+    return Object.entries(counts).map(([country, count]) => {
+        const properties = {
+            country_from: country,
+            movement_count: count,
+        };
+        if (breakdowns[country]) properties.breakdowns = breakdowns[country];
+        return {
+            type: "Feature",
+            properties,
+            geometry: {
+                type: "Point",
+                coordinates: locate(country)
+            }
+        };
+    });
+}
+
+/**
+ * Aggregates movements around the selected country, keeping each country's arrivals and departures apart.
+ * For a partner country, inflow is what it receives from the selected country and outflow is what it
+ * sends there; net_flow is positive for net receivers and negative for net senders.
+ * With no selected country, every country gets its total arrivals and departures. Breakdowns are
+ * kept per direction in inflow_breakdowns and outflow_breakdowns, and for the bubble in breakdowns.
+ * @param {string|null} selectedCountry - The selected country name.
+ * @param {Array<Object>} movements - Movement features to or from the selected country.
+ * @param {Function} locate - Returns the [longitude, latitude] of a country name.
+ * @returns {Array<Object>} Aggregated data for the selected country and partner bubbles.
+ */
+function aggregateDataForBothDirections(selectedCountry, movements, locate) {
+    let aggregates = {};
+
+    movements.forEach(movement => {
+        const { country_from, country_to, movement_count, breakdowns } = movement.properties;
+        // Aggregate movements for the selected country as both source and destination
+        if (!aggregates[country_from]) aggregates[country_from] = { inflow: 0, outflow: 0, coordinates: [] };
+        if (!aggregates[country_to]) aggregates[country_to] = { inflow: 0, outflow: 0, coordinates: [] };
+
+        aggregates[country_from].outflow += movement_count;
+        aggregates[country_to].inflow += movement_count;
+        if (breakdowns) {
+            aggregates[country_from].outflowBreakdowns = addBreakdowns(aggregates[country_from].outflowBreakdowns || {}, breakdowns);
+            aggregates[country_to].inflowBreakdowns = addBreakdowns(aggregates[country_to].inflowBreakdowns || {}, breakdowns);
+        }
+
+        aggregates[country_from].coordinates = locate(country_from);
+        aggregates[country_to].coordinates = locate(country_to);
+    });
+
+    // Convert aggregates to GeoJSON features
+    let aggregatedData = Object.keys(aggregates).map(country => {
+        const { inflow, outflow, inflowBreakdowns, outflowBreakdowns, coordinates } = aggregates[country];
+        const properties = {
+            country_from: country,
+            movement_count: inflow + outflow,
+            inflow,
+            outflow,
+            net_flow: inflow - outflow,
+            is_selected: country === selectedCountry
+        };
+        if (inflowBreakdowns || outflowBreakdowns) {
+            properties.inflow_breakdowns = inflowBreakdowns || {};
+            properties.outflow_breakdowns = outflowBreakdowns || {};
+            properties.breakdowns = addBreakdowns(addBreakdowns({}, inflowBreakdowns), outflowBreakdowns);
+        }
+        return {
+            type: "Feature",
+            properties,
+            geometry: {
+                type: "Point",
+                coordinates
+            }
+        };
+    });
+
+    return aggregatedData;
+}
+
+/**
+ * Densifies the great circle between two points so it draws as a curved arc in any projection.
+ * Longitudes are unwrapped so arcs crossing the antimeridian stay continuous.
+ * @param {Array<number>} from - The [longitude, latitude] of the origin.
+ * @param {Array<number>} to - The [longitude, latitude] of the destination.
+ * @param {number} segments - The number of segments in the resulting line.
+ * @returns {Array<Array<number>>} The coordinates of the arc, including both endpoints.
+ */
+function buildGreatCircleArc(from, to, segments) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const toDegrees = radians => radians * 180 / Math.PI;
+    const [lng1, lat1] = from.map(toRadians);
+    const [lng2, lat2] = to.map(toRadians);
+
+    // Angular distance between the endpoints (haversine)
+    const angle = 2 * Math.asin(Math.sqrt(
+        Math.sin((lat2 - lat1) / 2) ** 2 +
+        Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2
+    ));
+    // Coincident or antipodal endpoints have no single great circle, so fall back to a straight line
+    if (angle < 1e-9 || Math.abs(angle - Math.PI) < 1e-9) return [from.slice(), to.slice()];
+
+    const coordinates = [];
+    for (let i = 0; i <= segments; i++) {
+        const fraction = i / segments;
+        const a = Math.sin((1 - fraction) * angle) / Math.sin(angle);
+        const b = Math.sin(fraction * angle) / Math.sin(angle);
+        const x = a * Math.cos(lat1) * Math.cos(lng1) + b * Math.cos(lat2) * Math.cos(lng2);
+        const y = a * Math.cos(lat1) * Math.sin(lng1) + b * Math.cos(lat2) * Math.sin(lng2);
+        const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+        let lng = toDegrees(Math.atan2(y, x));
+        const lat = toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y)));
+
+        if (coordinates.length) {
+            const previousLng = coordinates[coordinates.length - 1][0];
+            while (lng - previousLng > 180) lng -= 360;
+            while (lng - previousLng < -180) lng += 360;
+        }
+        coordinates.push([lng, lat]);
+    }
+    return coordinates;
+}
+
+// Node loads this file with require(); in the browser the functions above are globals, like those of i18n.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        movementDataDefaults,
+        requiredMovementColumns,
+        parseCsv,
+        mapColumns,
+        validateMovementRows,
+        validateMovementRow,
+        parseNumber,
+        isBlankValue,
+        isBlankRow,
+        buildGazetteerIndex,
+        normalizeCountryKey,
+        resolveRowCountries,
+        indexCountryCoordinates,
+        convertToGeoJson,
+        findPeriodColumn,
+        normalizePeriod,
+        findBreakdownColumns,
+        readRowBreakdowns,
+        addBreakdowns,
+        getBreakdownCount,
+        getBreakdownCategories,
+        mergeFeaturesByPeriod,
+        getPeriods,
+        applyPeriodToFeatures,
+        getFlowCategories,
+        filterMovementData,
+        filterRelatedMovements,
+        aggregateMovementCounts,
+        aggregateGlobalMovementCounts,
+        aggregateDataForBothDirections,
+        buildGreatCircleArc
+    };
+}
@@ -1,5 +1,5 @@
-// Configuration object for default values and settings
-const config = {
+// Default settings; any of them can be overridden per map through the options of createMovementMap
+const defaultConfig = {
     mapboxAccessToken: 'pk.eyJ1IjoidW5oY3IiLCJhIjoiOUQzQ2dnbyJ9.6ghfFmvxpu7HvHzXci_ogw',
     mapStyle: 'mapbox://styles/unhcr/ckvl4xy2mj45z15mpkq6w2nv8',
     initialCenter: [0, 20],
@@ -7,738 +7,5316 @@ const config = {
     globeProjection: true,
     terrainSource: 'mapbox://mapbox.terrain-rgb',
     terrainExaggeration: 1.5,
+    basemap: 'auto', // 'mapbox', 'offline', or 'auto' to switch to the offline basemap when Mapbox can't be reached
+    offlineLibraryUrl: './vendor/maplibre-gl/maplibre-gl.js', // MapLibre GL, loaded when the offline basemap is used
+    offlineLibraryStylesheetUrl: './vendor/maplibre-gl/maplibre-gl.css',
+    offlineBasemapUrl: './data/world_countries.geojson', // Low-resolution country polygons with ISO3 codes
+    offlineBasemapColors: { water: '#d4e4f1', land: '#f5f3ef', border: '#b8b2a7' },
+    offlineFallbackDelay: 8000, // Milliseconds to wait for the Mapbox style before switching to the offline basemap
     movementDataUrl: './data/movement_data.csv',
+    gazetteerUrl: './data/countries.json', // Country centroids keyed by ISO3 code, UNHCR name and aliases
+    regionsUrl: './data/regions.json', // Groupings of countries into regions, e.g. UNHCR bureaux; null for countries only
+    movementDataFormat: null, // 'csv', 'json', 'geojson' or 'xlsx'; null detects it from the URL or content
+    jsonRecordsPath: null, // Dot-separated path to the records array in JSON API responses, e.g. 'data.movements'
+    // Loaded on first Excel file. SheetJS is not bundled, so without a network connection only CSV and JSON
+    // load unless this points at a self-hosted copy
+    xlsxLibraryUrl: 'https://cdn.sheetjs.com/xlsx-0.20.1/package/dist/xlsx.full.min.js',
+    columnAliases: movementDataDefaults.columnAliases, // Alternative names accepted for each expected column
     spinningSpeed: -0.1,
     dotAnimationSpeed: 0.003,
     dotSpacing: 0.2,
     minimumDots: 1,
-    dotCountFactor: 100
-};
-
-// Configuration object for spinning behavior
-const spinningConfig = {
-    isEnabled: false, // Initially false, will be set to true by default after initialization
-    spinningSpeed: -0.1, // Initial spinning speed
-    animationFrameId: null, // ID for the requestAnimationFrame to manage spinning
+    dotCountFactor: 100,
+    periodColumns: movementDataDefaults.periodColumns, // Optional columns holding the reporting period of each row
+    periodGranularity: movementDataDefaults.periodGranularity, // 'quarter', 'month' or 'none'
+    breakdownDimensions: movementDataDefaults.breakdownDimensions, // Optional breakdown columns are named <dimension>_<category>, e.g. sex_female
+    breakdownColors: ['#0072bc', '#fbb03b', '#00b398', '#ef4a60', '#8ebfe6', '#6e4c9e', '#a6761d'], // Chart colours of each dimension's categories, in column order
+    breakdownUnspecifiedColor: '#cccccc', // Chart colour of the movements a breakdown doesn't account for
+    breakdownChartStyle: 'pie', // 'pie' or 'donut', for bubbles drawn as charts of a breakdown
+    timelineStepDuration: 2000, // Milliseconds each period stays on screen during playback
+    liveRefreshInterval: 0, // Seconds between re-fetches of the data URL for live displays; 0 turns polling off
+    liveEventsUrl: null, // Server-Sent Events endpoint; each message it sends re-fetches the data URL
+    liveHighlightDuration: 4000, // Milliseconds that corridors and bubbles whose counts changed in a refresh stay highlighted
+    liveHighlightColor: '#00e5ff', // Outline colour of the corridors and bubbles that changed in a refresh
+    storyUrl: null, // JSON script of a guided story; ?story= in the page URL overrides it on the map that keeps the URL
+    storyStepDuration: 10000, // Milliseconds each story step stays on screen during autoplay, unless the step sets its own
+    storyFlightDuration: 4000, // Milliseconds of the flight to each story step, unless the step's camera sets its own
+    arcSegments: movementDataDefaults.arcSegments, // Number of segments used to densify each great-circle corridor
+    flowLineWidthRange: [0.5, 6], // Line width in pixels for the smallest and largest corridor
+    flowLineColorRange: ['#9ecae1', '#08306b'], // Line colour for the smallest and largest corridor
+    frameBudget: 12, // Milliseconds of dot work allowed per frame before the dot density is reduced
+    minimumDotDensity: 0.1, // Lowest fraction of the full dot count drawn when frames run over budget
+    bubbleColor: '#B41C37', // Bubble colour in the global view and for the selected country
+    bubbleRadiusRange: [3, 40], // Radius in pixels of the smallest bubble and of the largest one shown; areas in between follow the count
+    bubbleClusterRadius: 40, // Pixels within which overlapping bubbles merge into a cluster, or 0 to never cluster
+    bubbleClusterMaxZoom: 3, // Highest zoom at which bubbles are clustered
+    bubbleClusterColor: '#6c757d', // Fill colour of a cluster of bubbles
+    selectionColors: {
+        outbound: '#e66101', // Movements leaving the selected country, and partners that mostly receive from it
+        inbound: '#5e3c99', // Movements arriving in the selected country, and partners that mostly send to it
+        balanced: '#f7f7f7' // Partners whose arrivals and departures cancel out
+    },
+    originColors: ['#1b9e77', '#d95f02', '#7570b3', '#e7298a', '#66a61e', '#e6ab02'], // One per origin compared on the map, which also caps how many can be compared
+    changeColors: {
+        decrease: '#2166ac', // Corridors and bubbles with fewer movements than the baseline
+        unchanged: '#f7f7f7',
+        increase: '#b2182b' // Corridors and bubbles with more movements than the baseline
+    },
+    partnerListLimit: 10, // Maximum number of rows in the top destinations and top origins tables
+    highlightColor: '#ffd60a', // Colour of a corridor highlighted from the information panel
+    countryBoundariesSource: 'mapbox://mapbox.country-boundaries-v1', // Vector tiles with ISO3 country polygons
+    choroplethClassCount: 5, // Number of classes for quantile and equal-interval breaks
+    exportTitle: 'Population movements', // Title drawn on exported images
+    dataSourceCaption: 'Source: UNHCR BIMS movement data', // Caption drawn on exported images
+    exportPixelRatio: 2, // Resolution multiplier for exported images, where the renderer supports it
+    urlStateDelay: 500, // Milliseconds to wait after the last change before writing the state to the URL
+    locale: null, // 'en', 'fr', 'es' or 'ar'; null uses ?lang=, the user's last choice or the browser language
+    spinOnLoad: true, // Start with the globe spinning
+    urlState: true, // Keep the view in the page URL; enable it for at most one map per page
+    keyboardShortcuts: true, // Listen for the keyboard shortcuts on the whole page
+    accentColor: '#007bff', // Button colour in the sidebar and timeline
+    rtlTextPluginUrl: './vendor/mapbox-gl-rtl-text/mapbox-gl-rtl-text.min.js', // Shapes Arabic map labels
+    choroplethPalettes: {
+        sequential: ['#fee5d9', '#fcae91', '#fb6a4a', '#de2d26', '#a50f15'], // Outbound, inbound and partner counts
+        diverging: ['#5e3c99', '#b2abd2', '#f7f7f7', '#fdb863', '#e66101'] // Net migration, from net senders to net receivers, matching selectionColors
+    }
 };
 
-// Initialize the Mapbox map
-mapboxgl.accessToken = config.mapboxAccessToken;
-let map = new mapboxgl.Map({
-    container: 'map',
-    style: config.mapStyle,
-    center: config.initialCenter,
-    zoom: config.initialZoom,
-    projection: config.globeProjection ? 'globe' : 'mercator'
-});
-map.doubleClickZoom.disable();
-
-let spinning = false;
-let animationFrameId;
-let selectedFromCountry = null;
-let selectedToCountry = null;
-let globalGeoJson;
-let animationFrameRequestID;
-const infoPanel = document.getElementById('info-panel');
-
-map.on('load', function () {
-    setFog();
-    fetchDataAndInitialize(config.movementDataUrl);
-    initializeSpinningGlobe();
-    spinningConfig.isEnabled = true; // Enable spinning by default
-    startSpinning(); // Start spinning immediately
-});
+let movementMapCount = 0; // Numbers each map so the ids in its markup are unique on the page
 
 /**
- * Sets the fog configuration for the map.
- * @param {object} map - The Mapbox GL map instance.
+ * Merges per-map options over the defaults. Nested settings objects such as selectionColors are
+ * merged key by key; arrays and other values replace the default.
+ * @param {Object} defaults - The default settings.
+ * @param {Object} options - The overrides.
+ * @returns {Object} The merged settings.
  */
-function setFog() {
-    map.setFog({
-        color: 'rgba(120, 144, 156, 0.5)',
-        'high-color': 'rgba(40, 54, 85, 0.5)',
-        'horizon-blend': 0.1,
-        'space-color': 'rgb(5, 5, 15)',
-        'star-intensity': 0.75
+function mergeOptions(defaults, options) {
+    const merged = Object.assign({}, defaults);
+    Object.entries(options || {}).forEach(([key, value]) => {
+        const isPlainObject = item => item && typeof item === 'object' && !Array.isArray(item);
+        merged[key] = isPlainObject(value) && isPlainObject(defaults[key]) ? Object.assign({}, defaults[key], value) : value;
     });
+    return merged;
 }
 
 /**
- * Fetches data and initializes map layers and animations with proper handling of CSV parsing.
- * This function integrates fetching, retry logic, and parsing seamlessly for better efficiency.
- * @param {string} dataUrl - The URL to fetch movement data from.
- * @returns {Promise<void>}
+ * Returns the controls, map, legend, timeline and information panel of one movement map.
+ * Elements are found through their data-ref names; the few ids needed by labels are prefixed.
+ * @param {string} id - The map's unique id prefix.
+ * @returns {string} The HTML markup.
  */
-async function fetchDataAndInitialize(dataUrl) {
-    try {
-        const csvData = await fetchWithRetry(dataUrl, 3, 1000);
-        const parsedData = await parseCsvAsync(csvData);
-        if (parsedData.data && parsedData.data.length > 0) {
-            globalGeoJson = convertToGeoJson(parsedData.data);
-            const aggregatedData = aggregateMovementCounts(globalGeoJson);
-            initializeMovingDotsSourceAndLayer();
-            animateDots();
-            addBubbleLayer(aggregatedData);
-        } else {
-            throw new Error('Parsed data is empty or invalid');
-        }
-    } catch (error) {
-        console.error('Error fetching or processing movement data:', error);
-    }
+function buildMovementMapMarkup(id) {
+    return `
+        <div data-ref="map-announcer" class="visually-hidden" role="status" aria-live="polite"></div>
+        <div class="sidebar">
+            <select data-ref="languageSelect" aria-label="Language" data-i18n-aria-label="language.label">
+                <option value="en" lang="en">English</option>
+                <option value="fr" lang="fr">Français</option>
+                <option value="es" lang="es">Español</option>
+                <option value="ar" lang="ar" dir="rtl">العربية</option>
+            </select>
+            <label for="${id}-countrySearch" class="visually-hidden" data-i18n="search.label">Country</label>
+            <input type="text" id="${id}-countrySearch" data-ref="countrySearch" class="country-search" list="${id}-countryList" placeholder="Search countries" autocomplete="off"
+                   aria-describedby="${id}-keyboard-help" data-i18n-placeholder="search.placeholder">
+            <datalist id="${id}-countryList" data-ref="countryList"></datalist>
+            <p data-ref="liveStatus" class="live-status" hidden></p>
+            <p id="${id}-keyboard-help" class="visually-hidden" data-i18n="search.help">
+                Shortcuts: slash to search, n and p for the next and previous country, s to toggle spinning, Page Down and Page Up to step through a story, Escape to close the details panel or story.
+            </p>
+            <select data-ref="flowTypeSelect" aria-label="Flow type" data-i18n-aria-label="filters.flowType">
+                <option value="" data-i18n="filters.allFlows">All flows</option>
+                <!-- Flow categories are added from the loaded data -->
+            </select>
+            <input type="number" data-ref="minCount" placeholder="Movement (Min)" aria-label="Minimum movement"
+                   data-i18n-placeholder="filters.minPlaceholder" data-i18n-aria-label="filters.minLabel">
+            <input type="number" data-ref="maxCount" placeholder="Movement (Max)" aria-label="Maximum movement"
+                   data-i18n-placeholder="filters.maxPlaceholder" data-i18n-aria-label="filters.maxLabel">
+            <select data-ref="breakdownGroup" aria-label="Population group" data-i18n-aria-label="breakdown.groupLabel" hidden>
+                <option value="" data-i18n="breakdown.everyone">Everyone</option>
+                <!-- Groups are added from the breakdown columns in the data -->
+            </select>
+            <button data-ref="applyFilters" data-i18n="filters.apply">Apply Filters</button>
+            <select data-ref="regionGrouping" aria-label="Group by" data-i18n-aria-label="regions.groupBy" hidden>
+                <option value="" data-i18n="regions.countries">Countries</option>
+                <!-- Groupings are added from the regions file -->
+            </select>
+            <button data-ref="regionBack" type="button" data-i18n="regions.back" hidden>All regions</button>
+            <button data-ref="storyStart" type="button" data-i18n="story.start" hidden>Play story</button>
+            <fieldset data-ref="displayMode" class="display-mode">
+                <legend data-i18n="display.legend">Display</legend>
+                <label><input type="radio" name="${id}-displayMode" value="bubbles" checked> <span data-i18n="display.bubbles">Bubbles</span></label>
+                <label><input type="radio" name="${id}-displayMode" value="choropleth"> <span data-i18n="display.choropleth">Choropleth</span></label>
+            </fieldset>
+            <div data-ref="breakdownChartOptions" class="breakdown-chart-options" hidden>
+                <select data-ref="breakdownChart" aria-label="Bubble charts" data-i18n-aria-label="breakdown.chartLabel">
+                    <option value="" data-i18n="breakdown.plainBubbles">Plain bubbles</option>
+                    <!-- One option per breakdown in the data -->
+                </select>
+                <select data-ref="breakdownChartStyle" aria-label="Chart style" data-i18n-aria-label="breakdown.styleLabel">
+                    <option value="pie" data-i18n="breakdown.pie">Pie charts</option>
+                    <option value="donut" data-i18n="breakdown.donut">Donut charts</option>
+                </select>
+            </div>
+            <div data-ref="choroplethOptions" hidden>
+                <select data-ref="choroplethMetric" aria-label="Metric" data-i18n-aria-label="choropleth.metric">
+                    <option value="outbound" data-i18n="metric.outbound">Total outbound</option>
+                    <option value="inbound" data-i18n="metric.inbound">Total inbound</option>
+                    <option value="net" data-i18n="metric.net">Net migration</option>
+                    <option value="partners" data-i18n="metric.partners">Number of partner countries</option>
+                </select>
+                <select data-ref="choroplethMethod" aria-label="Class breaks" data-i18n-aria-label="choropleth.method">
+                    <option value="quantile" data-i18n="method.quantile">Quantile breaks</option>
+                    <option value="equal" data-i18n="method.equal">Equal interval breaks</option>
+                    <option value="manual" data-i18n="method.manual">Manual breaks</option>
+                </select>
+                <input type="text" data-ref="choroplethBreaks" placeholder="Breaks, e.g. 10, 100, 1000" hidden
+                       data-i18n-placeholder="choropleth.breaksPlaceholder">
+            </div>
+            <details data-ref="export-menu" class="export-menu">
+                <summary data-i18n="export.title">Export</summary>
+                <div class="export-group">
+                    <span data-i18n="export.mapImage">Map image</span>
+                    <button data-ref="exportPng" type="button">PNG</button>
+                    <button data-ref="exportSvg" type="button">SVG</button>
+                </div>
+                <div class="export-group">
+                    <span data-i18n="export.corridors">Corridors</span>
+                    <button data-ref="exportCorridorsCsv" type="button">CSV</button>
+                    <button data-ref="exportCorridorsGeoJson" type="button">GeoJSON</button>
+                </div>
+                <div class="export-group">
+                    <span data-i18n="export.countryTotals">Country totals</span>
+                    <button data-ref="exportBubblesCsv" type="button">CSV</button>
+                    <button data-ref="exportBubblesGeoJson" type="button">GeoJSON</button>
+                </div>
+            </details>
+            <details data-ref="corridor-table-view" class="corridor-table-view">
+                <summary>Corridor table</summary>
+                <table class="corridor-table">
+                    <caption class="visually-hidden" data-i18n="corridorTable.caption">Movement corridors shown on the map. Column headers sort the table.</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col" data-sort-key="country_from"><button type="button" data-i18n="corridorTable.origin">Origin</button></th>
+                            <th scope="col" data-sort-key="country_to"><button type="button" data-i18n="corridorTable.destination">Destination</button></th>
+                            <th scope="col" data-sort-key="flow"><button type="button" data-i18n="corridorTable.flow">Flow</button></th>
+                            <th scope="col" data-sort-key="movement_count"><button type="button" data-i18n="corridorTable.movement">Movement</button></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </details>
+            <details data-ref="data-quality" class="data-quality" hidden>
+                <summary data-i18n="dataQuality.title">Data quality</summary>
+                <p class="data-quality-error" hidden></p>
+                <p class="data-quality-summary"></p>
+                <table class="data-quality-issues">
+                    <thead><tr><th data-i18n="dataQuality.line">Line</th><th data-i18n="dataQuality.issue">Issue</th></tr></thead>
+                    <tbody></tbody>
+                </table>
+            </details>
+        </div>
+        <div data-ref="map" class="movement-map-canvas" role="region" aria-label="Animated map of movements between countries. The corridor table lists the same data."
+             data-i18n-aria-label="map.label"></div>
+        <div data-ref="choropleth-legend" class="map-legend" hidden>
+            <h3></h3>
+            <ul></ul>
+        </div>
+        <div class="map-legend-stack">
+            <div data-ref="size-legend" class="map-legend size-legend" hidden>
+                <h3></h3>
+                <ul></ul>
+            </div>
+            <div data-ref="difference-legend" class="map-legend difference-legend" hidden>
+                <h3></h3>
+                <ul></ul>
+            </div>
+        </div>
+        <div data-ref="breakdown-legend" class="map-legend" hidden>
+            <h3></h3>
+            <ul></ul>
+        </div>
+        <div data-ref="timeline" class="timeline timeline-hidden">
+            <button data-ref="timelinePlay" type="button" data-i18n="timeline.play">Play</button>
+            <input type="range" data-ref="timelineSlider" min="0" max="0" step="1" value="0" aria-label="Period"
+                   data-i18n-aria-label="timeline.label">
+            <span data-ref="timelineLabel" class="timeline-label" data-i18n="timeline.allPeriods">All periods</span>
+        </div>
+        <div data-ref="story" class="story story-hidden" role="region" aria-label="Story" data-i18n-aria-label="story.label">
+            <button data-ref="storyClose" class="close-btn" type="button" aria-label="Close story" data-i18n-aria-label="story.close">×</button>
+            <h2 data-ref="storyTitle"></h2>
+            <p data-ref="storyCaption"></p>
+            <div class="story-controls">
+                <button data-ref="storyPrevious" type="button" data-i18n="story.previous">Previous</button>
+                <button data-ref="storyPlay" type="button" data-i18n="story.play">Play</button>
+                <button data-ref="storyNext" type="button" data-i18n="story.next">Next</button>
+                <span data-ref="storyProgress" class="story-progress"></span>
+            </div>
+        </div>
+        <div data-ref="info-panel" class="info-panel info-panel-hidden" role="region" inert aria-label="Details" data-i18n-aria-label="panel.label">
+            <button class="close-btn" type="button" aria-label="Close details" data-i18n-aria-label="panel.close">×</button>
+            <h1 data-i18n="panel.placeholderTitle">Info Title</h1>
+            <p data-i18n="panel.placeholderText">Details will appear here.</p>
+            <ul class="flow-balance"></ul>
+            <button data-ref="swapCorridor" class="swap-corridor" type="button" data-i18n="pair.swap" hidden>Swap direction</button>
+            <table data-ref="origins-comparison" class="origins-comparison" hidden>
+                <caption data-i18n="pair.caption">Selected origins</caption>
+                <thead>
+                    <tr>
+                        <th scope="col" data-i18n="panel.country">Country</th>
+                        <th scope="col" data-i18n="panel.arrivals">Arrivals</th>
+                        <th scope="col" data-i18n="panel.departures">Departures</th>
+                        <th scope="col"></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <div data-ref="pair-search" class="pair-search" hidden>
+                <label data-ref="destinationField">
+                    <span data-i18n="pair.destination">Corridor to</span>
+                    <input type="text" data-ref="destinationSearch" list="${id}-partnerList" placeholder="Pick a destination" autocomplete="off"
+                           data-i18n-placeholder="pair.destinationPlaceholder">
+                </label>
+                <label>
+                    <span data-i18n="pair.compare">Compare with</span>
+                    <input type="text" data-ref="originSearch" list="${id}-countryList" placeholder="Add an origin" autocomplete="off"
+                           data-i18n-placeholder="pair.comparePlaceholder">
+                </label>
+                <datalist id="${id}-partnerList" data-ref="partnerList"></datalist>
+                <p class="pair-hint" data-i18n="pair.hint">Shift-click a bubble to pick the destination, or Ctrl-click it to compare it.</p>
+            </div>
+            <table class="comparison-table" hidden>
+                <thead>
+                    <tr>
+                        <th scope="col"></th>
+                        <th scope="col" data-i18n="comparison.current">Current</th>
+                        <th scope="col" class="comparison-baseline-label"></th>
+                        <th scope="col" data-i18n="comparison.change">Change</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <table data-ref="breakdown-table" class="breakdown-table" hidden>
+                <caption data-i18n="breakdown.caption">Movements by group</caption>
+                <thead>
+                    <tr>
+                        <th scope="col" data-i18n="breakdown.group">Group</th>
+                        <th scope="col" data-i18n="panel.arrivals">Arrivals</th>
+                        <th scope="col" data-i18n="panel.departures">Departures</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <div class="period-sparkline" hidden></div>
+            <section class="partner-section">
+                <h2 data-i18n="panel.topDestinations">Top destinations</h2>
+                <table data-ref="destinations-table" class="partner-table">
+                    <thead><tr><th data-i18n="panel.country">Country</th><th data-i18n="panel.movement">Movement</th><th data-i18n="panel.share">Share</th></tr></thead>
+                    <tbody></tbody>
+                </table>
+            </section>
+            <section class="partner-section">
+                <h2 data-i18n="panel.topOrigins">Top origins</h2>
+                <table data-ref="origins-table" class="partner-table">
+                    <thead><tr><th data-i18n="panel.country">Country</th><th data-i18n="panel.movement">Movement</th><th data-i18n="panel.share">Share</th></tr></thead>
+                    <tbody></tbody>
+                </table>
+            </section>
+        </div>
+    `;
 }
 
 /**
- * Wraps Papa Parse's parse method in a promise for use with async/await, ensuring CSV parsing is handled asynchronously.
- * @param {string} csvData - The CSV data as a string.
- * @returns {Promise<Object>} - A promise that resolves with the parsed CSV data.
+ * Creates a movement map in a container element: builds its controls, loads the data and starts
+ * the animation. Several maps can run on one page, each with its own state. The map dispatches
+ * 'mapready', 'countryselected', 'corridorselected', 'originscompared', 'dataloaded', 'dataupdated',
+ * 'filterchanged', 'localechanged' and 'storystep' events on the container.
+ * @param {HTMLElement|string} container - The element to render into, or its id.
+ * @param {Object} [options] - Overrides for any of the settings in defaultConfig.
+ * @returns {Object} The map's API: map, container, locale, on, off, selectCountry, selectCorridor, compareOrigins,
+ * clearSelection, loadData, refreshData, loadStory, endStory, getCorridors, setComparison, setRegionGrouping,
+ * setLocale and destroy.
  */
-function parseCsvAsync(csvData) {
-    return new Promise((resolve, reject) => {
-        Papa.parse(csvData, {
-            header: true,
-            complete: results => {
-                if (results && results.data) {
-                    resolve(results);
-                } else {
-                    reject(new Error('No data found in CSV.'));
-                }
-            },
-            error: reject
+function createMovementMap(container, options = {}) {
+    const root = typeof container === 'string' ? document.getElementById(container) : container;
+    if (!root) throw new Error(`Movement map container not found: ${container}`);
+
+    const config = mergeOptions(defaultConfig, options);
+    root.classList.add('movement-map');
+    root.style.setProperty('--movement-map-accent', config.accentColor);
+    root.innerHTML = buildMovementMapMarkup(`movement-map-${++movementMapCount}`);
+
+    // Finds one of this map's own elements by its data-ref name
+    function getElement(name) {
+        return root.querySelector(`[data-ref="${name}"]`);
+    }
+
+    // Dispatches one of the map's events on its container
+    function emit(type, detail) {
+        root.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    let currentLocale = i18n.fallbackLocale; // Interface language of this map, chosen by initializeLocale
+
+    // Looks up a message in this map's interface language
+    function t(key, params) {
+        return translate(currentLocale, key, params);
+    }
+
+    // Configuration object for spinning behavior
+    const spinningConfig = {
+        isEnabled: false, // Initially false, will be set to true by default after initialization
+        spinningSpeed: config.spinningSpeed, // Initial spinning speed
+        animationFrameId: null, // ID for the requestAnimationFrame to manage spinning
+    };
+
+    // Active sidebar filters, applied to globalGeoJson to produce filteredGeoJson
+    const filterConfig = {
+        flowType: '', // Empty string matches every Flow category
+        minCount: null, // Inclusive lower bound on movement_count, null for no bound
+        maxCount: null, // Inclusive upper bound on movement_count, null for no bound
+        group: '' // Empty string counts everyone; 'dimension:category' such as 'sex:female' counts one group
+    };
+
+    // Demographic breakdowns from the optional breakdown columns, and bubbles drawn as charts of one of them
+    const breakdownConfig = {
+        categories: {}, // Category names by dimension, as found by getBreakdownCategories
+        chart: '', // The dimension charted in the bubbles, or '' for plain bubbles
+        style: config.breakdownChartStyle, // 'pie' or 'donut'
+        charts: new Map() // Country name to { marker, radius, slices } of each chart on the map
+    };
+
+    // Regional view: countries merged into the regions of one grouping, applied after the filters
+    const regionConfig = {
+        groupings: [], // { id, name, regions: [{ name, countries, centroid }] } from config.regionsUrl
+        grouping: null, // The active grouping, or null to show countries
+        drilledRegion: null, // Name of the region shown as its member countries, if any
+        regionsByCountry: new Map(), // Country name to its region in the active grouping
+        loading: null // Promise for the regions request, shared by every caller
+    };
+
+    // Country-level display mode: the bubble layer, or country polygons shaded by a metric
+    const choroplethConfig = {
+        enabled: false,
+        metric: 'outbound', // 'outbound', 'inbound', 'net' or 'partners'
+        method: 'quantile', // 'quantile', 'equal' or 'manual'
+        manualBreaks: [] // Ascending class boundaries used by the 'manual' method
+    };
+
+    // Timeline state for replaying movements period by period
+    const timelineConfig = {
+        periods: [], // Sorted period keys found in the data
+        currentIndex: -1, // Index into periods, -1 shows the total across all periods
+        isPlaying: false,
+        lastStepTime: 0 // Timestamp of the last automatic step during playback
+    };
+
+    // Guided story: scripted steps that each set the camera, selection, filters and a caption
+    const storyConfig = {
+        script: null, // { title, loop, steps } as loaded by loadStory
+        currentIndex: -1, // Index of the step on screen, -1 while the story is closed
+        isPlaying: false, // Whether the steps advance automatically
+        stepStartTime: 0, // Timestamp at which the current step was shown
+        requested: false // Whether the story named in the page URL or settings has been requested
+    };
+
+    // Difference view: corridors and bubbles coloured by their change from a baseline, e.g. another dataset or period
+    const comparisonConfig = {
+        baseline: null, // FeatureCollection of the baseline movements, or null when not comparing
+        label: '', // Name of the baseline in the legend, tooltips and information panel
+        measure: 'absolute' // 'absolute' for the difference in movements, 'percent' for the change relative to the baseline
+    };
+
+    // Sort order of the accessible corridor table
+    const corridorTableConfig = {
+        sortKey: 'movement_count', // 'country_from', 'country_to', 'flow' or 'movement_count'
+        ascending: false
+    };
+
+    // Live refresh: the data URL is re-fetched on a timer or on Server-Sent Events and merged in place
+    const liveConfig = {
+        url: null, // Data URL kept up to date; null for dropped files, which cannot be re-fetched
+        format: null, // Data format of the URL, or null to detect it
+        polling: false, // Whether a re-fetch is scheduled every config.liveRefreshInterval seconds
+        timeoutId: null,
+        eventSource: null, // Connection to config.liveEventsUrl, if any
+        refreshing: false, // Set while a re-fetch is in progress
+        pending: false, // Set when a trigger arrives during a re-fetch, which then runs one more when it ends
+        lastUpdated: null, // Date of the last successful load or refresh
+        lastFailed: null, // Date of the last failed refresh, cleared by the next successful one
+        highlightTimeoutId: null
+    };
+
+    let map = null; // Created by createMap, on Mapbox GL or on MapLibre for the offline basemap
+    let mapLibrary = null; // mapboxgl or maplibregl, whichever created the map
+    let hoverPopup = null;
+    let usingOfflineBasemap = false;
+    let offlineFallbackTimeoutId = null;
+    let spinning = false;
+    let animationFrameId;
+    let selectedFromCountry = null;
+    let selectedToCountry = null; // Destination of the corridor isolated from selectedFromCountry, if any
+    let comparedOrigins = []; // Further origins shown next to selectedFromCountry, each in its own colour
+    let globalGeoJson;
+    let filteredGeoJson;
+    let animationFrameRequestID;
+    let countryCoordinates = new Map(); // Canonical [longitude, latitude] of every country in the loaded data
+    let urlStateRestored = false; // The URL is only written once any deep link in it has been applied
+    let urlStateTimeoutId = null;
+    let choroplethLegendEntries = []; // { color, label } per class, as shown in the choropleth legend
+    let bubbleMaxCount = 0; // Movement count of the largest bubble shown, drawn at the largest radius; 0 when there are none
+    let dataQualityReport = null; // The last validation report, kept so it can be redrawn in another language
+    let dataLoadError = null; // { source, message } of the last data that failed to load, until data loads again
+    const originalLabelFields = new Map(); // The style's own text-field per symbol layer, before localisation
+    const regionNames = new Map(); // Intl.DisplayNames per locale, for translated country names
+    let inspectedCorridor = null; // { from, to } of the corridor shown in the information panel, if any
+    let hoverInteractionsInitialized = false;
+    let bubbleLayerEventsInitialized = false;
+    let destroyed = false; // Set by destroy(); data still loading when the map is destroyed is dropped
+    let highlightedCorridor = null; // { from, to } of the corridor highlighted from the information panel
+    const corridorPathCache = new WeakMap(); // Densified great-circle coordinates per corridor feature
+    let regionFeatureCache = new Map(); // Merged region corridors by 'from|to', reused so their dots keep moving
+
+    // State for the moving dots animation, kept between frames to avoid per-frame allocations
+    const dotAnimationState = {
+        data: { type: 'FeatureCollection', features: [] }, // Dot features reused frame to frame
+        density: 1, // Fraction of the full dot count drawn, lowered when frames run over budget
+        lastFrameTime: null // Timestamp of the previous frame, used for time-based progress
+    };
+    const infoPanel = getElement('info-panel');
+
+    initializeLocale();
+    createMap();
+
+    /**
+     * Creates the map on Mapbox GL, or on MapLibre with the bundled basemap when the basemap option asks for it,
+     * Mapbox GL didn't load, there is no access token or the browser is offline. In 'auto' mode a Mapbox map whose
+     * style fails to load, e.g. because the token is rejected or the network is down, is replaced by the offline one.
+     */
+    function createMap() {
+        const mapboxAvailable = typeof mapboxgl !== 'undefined' && Boolean(config.mapboxAccessToken) && navigator.onLine !== false;
+        if (config.basemap === 'offline' || (config.basemap === 'auto' && !mapboxAvailable)) {
+            createOfflineMap();
+            return;
+        }
+
+        mapboxgl.accessToken = config.mapboxAccessToken;
+        // Loaded lazily, only once the map has right-to-left labels to draw
+        if (mapboxgl.getRTLTextPluginStatus && mapboxgl.getRTLTextPluginStatus() === 'unavailable') {
+            mapboxgl.setRTLTextPlugin(config.rtlTextPluginUrl, null, true);
+        }
+        map = new mapboxgl.Map({
+            container: getElement('map'),
+            accessToken: config.mapboxAccessToken,
+            style: config.mapStyle,
+            center: config.initialCenter,
+            zoom: config.initialZoom,
+            projection: config.globeProjection ? 'globe' : 'mercator'
         });
-    });
-}
+        initializeMap(mapboxgl);
+        if (config.basemap !== 'auto') return;
 
-/**
- * Attempts to fetch data from a URL with retries on failure, leveraging async/await for clarity.
- * @param {string} url - The URL to fetch data from.
- * @param {number} retries - Number of allowed retries.
- * @param {number} delay - Delay between retries in milliseconds.
- * @returns {Promise<string>} - The fetched data as text if successful.
- */
-async function fetchWithRetry(url, retries, delay) {
-    let error;
-    for (let attempt = 0; attempt < retries; attempt++) {
+        let styleLoaded = false;
+        const fallBackToOfflineMap = error => {
+            if (styleLoaded || destroyed) return;
+            styleLoaded = true; // Only switch once
+            clearTimeout(offlineFallbackTimeoutId);
+            console.warn('Mapbox is unavailable, switching to the offline basemap:', error);
+            hoverPopup.remove();
+            hoverPopup = null;
+            map.remove();
+            map = null; // Nothing may reach the removed map while MapLibre loads
+            createOfflineMap();
+        };
+        map.on('error', event => fallBackToOfflineMap(event.error));
+        map.once('style.load', () => {
+            styleLoaded = true;
+            clearTimeout(offlineFallbackTimeoutId);
+        });
+        offlineFallbackTimeoutId = setTimeout(() => fallBackToOfflineMap(new Error('Timed out loading the map style')), config.offlineFallbackDelay);
+    }
+
+    // Creates the map on MapLibre GL with the bundled basemap, loading the vendored library first if needed
+    async function createOfflineMap() {
+        usingOfflineBasemap = true;
+        root.classList.add('movement-map-offline');
         try {
-            const response = await fetch(url);
-            if (!response.ok) throw new Error(`Request failed with status: ${response.status}`);
-            return await response.text();
-        } catch (err) {
-            error = err;
-            console.log(`Attempt ${attempt + 1} failed: ${err.message}. Retrying after ${delay}ms...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
+            if (typeof maplibregl === 'undefined') {
+                loadStylesheet(config.offlineLibraryStylesheetUrl);
+                await loadScript(config.offlineLibraryUrl);
+            }
+        } catch (error) {
+            console.error('Error loading the offline map library:', error);
+            return;
         }
+        if (destroyed) return;
+
+        map = new maplibregl.Map({
+            container: getElement('map'),
+            style: buildOfflineStyle(),
+            center: config.initialCenter,
+            zoom: config.initialZoom
+        });
+        initializeMap(maplibregl);
     }
-    throw error;
-}
 
-// Initializes the spinning globe feature and user interactions
-function initializeSpinningGlobe() {
-    map.on('dblclick', () => toggleSpinning(!spinningConfig.isEnabled));
-    map.on('dragstart', () => stopSpinning());
-    map.on('pitchstart', () => stopSpinning());
-}
+    // Sets up what both renderers share: the tooltip popup, double-click behaviour and the load handler
+    function initializeMap(library) {
+        mapLibrary = library;
+        map.doubleClickZoom.disable();
+        hoverPopup = new library.Popup({ closeButton: false, closeOnClick: false, offset: 10, className: 'movement-tooltip' });
+        map.on('load', handleMapLoad);
+    }
 
-// Toggles the spinning state and either starts or stops the spinning
-function toggleSpinning(enableSpinning) {
-    spinningConfig.isEnabled = enableSpinning;
-    if (enableSpinning) {
-        startSpinning();
-    } else {
-        stopSpinning();
+    /**
+     * Builds the offline style: the bundled country polygons over a plain ocean, without labels,
+     * since glyphs would have to come from a server too.
+     * @returns {Object} A MapLibre style.
+     */
+    function buildOfflineStyle() {
+        const colors = config.offlineBasemapColors;
+        return {
+            version: 8,
+            projection: { type: config.globeProjection ? 'globe' : 'mercator' },
+            sky: { 'atmosphere-blend': 0.5 },
+            sources: {
+                // Resolved here because the worker that fetches GeoJSON doesn't know the page's URL
+                'offline-countries': { type: 'geojson', data: new URL(config.offlineBasemapUrl, document.baseURI).href }
+            },
+            layers: [
+                { id: 'offline-water', type: 'background', paint: { 'background-color': colors.water } },
+                { id: 'offline-land', type: 'fill', source: 'offline-countries', paint: { 'fill-color': colors.land } },
+                { id: 'offline-borders', type: 'line', source: 'offline-countries', paint: { 'line-color': colors.border, 'line-width': 0.5 } }
+            ]
+        };
     }
-}
-// Starts the spinning animation of the globe
-function startSpinning() {
-    if (spinningConfig.animationFrameId) return; // Avoid starting multiple spin animations
-    spinGlobe();
-}
 
-// Stops the spinning animation of the globe
-function stopSpinning() {
-    if (spinningConfig.animationFrameId) {
-        cancelAnimationFrame(spinningConfig.animationFrameId);
-        spinningConfig.animationFrameId = null;
+    // Loads the data and wires up the controls once the map is ready
+    function handleMapLoad() {
+        setFog();
+        localizeMapLabels();
+        fetchDataAndInitialize(config.movementDataUrl);
+        initializeFileDropTarget();
+        initializeSpinningGlobe();
+        spinningConfig.isEnabled = config.spinOnLoad;
+        startSpinning(); // Start spinning immediately
+        map.on('moveend', scheduleUrlStateUpdate);
+        initializeExportMenu();
+        if (config.keyboardShortcuts) document.addEventListener('keydown', handleKeyboardShortcut);
+        infoPanel.querySelector('.close-btn').addEventListener('click', hideInformationPanel);
+        initializeStoryControls();
+        if (config.urlState) window.addEventListener('hashchange', handleHashChange);
+        emit('mapready', { map });
     }
-}
 
-function adjustSpinning(shouldSpin) {
-    spinning = shouldSpin;
-    if (spinning) {
-        spinGlobe();
-    } else {
-        if (animationFrameId) cancelAnimationFrame(animationFrameId);
+    /**
+     * Sets the fog configuration for the map.
+     * @param {object} map - The Mapbox GL map instance.
+     */
+    function setFog() {
+        if (usingOfflineBasemap) return; // MapLibre has no fog; the offline style sets its own sky
+        map.setFog({
+            color: 'rgba(120, 144, 156, 0.5)',
+            'high-color': 'rgba(40, 54, 85, 0.5)',
+            'horizon-blend': 0.1,
+            'space-color': 'rgb(5, 5, 15)',
+            'star-intensity': 0.75
+        });
     }
-}
 
-// Spin the globe by updating the map's center longitude
-function spinGlobe() {
-    if (!spinningConfig.isEnabled) return; // Exit if spinning is disabled
+    // Switches between the 'globe' and 'mercator' projections; MapLibre takes them as objects
+    function setMapProjection(name) {
+        map.setProjection(usingOfflineBasemap ? { type: name } : name);
+    }
 
-    const center = map.getCenter();
-    center.lng = (center.lng + spinningConfig.spinningSpeed) % 360;
-    map.setCenter(center);
+    // Returns 'globe' or 'mercator', whichever renderer draws the map
+    function getMapProjection() {
+        const projection = map.getProjection();
+        return projection ? projection.name || projection.type : 'mercator';
+    }
 
-    spinningConfig.animationFrameId = requestAnimationFrame(spinGlobe);
-}
+    /**
+     * Fetches data and initializes map layers and animations, picking the loader that matches the data format.
+     * This function integrates fetching, retry logic, and parsing seamlessly for better efficiency.
+     * @param {string} dataUrl - The URL to fetch movement data from.
+     * @param {string} [format] - The data format; detected from the URL or content when omitted.
+     * @returns {Promise<void>}
+     */
+    async function fetchDataAndInitialize(dataUrl, format = config.movementDataFormat) {
+        try {
+            const { content, loader } = await fetchMovementContent(dataUrl, format);
+            await loadGazetteer();
+            await loadRegions();
+            const rows = await loader.parse(content);
+            if (destroyed) return;
+            initializeMovementData(rows, loader.firstLine);
+            startLiveUpdates(dataUrl, format);
+            restoreUrlState();
+            await loadInitialStory();
+        } catch (error) {
+            console.error('Error fetching or processing movement data:', error);
+            if (!destroyed) showDataLoadError(dataUrl, error);
+        }
+    }
 
-// Utility function to convert CSV data to GeoJSON format
-function convertToGeoJson(csvData) {
-    try {
-        return {
-            type: "FeatureCollection",
-            features: csvData.map(row => {
-                if (!row.country_from || !row.country_to) return null;
-                return {
-                    type: "Feature",
-                    geometry: {
-                        type: "LineString",
-                        coordinates: [
-                            [parseFloat(row.longitude_from), parseFloat(row.latitude_from)],
-                            [parseFloat(row.longitude_to), parseFloat(row.latitude_to)]
-                        ]
-                    },
-                    properties: {
-                        country_from: row.country_from,
-                        country_to: row.country_to,
-                        movement_count: parseInt(row.movement_count, 10),
-                        progress: 0,
-                        speed: calculateSpeedBasedOnData(row)
-                    }
-                };
-            }).filter(feature => feature !== null)
-        };
-    } catch (error) {
-        console.error('Error converting CSV to GeoJSON:', error);
-        return { type: "FeatureCollection", features: [] };
+    /**
+     * Fetches movement data and picks the loader for its format.
+     * @param {string} dataUrl - The URL to fetch movement data from.
+     * @param {string} [format] - The data format; detected from the URL or content when omitted.
+     * @returns {Promise<Object>} { content, loader } with the text or ArrayBuffer fetched and its loader.
+     */
+    async function fetchMovementContent(dataUrl, format) {
+        const knownFormat = format || detectDataFormat(dataUrl);
+        const binary = knownFormat ? getDataLoader(knownFormat).binary : false;
+        const content = await fetchWithRetry(dataUrl, 3, 1000, binary ? 'arrayBuffer' : 'text');
+        return { content, loader: getDataLoader(knownFormat || detectDataFormat(dataUrl, content)) };
     }
-}
 
-//Utility function to create speed
-function calculateSpeedBasedOnData(row) {
-    // Example calculation, could be based on 'movement_count' or any other metric
-    const baseSpeed = config.dotAnimationSpeed; // Use the global config as a base
-    const speedFactor = row.movement_count / 50; // scale speed by movement count
-    return baseSpeed * (1 + speedFactor); // Adjust speed based on the factor
-}
+    /**
+     * Validates loaded rows, converts the valid ones into the movement GeoJSON and (re)initializes
+     * map layers, controls and animations.
+     * @param {Array<Object>} rows - Movement records, before column mapping.
+     * @param {number} [firstLine=2] - Source line number of the first record, for the data-quality report.
+     */
+    function initializeMovementData(rows, firstLine = 2) {
+        const { validRows, report } = validateLoadedRows(rows, firstLine);
+
+        // A new dataset may not contain the selected country, so return to the global view first
+        if (selectedFromCountry) hideInformationPanel();
+        clearLiveChangeHighlight();
+
+        globalGeoJson = convertToGeoJson(validRows, config);
+        initializeBreakdownControls(globalGeoJson);
+        // The timeline of a new dataset starts at the total across all periods
+        applyPeriodToFeatures(globalGeoJson, null, filterConfig.group || null);
+        setAnimationSpeeds(globalGeoJson);
+        countryCoordinates = indexCountryCoordinates(globalGeoJson);
+        initializeFilterControls(globalGeoJson);
+        initializeRegionControls();
+        filteredGeoJson = getDisplayedMovements();
+        initializeTimeline(globalGeoJson);
+        const aggregatedData = aggregateMovementCounts(filteredGeoJson, getCountryCoordinates);
+        initializeChoroplethLayer();
+        initializeChoroplethControls();
+        initializeFlowLinesSourceAndLayer();
+        initializeCorridorHighlightLayer();
+        initializeMovingDotsSourceAndLayer();
+        updateFlowLines();
+        animateDots();
+        addBubbleLayer(aggregatedData);
+        updateChoropleth();
+        initializeHoverInteractions();
+        initializeCountrySearch();
+        initializePairSearch();
+        initializeCorridorTable();
+        emit('dataloaded', { corridors: globalGeoJson.features.length, countries: countryCoordinates.size, report });
+    }
+
+    /**
+     * Validates loaded rows and shows the data-quality report.
+     * @param {Array<Object>} rows - Movement records, before column mapping.
+     * @param {number} firstLine - Source line number of the first record, for the data-quality report.
+     * @returns {Object} { validRows, report } from validateMovementRows.
+     */
+    function validateLoadedRows(rows, firstLine) {
+        if (!Array.isArray(rows) || rows.length === 0) {
+            throw new Error('Parsed data is empty or invalid');
+        }
 
-// Function to initialize moving dots source and layer if they don't exist
-function initializeMovingDotsSourceAndLayer() {
-    // Check if the source already exists to avoid redundant operations
-    if (!map.getSource('moving-dots')) {
-        map.addSource('moving-dots', {
-            type: 'geojson',
-            data: { type: 'FeatureCollection', features: [] }
+        const { validRows, report } = validateMovementRows(mapColumns(rows, config.columnAliases), firstLine, {
+            resolveCountry,
+            periodColumns: config.periodColumns,
+            breakdownDimensions: config.breakdownDimensions
+        });
+        report.rejected.concat(report.warnings).slice(0, 50).forEach(issue => {
+            console.warn(`Movement data line ${issue.line}: ${issue.reasons ? issue.reasons.join('; ') : issue.message}`);
         });
+        dataLoadError = null;
+        dataQualityReport = report;
+        renderDataQualityReport(report);
+        if (validRows.length === 0) {
+            throw new Error('No movement rows passed validation');
+        }
+        return { validRows, report };
     }
 
-    // Similarly, check if the layer already exists before attempting to add it
-    if (!map.getLayer('moving-dots-layer')) {
-        map.addLayer({
-            id: 'moving-dots-layer',
-            type: 'circle',
-            source: 'moving-dots',
-            paint: {
-                'circle-radius': 2,
-                'circle-color': '#007cbf'
+    /**
+     * Merges refreshed rows into the loaded data without restarting the animation or leaving the current
+     * view: corridors that remain keep their dots, and the selection, filters, period and camera stay as
+     * they are. Corridors and bubbles whose counts changed are highlighted for a moment.
+     * @param {Array<Object>} rows - Movement records, before column mapping.
+     * @param {number} [firstLine=2] - Source line number of the first record, for the data-quality report.
+     * @returns {Object} The numbers of corridors { added, removed, changed }.
+     */
+    function updateMovementData(rows, firstLine = 2) {
+        const { validRows, report } = validateLoadedRows(rows, firstLine);
+        const before = getDisplayedCounts();
+        const changes = mergeMovementFeatures(convertToGeoJson(validRows, config));
+
+        if (changes.added || changes.removed || changes.changed) {
+            countryCoordinates = indexCountryCoordinates(globalGeoJson);
+            initializeBreakdownControls(globalGeoJson);
+            initializeFilterControls(globalGeoJson);
+            updateTimelinePeriods(globalGeoJson);
+            applyFeatureCounts();
+            filteredGeoJson = getDisplayedMovements();
+
+            updateFlowLines();
+            refreshBubbleVisualization();
+            updateChoropleth();
+            refreshInformationPanel();
+            renderCorridorTable();
+            initializeCountrySearch();
+            const highlighted = highlightLiveChanges(before, getDisplayedCounts());
+            if (highlighted) announce(t('announce.updated', { count: formatNumber(highlighted) }));
+        }
+        emit('dataupdated', Object.assign({ report }, changes));
+        return changes;
+    }
+
+    /**
+     * Updates globalGeoJson in place to match refreshed data. A corridor that is still there keeps its
+     * feature object, and with it its dots' progress and cached arc, while its counts, periods and
+     * breakdowns are replaced.
+     * @param {Object} geoJson - The refreshed movement GeoJSON.
+     * @returns {Object} The numbers of corridors { added, removed, changed }.
+     */
+    function mergeMovementFeatures(geoJson) {
+        // Validation rejects repeated pairs and period rows are merged, so each pair has one feature
+        const indexFeatures = features => new Map(features.map(feature => [
+            `${feature.properties.country_from}|${feature.properties.country_to}`, feature
+        ]));
+        // Only the loaded values count; movement_count and breakdowns change with the period and group shown
+        const describeData = ({ flow, iso3_from, iso3_to, movement_count, total_movement_count, period_counts, total_breakdowns, period_breakdowns }) =>
+            JSON.stringify([flow, iso3_from, iso3_to, total_movement_count === undefined ? movement_count : total_movement_count,
+                period_counts, total_breakdowns, period_breakdowns]);
+
+        const current = indexFeatures(globalGeoJson.features);
+        const changes = { added: 0, removed: 0, changed: 0 };
+        const features = [];
+        indexFeatures(geoJson.features).forEach((update, key) => {
+            const feature = current.get(key);
+            current.delete(key);
+            if (!feature) {
+                changes.added++;
+                features.push(update);
+                return;
+            }
+            features.push(feature);
+            const moved = JSON.stringify(feature.geometry.coordinates) !== JSON.stringify(update.geometry.coordinates);
+            if (!moved && describeData(feature.properties) === describeData(update.properties)) return;
+
+            changes.changed++;
+            const { progress, speed } = feature.properties;
+            feature.properties = Object.assign(update.properties, { progress, speed });
+            if (moved) {
+                feature.geometry = update.geometry;
+                corridorPathCache.delete(feature);
             }
         });
-    } else {
-        // If the layer already exists, you can opt to update its properties or data source if necessary
-        // For example, to update the data source (if your application logic requires it):
-        // map.getSource('moving-dots').setData(newGeoJsonData);
+        changes.removed = current.size;
+        globalGeoJson.features = features;
+        return changes;
     }
-}
 
-// Function to animate moving dots based on GeoJSON features
-function animateDots() {
-    if (animationFrameRequestID) {
-        cancelAnimationFrame(animationFrameRequestID);
+    // The counts of the corridors and bubbles on the map, compared before and after a refresh
+    function getDisplayedCounts() {
+        const corridors = new Map();
+        getVisibleCorridors().forEach(feature => {
+            const key = `${feature.properties.country_from}|${feature.properties.country_to}`;
+            corridors.set(key, (corridors.get(key) || 0) + feature.properties.movement_count);
+        });
+        const bubbles = new Map(getCurrentBubbleData().map(feature => [feature.properties.country_from, feature.properties.movement_count]));
+        return { corridors, bubbles };
     }
 
-    if (!globalGeoJson) return;
-    animationFrameRequestID = requestAnimationFrame(animateDots);
+    /**
+     * Outlines the corridors and bubbles whose displayed counts differ between two getDisplayedCounts
+     * results, or that are new, for config.liveHighlightDuration.
+     * @param {Object} before - The counts before the refresh.
+     * @param {Object} after - The counts after the refresh.
+     * @returns {number} The number of corridors highlighted.
+     */
+    function highlightLiveChanges(before, after) {
+        const changedKeys = (previous, current) => Array.from(current.keys()).filter(key => previous.get(key) !== current.get(key));
+        const corridors = changedKeys(before.corridors, after.corridors);
+        const countries = changedKeys(before.bubbles, after.bubbles);
 
-    const movingDotsData = globalGeoJson.features.reduce((acc, feature) => {
-        // Adjust logic to include dots both leaving from and arriving at the selected country
-        if (selectedFromCountry && feature.properties.country_from !== selectedFromCountry && feature.properties.country_to !== selectedFromCountry) {
-            return acc; // Skip dots not related to the selected country
+        initializeLiveChangeLayers();
+        if (map.getLayer('live-changes-lines-layer')) {
+            map.setFilter('live-changes-lines-layer',
+                ['in', ['concat', ['get', 'country_from'], '|', ['get', 'country_to']], ['literal', corridors]]);
         }
-        if (selectedToCountry && feature.properties.country_to !== selectedToCountry && feature.properties.country_from !== selectedToCountry) {
-            return acc; // Similarly, skip dots not related to the selected destination
+        if (map.getLayer('live-changes-bubbles-layer')) {
+            map.setPaintProperty('live-changes-bubbles-layer', 'circle-radius', ['+', getBubbleRadiusExpression(), 3]);
+            map.setFilter('live-changes-bubbles-layer', ['in', ['get', 'country_from'], ['literal', countries]]);
         }
-        generateMovingDotsForFeature(feature, acc);
-        return acc;
-    }, { type: 'FeatureCollection', features: [] });
+        clearTimeout(liveConfig.highlightTimeoutId);
+        liveConfig.highlightTimeoutId = setTimeout(clearLiveChangeHighlight, config.liveHighlightDuration);
+        return corridors.length;
+    }
 
-    map.getSource('moving-dots').setData(movingDotsData);
+    // Removes the outline from the corridors and bubbles changed by the last refresh
+    function clearLiveChangeHighlight() {
+        clearTimeout(liveConfig.highlightTimeoutId);
+        if (map.getLayer('live-changes-lines-layer')) map.setFilter('live-changes-lines-layer', ['==', ['get', 'country_from'], '']);
+        if (map.getLayer('live-changes-bubbles-layer')) map.setFilter('live-changes-bubbles-layer', ['==', ['get', 'country_from'], '']);
+    }
 
-    if (map.getLayer('moving-dots-layer')) {
-        map.setPaintProperty('moving-dots-layer', 'circle-color', ['get', 'color']);
+    // Adds the outline layers for changed corridors, beneath the moving dots, and for changed bubbles, above them
+    function initializeLiveChangeLayers() {
+        if (!map.getLayer('live-changes-lines-layer') && map.getSource('flow-lines')) {
+            map.addLayer({
+                id: 'live-changes-lines-layer',
+                type: 'line',
+                source: 'flow-lines',
+                layout: {
+                    'line-cap': 'round',
+                    'line-join': 'round'
+                },
+                paint: {
+                    'line-color': config.liveHighlightColor,
+                    'line-width': 4,
+                    'line-opacity': 0.9
+                },
+                filter: ['==', ['get', 'country_from'], '']
+            }, map.getLayer('moving-dots-layer') ? 'moving-dots-layer' : undefined);
+        }
+        if (!map.getLayer('live-changes-bubbles-layer') && map.getSource('country-from-bubbles')) {
+            map.addLayer({
+                id: 'live-changes-bubbles-layer',
+                type: 'circle',
+                source: 'country-from-bubbles',
+                paint: {
+                    'circle-radius': ['+', getBubbleRadiusExpression(), 3],
+                    'circle-color': 'rgba(0, 0, 0, 0)',
+                    'circle-stroke-color': config.liveHighlightColor,
+                    'circle-stroke-width': 3
+                },
+                filter: ['==', ['get', 'country_from'], '']
+            });
+        }
+    }
+
+    /**
+     * Wraps Papa Parse's parse method in a promise for use with async/await, ensuring CSV parsing is handled asynchronously.
+     * @param {string} csvData - The CSV data as a string.
+     * @returns {Promise<Object>} - A promise that resolves with the parsed CSV data.
+     */
+    function parseCsvAsync(csvData) {
+        return new Promise((resolve, reject) => {
+            Papa.parse(csvData, {
+                header: true,
+                complete: results => {
+                    if (results && results.data) {
+                        resolve(results);
+                    } else {
+                        reject(new Error('No data found in CSV.'));
+                    }
+                },
+                error: reject
+            });
+        });
     }
-}
 
-// Helper function to generate moving dots for a single feature
-function generateMovingDotsForFeature(feature, movingDotsData) {
-    const numberOfDots = Math.max(config.minimumDots, Math.ceil(feature.properties.movement_count / config.dotCountFactor));
-    for (let i = 0; i < numberOfDots; i++) {
-        const progress = (feature.properties.progress + (config.dotSpacing * i)) % 1;
-        const point = calculatePointOnLine(feature, progress);
-        movingDotsData.features.push(createDotFeature(point, progress, feature.properties.speed));
+    /**
+     * Attempts to fetch data from a URL with retries on failure, leveraging async/await for clarity.
+     * @param {string} url - The URL to fetch data from.
+     * @param {number} retries - Number of allowed retries.
+     * @param {number} delay - Delay between retries in milliseconds.
+     * @param {string} [responseType='text'] - 'text' or 'arrayBuffer'.
+     * @returns {Promise<string|ArrayBuffer>} - The fetched data if successful.
+     */
+    async function fetchWithRetry(url, retries, delay, responseType = 'text') {
+        let error;
+        for (let attempt = 0; attempt < retries; attempt++) {
+            try {
+                const response = await fetch(url);
+                if (!response.ok) throw new Error(`Request failed with status: ${response.status}`);
+                return responseType === 'arrayBuffer' ? await response.arrayBuffer() : await response.text();
+            } catch (err) {
+                error = err;
+                console.log(`Attempt ${attempt + 1} failed: ${err.message}. Retrying after ${delay}ms...`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+        throw error;
     }
-    feature.properties.progress += feature.properties.speed;
-    if (feature.properties.progress > 1) feature.properties.progress %= 1; // Reset progress
-}
 
-/**
- * Calculates a point along a line at a specified progress ratio.
- * @param {Object} feature - A GeoJSON feature representing the line.
- * @param {number} progress - The progress ratio (0 to 1) along the line.
- * @returns {Object|null} A GeoJSON point feature representing the location on the line, or null if invalid input.
- */
-function calculatePointOnLine(feature, progress) {
-    // Validate input to ensure it's a valid line with coordinates
-    if (!feature || !feature.geometry || !Array.isArray(feature.geometry.coordinates) || feature.geometry.coordinates.length < 2) {
-        console.error('Invalid line feature:', feature);
-        return null; // Early exit for invalid input
-    }
-
-    // Use Turf.js to calculate the point along the line at the given progress
-    try {
-        const line = turf.lineString(feature.geometry.coordinates);
-        const totalLength = turf.length(line, { units: 'kilometers' });
-        const distanceAlong = totalLength * progress;
-        return turf.along(line, distanceAlong, { units: 'kilometers' });
-    } catch (error) {
-        console.error('Error calculating point on line:', error);
-        return null;
+    /**
+     * Keeps a data URL up to date: re-fetches it every config.liveRefreshInterval seconds and whenever
+     * config.liveEventsUrl sends a message. Any earlier polling or connection is stopped first.
+     * @param {string|null} dataUrl - The URL the data was loaded from, or null to stop live updates.
+     * @param {string} [format] - The data format; detected from the URL or content when omitted.
+     */
+    function startLiveUpdates(dataUrl, format = null) {
+        stopLiveUpdates();
+        liveConfig.url = dataUrl;
+        liveConfig.format = format;
+        liveConfig.lastUpdated = new Date();
+        liveConfig.lastFailed = null;
+        if (dataUrl && config.liveRefreshInterval > 0) {
+            liveConfig.polling = true;
+            scheduleLiveRefresh();
+        }
+        if (dataUrl && config.liveEventsUrl && typeof EventSource !== 'undefined') {
+            liveConfig.eventSource = new EventSource(config.liveEventsUrl);
+            liveConfig.eventSource.onmessage = () => refreshLiveData();
+            // EventSource reconnects by itself; the status shows the data may be out of date meanwhile
+            liveConfig.eventSource.onerror = () => {
+                console.warn(`Live updates from ${config.liveEventsUrl} interrupted, reconnecting`);
+                liveConfig.lastFailed = new Date();
+                renderLiveStatus();
+            };
+        }
+        renderLiveStatus();
     }
-}
 
-/**
- * Creates a dot feature for visualization on the map.
- * @param {Object} point - A GeoJSON point feature.
- * @param {number} progress - The progress ratio of the dot along its path.
- * @param {number} speed - The speed at which the dot moves.
- * @returns {Object} A GeoJSON feature representing the dot.
- */
-function createDotFeature(point, progress, speed) {
-    if (!point || !point.geometry) {
-        console.error('Invalid point for dot feature:', point);
-        return null; // Early exit for invalid input
+    // Stops polling and closes the Server-Sent Events connection
+    function stopLiveUpdates() {
+        liveConfig.polling = false;
+        clearTimeout(liveConfig.timeoutId);
+        if (liveConfig.eventSource) liveConfig.eventSource.close();
+        liveConfig.eventSource = null;
+        liveConfig.pending = false;
     }
 
-    // Proximity could be used to adjust the visual appearance of the dot
-    const proximity = progress; // Simple direct use; refine based on your visualization needs
-    const color = `rgba(${255 * (1 - proximity)}, ${255 * proximity}, 0, 1)`; // Color transition based on proximity
+    // Waits config.liveRefreshInterval seconds after the previous refresh ends, so slow fetches never overlap
+    function scheduleLiveRefresh() {
+        clearTimeout(liveConfig.timeoutId);
+        liveConfig.timeoutId = setTimeout(async () => {
+            await refreshLiveData();
+            if (liveConfig.polling) scheduleLiveRefresh();
+        }, config.liveRefreshInterval * 1000);
+    }
 
-    return {
-        type: 'Feature',
-        geometry: point.geometry,
-        properties: {
-            proximity,
-            color,
-            speed
+    /**
+     * Re-fetches the data URL through fetchWithRetry and merges the result into the map in place.
+     * A refresh requested while another is running follows once that one ends, so an event announcing
+     * data newer than the fetch in progress is not lost; any number of such requests make one refresh.
+     * @returns {Promise<void>}
+     */
+    async function refreshLiveData() {
+        if (!liveConfig.url || !globalGeoJson) return;
+        if (liveConfig.refreshing) {
+            liveConfig.pending = true;
+            return;
         }
-    };
-}
+        liveConfig.refreshing = true;
+        liveConfig.pending = false;
+        const dataUrl = liveConfig.url;
+        try {
+            const { content, loader } = await fetchMovementContent(dataUrl, liveConfig.format);
+            const rows = await loader.parse(content);
+            // Other data may have been loaded, or the map destroyed, while the request was out
+            if (destroyed || dataUrl !== liveConfig.url) return;
+            updateMovementData(rows, loader.firstLine);
+            liveConfig.lastUpdated = new Date();
+            liveConfig.lastFailed = null;
+        } catch (error) {
+            console.error('Error refreshing movement data:', error);
+            liveConfig.lastFailed = new Date();
+        } finally {
+            liveConfig.refreshing = false;
+            if (!destroyed) renderLiveStatus();
+            if (!destroyed && liveConfig.pending) refreshLiveData();
+        }
+    }
 
-/**
- * Aggregates movement counts for each country from GeoJSON data.
- * @param {Object} geoJson - The GeoJSON object containing movement data.
- * @returns {Array} An array of GeoJSON features with aggregated movement counts.
- */
-function aggregateMovementCounts(geoJson) {
-    if (!geoJson || !Array.isArray(geoJson.features)) {
-        console.error('Invalid GeoJSON data provided to aggregateMovementCounts');
-        return []; // Return an empty array to avoid further processing errors
-    }
-
-    const aggregation = geoJson.features.reduce((acc, feature) => {
-        const { country_from, movement_count } = feature.properties;
-        // Initialize country entry in accumulator if not already present
-        if (!acc[country_from]) {
-            acc[country_from] = { count: 0, coordinates: [] };
-        }
-        acc[country_from].count += movement_count;
-        // Store coordinates if not already done
-        if (!acc[country_from].coordinates.length) {
-            acc[country_from].coordinates = feature.geometry.coordinates[0];
-        }
-        return acc;
-    }, {});
-
-    return Object.entries(aggregation).map(([country, data]) => ({
-        type: "Feature",
-        properties: { country_from: country, movement_count: data.count },
-        geometry: { type: "Point", coordinates: data.coordinates }
-    }));
-}
+    // Shows when the data was last updated while live updates are on, and whether the latest attempt failed
+    function renderLiveStatus() {
+        const status = getElement('liveStatus');
+        if (!status) return;
+        status.hidden = !liveConfig.url || !(config.liveRefreshInterval > 0 || config.liveEventsUrl);
+        if (status.hidden) return;
 
-/**
- * Finds coordinates for a given country based on aggregated data.
- * @param {Object} aggregatedData - Aggregated data including countries and their coordinates.
- * @param {string} country - The country to find coordinates for.
- * @returns {Array} The coordinates for the country, or a default value if not found.
- */
-function findCoordinatesForCountry(geoJson, country) {
-    const feature = geoJson.features.find(f => f.properties.country_from === country);
-    return feature ? feature.geometry.coordinates[0] : [0, 0]; // Default to [0, 0] if not found
-}
+        const formatTime = date => new Intl.DateTimeFormat(getFormattingLocale(), { timeStyle: 'medium' }).format(date);
+        status.classList.toggle('live-status-failed', Boolean(liveConfig.lastFailed));
+        status.textContent = liveConfig.lastFailed
+            ? t('live.failed', { time: formatTime(liveConfig.lastFailed), updated: formatTime(liveConfig.lastUpdated) })
+            : t('live.updated', { time: formatTime(liveConfig.lastUpdated) });
+    }
 
-/**
- * Adds or updates a bubble layer on the map with aggregated data.
- * @param {Array} aggregatedData - The aggregated data to visualize.
- */
-function addBubbleLayer(aggregatedData) {
-    const sourceId = 'country-from-bubbles';
-    const layerId = 'country-from-bubbles-layer';
+    // Registered data loaders by format. Each parses fetched or dropped content into an array of row objects.
+    const dataLoaders = {};
 
-    // Validate aggregatedData structure
-    if (!Array.isArray(aggregatedData) || !aggregatedData.length) {
-        console.error('addBubbleLayer called with invalid or empty aggregatedData');
-        return; // Prevent further execution if data is invalid
-    }
+    // File extensions mapped to the format of the loader that reads them
+    const dataFormatExtensions = {};
 
-    // Check if the source exists and update it; otherwise, create a new source and layer
-    if (map.getSource(sourceId)) {
-        map.getSource(sourceId).setData({
-            type: 'FeatureCollection',
-            features: aggregatedData
+    /**
+     * Registers a loader for a data format so it can be used for URLs and dropped files.
+     * @param {string} format - The format name, e.g. 'csv'.
+     * @param {Object} loader - { binary: boolean, firstLine: number, parse: function(content): Promise<Array<Object>> }.
+     * @param {Array<string>} [extensions] - File extensions handled by this loader.
+     */
+    function registerDataLoader(format, loader, extensions = []) {
+        dataLoaders[format] = loader;
+        extensions.forEach(extension => {
+            dataFormatExtensions[extension.toLowerCase()] = format;
         });
-    } else {
-        map.addSource(sourceId, {
-            type: 'geojson',
-            data: {
-                type: 'FeatureCollection',
-                features: aggregatedData
+    }
+
+    /**
+     * Looks up the loader for a format.
+     * @param {string} format - The format name.
+     * @returns {Object} The registered loader.
+     */
+    function getDataLoader(format) {
+        const loader = dataLoaders[format];
+        if (!loader) throw new Error(`Unsupported data format: ${format}`);
+        return loader;
+    }
+
+    /**
+     * Works out the format of a data source from its file extension, or by sniffing its text content.
+     * @param {string} name - The URL or file name.
+     * @param {string} [content] - The fetched text, used when the extension is not recognised.
+     * @returns {string|null} The format name, or null if it cannot be told without the content.
+     */
+    function detectDataFormat(name, content) {
+        const extensionMatch = String(name || '').split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i);
+        const format = extensionMatch && dataFormatExtensions[extensionMatch[1].toLowerCase()];
+        if (format) return format;
+        if (typeof content !== 'string') return null;
+
+        // API endpoints often have no extension, so fall back to looking at the payload itself
+        const firstCharacter = content.trim().charAt(0);
+        return firstCharacter === '{' || firstCharacter === '[' ? 'json' : 'csv';
+    }
+
+    /**
+     * Extracts movement rows from a parsed JSON document: a GeoJSON FeatureCollection, a bare array of
+     * records, or an API response wrapping the records (found via config.jsonRecordsPath or common keys).
+     * @param {Object|Array} json - The parsed JSON.
+     * @returns {Array<Object>} Flat row objects.
+     */
+    function extractJsonRecords(json) {
+        if (json && json.type === 'FeatureCollection' && Array.isArray(json.features)) {
+            return json.features.map(geoJsonFeatureToRow);
+        }
+
+        let records = json;
+        if (config.jsonRecordsPath) {
+            records = config.jsonRecordsPath.split('.').reduce((value, key) => (value ? value[key] : undefined), json);
+        } else if (!Array.isArray(json) && json) {
+            records = ['data', 'results', 'items', 'records', 'rows', 'movements']
+                .map(key => json[key])
+                .find(Array.isArray);
+        }
+
+        if (!Array.isArray(records)) throw new Error('No array of movement records found in JSON data.');
+        return records.map(record => flattenRecord(record));
+    }
+
+    /**
+     * Turns a GeoJSON corridor feature (a LineString from origin to destination) into a flat row.
+     * @param {Object} feature - The GeoJSON feature.
+     * @returns {Object} The row, with coordinates taken from the first and last vertices.
+     */
+    function geoJsonFeatureToRow(feature) {
+        const row = flattenRecord(feature.properties || {});
+        const coordinates = feature.geometry && feature.geometry.type === 'LineString' ? feature.geometry.coordinates : [];
+        if (coordinates.length >= 2) {
+            const from = coordinates[0];
+            const to = coordinates[coordinates.length - 1];
+            if (row.longitude_from === undefined) row.longitude_from = from[0];
+            if (row.latitude_from === undefined) row.latitude_from = from[1];
+            if (row.longitude_to === undefined) row.longitude_to = to[0];
+            if (row.latitude_to === undefined) row.latitude_to = to[1];
+        }
+        return row;
+    }
+
+    /**
+     * Flattens nested objects into underscore-joined keys, e.g. { origin: { lat } } becomes { origin_lat }.
+     * @param {Object} record - The record to flatten.
+     * @param {string} [prefix] - Key prefix used while recursing.
+     * @param {Object} [row] - The row being built.
+     * @returns {Object} The flat row.
+     */
+    function flattenRecord(record, prefix = '', row = {}) {
+        Object.entries(record || {}).forEach(([key, value]) => {
+            const column = prefix ? `${prefix}_${key}` : key;
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                flattenRecord(value, column, row);
+            } else {
+                row[column] = value;
             }
         });
-        map.addLayer({
-            id: layerId,
-            type: 'circle',
-            source: sourceId,
-            paint: {
-                'circle-radius': ['interpolate', ['linear'], ['get', 'movement_count'], 0, 10, 100000, 50],
-                'circle-color': '#B41C37',
-                'circle-opacity': 0.75
+        return row;
+    }
+
+    /**
+     * Reads the first worksheet of an Excel workbook into row objects, loading SheetJS on first use.
+     * Date cells are read as ISO dates (YYYY-MM-DD) so they validate like dates in a CSV file.
+     * @param {ArrayBuffer} buffer - The workbook contents.
+     * @returns {Promise<Array<Object>>} The rows of the first sheet.
+     */
+    async function parseWorkbookAsync(buffer) {
+        if (typeof XLSX === 'undefined') {
+            try {
+                await loadScript(config.xlsxLibraryUrl);
+            } catch (error) {
+                throw new Error(`Excel files need SheetJS, which could not be loaded from ${config.xlsxLibraryUrl}. ` +
+                    'Use a CSV or JSON file, or set xlsxLibraryUrl to a copy served with the map.', { cause: error });
             }
+        }
+        const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        return XLSX.utils.sheet_to_json(sheet, { defval: '' }).map(row => {
+            Object.entries(row).forEach(([column, value]) => {
+                if (value instanceof Date) row[column] = formatWorkbookDate(value);
+            });
+            return row;
         });
     }
-    
-    // Ensure interaction handlers are initialized after adding the layer
-    initializeBubbleLayerInteractions();
-}
 
-function showInformationPanel(connection) {
+    // SheetJS builds date cells in local time, so read the local parts rather than the UTC ones
+    function formatWorkbookDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
 
-    // Change the projection to 'mercator' for a flat map view
-    map.setProjection('mercator');
+    /**
+     * Loads a script by adding a script tag to the page.
+     * @param {string} url - The script URL.
+     * @returns {Promise<void>} Resolves once the script has run.
+     */
+    function loadScript(url) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Failed to load script: ${url}`));
+            document.head.appendChild(script);
+        });
+    }
 
-    // Validate connection object for necessary properties
-    if (!connection.fromCoordinates || connection.fromCoordinates.length !== 2) {
-        console.error('Invalid coordinates provided for information panel:', connection.fromCoordinates);
-        return; // Exit the function if coordinates are invalid
+    // Adds a stylesheet to the page once
+    function loadStylesheet(url) {
+        if (document.querySelector(`link[rel="stylesheet"][href="${url}"]`)) return;
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = url;
+        document.head.appendChild(link);
     }
 
-    // Stop the globe spinning to focus user attention on the information panel
-    spinningConfig.isEnabled = false; // Enable spinning by default
-    stopSpinning(); // Stop spinning immediately
-    adjustSpinning(false);
+    // firstLine is the source line of the first record: CSV and sheet rows follow a header line
+    registerDataLoader('csv', {
+        binary: false,
+        firstLine: 2,
+        parse: csvData => parseCsvAsync(csvData).then(results => results.data)
+    }, ['csv', 'tsv', 'txt']);
 
-    // Update the UI elements with the connection details
-    updateInformationPanelUI(connection);
+    registerDataLoader('json', {
+        binary: false,
+        firstLine: 1,
+        parse: async text => extractJsonRecords(JSON.parse(text))
+    }, ['json', 'geojson']);
 
-    // Fly the map to the selected country's coordinates
-    map.flyTo({
-        center: connection.fromCoordinates,
-        essential: true,
-        padding: {top: 0, bottom: 0, left: 0, right: 300},
-        zoom: 2
-    });
-}
+    registerDataLoader('geojson', dataLoaders.json);
 
-function updateInformationPanelUI(connection) {
-    const titleElement = infoPanel.querySelector('h1');
-    const paragraphElement = infoPanel.querySelector('p');
-    const closeButton = infoPanel.querySelector('.close-btn');
+    registerDataLoader('xlsx', {
+        binary: true,
+        firstLine: 2,
+        parse: parseWorkbookAsync
+    }, ['xlsx', 'xls']);
+
+    /**
+     * Loads a local file dropped onto the map and visualises it in place of the current data.
+     * @param {File} file - The dropped file.
+     * @returns {Promise<void>}
+     */
+    async function loadMovementFile(file) {
+        try {
+            const knownFormat = detectDataFormat(file.name);
+            const binary = knownFormat ? getDataLoader(knownFormat).binary : false;
+            const content = binary ? await file.arrayBuffer() : await file.text();
+            const loader = getDataLoader(knownFormat || detectDataFormat(file.name, content));
+            await loadGazetteer();
+            await loadRegions();
+            const rows = await loader.parse(content);
+            if (destroyed) return;
+            initializeMovementData(rows, loader.firstLine);
+            startLiveUpdates(null);
+        } catch (error) {
+            console.error(`Error loading movement data from ${file.name}:`, error);
+            if (!destroyed) showDataLoadError(file.name, error);
+        }
+    }
 
-    // Ensuring the UI elements exist before attempting to update them
-    if (titleElement && paragraphElement) {
-        titleElement.textContent = connection.from;
-        paragraphElement.textContent = `Total Movement: ${connection.count}`; //TODO - Add Utility function to perform number formatting
-        closeButton.onclick = hideInformationPanel; // Ensuring the close button is functional
+    // Lets users drag a data file onto the map to visualise it without editing the configuration
+    function initializeFileDropTarget() {
+        const container = map.getContainer();
 
-        // Transition the panel into view
-        infoPanel.style.transform = 'translateX(0)';
+        container.addEventListener('dragover', event => {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            container.classList.add('drop-active');
+        });
+        container.addEventListener('dragleave', event => {
+            if (!container.contains(event.relatedTarget)) container.classList.remove('drop-active');
+        });
+        container.addEventListener('drop', event => {
+            event.preventDefault();
+            container.classList.remove('drop-active');
+            const file = event.dataTransfer.files[0];
+            if (file) loadMovementFile(file);
+        });
     }
-}
 
-function hideInformationPanel() {
-    // Change the projection back to 'globe'
-    map.setProjection('globe');
+    // Country gazetteer loaded from config.gazetteerUrl
+    const gazetteer = {
+        entries: [], // { iso3, iso2, name, aliases, latitude, longitude } per country
+        entriesByKey: new Map(), // Normalised ISO code, name or alias to entry
+        loading: null // Promise for the gazetteer request, shared by every caller
+    };
+
+    /**
+     * Loads the country gazetteer once. If it cannot be loaded, rows fall back to their own coordinates.
+     * @returns {Promise<void>}
+     */
+    function loadGazetteer() {
+        if (!gazetteer.loading) {
+            gazetteer.loading = fetchWithRetry(config.gazetteerUrl, 3, 1000)
+                .then(text => {
+                    gazetteer.entries = JSON.parse(text);
+                    gazetteer.entriesByKey = buildGazetteerIndex(gazetteer.entries);
+                })
+                .catch(error => console.warn('Country gazetteer unavailable, using coordinates from the data:', error));
+        }
+        return gazetteer.loading;
+    }
 
-    // Resume the spinning of the globe to indicate the return to the global view
-    adjustSpinning(true);
-    spinningConfig.isEnabled = true; // Enable spinning by default
-    startSpinning(); // Start spinning immediately
+    /**
+     * Finds the gazetteer entry for an ISO3 or ISO2 code, UNHCR country name or alias.
+     * @param {string} identifier - The country identifier.
+     * @returns {Object|null} The gazetteer entry, or null if the country is unknown.
+     */
+    function resolveCountry(identifier) {
+        if (isBlankValue(identifier)) return null;
+        return gazetteer.entriesByKey.get(normalizeCountryKey(identifier)) || null;
+    }
 
-    // Transition the panel out of view
-    infoPanel.style.transform = 'translateX(100%)';
+    /**
+     * Returns the canonical location of a country, so every bubble and corridor uses the same point.
+     * Regions of the active grouping are placed at their centroid.
+     * @param {string} country - The country or region name.
+     * @returns {Array<number>} The [longitude, latitude], or [0, 0] if the country is unknown.
+     */
+    function getCountryCoordinates(country) {
+        if (countryCoordinates.has(country)) return countryCoordinates.get(country);
+        const region = getRegion(country);
+        if (region) return getRegionCentroid(region);
+        const entry = resolveCountry(country);
+        return entry ? [entry.longitude, entry.latitude] : [0, 0];
+    }
 
-    // Ease the map back to a default view, ensuring a cohesive user experience
-    map.easeTo({
-        center: [0, 20], // Example default center coordinates
-        padding: {left: 0, right: 0},
-        duration: 1000,
-        zoom: config.initialZoom //TODO - Reset zoom not working
-    });
+    /**
+     * Shows the data-quality report in the sidebar: a summary line and the rejected rows and warnings.
+     * The report opens automatically when rows were rejected.
+     * @param {Object} report - The report produced by validateMovementRows.
+     */
+    function renderDataQualityReport(report) {
+        const container = getElement('data-quality');
+        if (!container) return;
 
-    // Clear the selection to allow for new interactions
-    selectedFromCountry = null;
+        const summary = container.querySelector('.data-quality-summary');
+        const body = container.querySelector('.data-quality-issues tbody');
+        const issues = report.rejected
+            .map(issue => ({ line: issue.line, type: 'rejected', message: issue.reasons.join('; ') }))
+            .concat(report.warnings.map(issue => ({ line: issue.line, type: 'warning', message: issue.message })))
+            .sort((a, b) => a.line - b.line);
 
-    // Restart the animation of moving dots to reflect the reset state
-    animateDots();
+        let summaryText = t('dataQuality.summary', {
+            accepted: formatNumber(report.acceptedRows),
+            total: formatNumber(report.totalRows),
+            rejected: formatNumber(report.rejected.length),
+            warnings: formatNumber(report.warnings.length)
+        });
+        if (report.missingColumns.length) summaryText += ` ${t('dataQuality.missingColumns', { columns: report.missingColumns.join(', ') })}`;
+        summary.textContent = summaryText;
 
-    refreshBubbleVisualization();
-}
+        body.innerHTML = '';
+        issues.forEach(issue => {
+            const row = body.insertRow();
+            row.className = `data-quality-${issue.type}`;
+            row.insertCell().textContent = issue.line;
+            row.insertCell().textContent = t('format.labelValue', { label: t(`dataQuality.${issue.type}`), value: issue.message });
+        });
 
-function initializeBubbleLayerInteractions() {
-    // Check if events have already been initialized to prevent duplication
-    if (window.bubbleLayerEventsInitialized) return;
-    window.bubbleLayerEventsInitialized = true;
+        container.hidden = false;
+        container.classList.toggle('data-quality-has-issues', issues.length > 0);
+        container.open = report.rejected.length > 0;
+        renderDataLoadError();
+    }
 
-    const layerId = 'country-from-bubbles-layer'; // Corrected layer ID
+    /**
+     * Tells the user that data failed to load, in the data-quality report and through the announcer.
+     * Data that failed validation keeps its rejected rows in the report below the message.
+     * @param {string} source - The file name or URL.
+     * @param {Error} error - Why loading failed.
+     */
+    function showDataLoadError(source, error) {
+        dataLoadError = { source, message: error.message };
+        renderDataLoadError();
+        announce(t('announce.loadFailed', { source }));
+    }
 
-    // Handle click events on the bubble layer
-    map.on('click', layerId, function(e) {
-        const features = map.queryRenderedFeatures(e.point, { layers: [layerId] });
-        if (features.length > 0) {
-            const feature = features[0];
+    // Shows the last loading failure above the data-quality summary, or hides it once data has loaded
+    function renderDataLoadError() {
+        const container = getElement('data-quality');
+        if (!container) return;
+        const message = container.querySelector('.data-quality-error');
+        message.hidden = !dataLoadError;
+        // Before any data has loaded there is no summary or table to show
+        container.querySelector('.data-quality-summary').hidden = !dataQualityReport;
+        container.querySelector('.data-quality-issues').hidden = !dataQualityReport;
+        if (!dataLoadError) return;
 
-            // Toggle selection of the 'from' country
-            //selectedFromCountry = (selectedFromCountry === feature.properties.country_from) ? null : feature.properties.country_from;
-            selectedFromCountry = feature.properties.country_from;
+        message.textContent = t('dataQuality.loadFailed', dataLoadError);
+        container.hidden = false;
+        container.open = true;
+        container.classList.add('data-quality-has-issues');
+    }
 
-            filterVisualizationForSelectedCountry(selectedFromCountry);
+    // Initializes the spinning globe feature and user interactions
+    function initializeSpinningGlobe() {
+        map.on('dblclick', () => toggleSpinning(!spinningConfig.isEnabled));
+        map.on('dragstart', () => stopSpinning());
+        map.on('pitchstart', () => stopSpinning());
+    }
 
-            // Restart dot animations to reflect the new selection
-            animateDots();
+    // Toggles the spinning state and either starts or stops the spinning
+    function toggleSpinning(enableSpinning) {
+        spinningConfig.isEnabled = enableSpinning;
+        if (enableSpinning) {
+            startSpinning();
+        } else {
+            stopSpinning();
+        }
+    }
+    // Starts the spinning animation of the globe
+    function startSpinning() {
+        if (spinningConfig.animationFrameId) return; // Avoid starting multiple spin animations
+        spinGlobe();
+    }
 
-            // Construct the connection object for the information panel
-            const connection = {
-                from: feature.properties.country_from,
-                count: feature.properties.movement_count,
-                fromCoordinates: feature.geometry.coordinates
-            };
+    // Stops the spinning animation of the globe
+    function stopSpinning() {
+        if (spinningConfig.animationFrameId) {
+            cancelAnimationFrame(spinningConfig.animationFrameId);
+            spinningConfig.animationFrameId = null;
+        }
+    }
 
-            // Display the information panel with details about the selected country
-            showInformationPanel(connection);
+    function adjustSpinning(shouldSpin) {
+        spinning = shouldSpin;
+        if (spinning) {
+            spinGlobe();
+        } else {
+            if (animationFrameId) cancelAnimationFrame(animationFrameId);
         }
-    });
+    }
 
-    // Change cursor style on hover to indicate clickable elements
-    map.on('mouseenter', layerId, () => map.getCanvas().style.cursor = 'pointer');
-    map.on('mouseleave', layerId, () => map.getCanvas().style.cursor = '');
-}
+    // Spin the globe by updating the map's center longitude
+    function spinGlobe() {
+        if (!spinningConfig.isEnabled) return; // Exit if spinning is disabled
 
-function filterVisualizationForSelectedCountry(selectedCountry) {
-    // Filter to get movements where the selected country is either the origin or the destination
-    const relatedMovements = globalGeoJson.features.filter(feature =>
-        feature.properties.country_from === selectedCountry || feature.properties.country_to === selectedCountry
-    );
+        const center = map.getCenter();
+        center.lng = (center.lng + spinningConfig.spinningSpeed) % 360;
+        map.setCenter(center);
 
-    // Aggregate data for the related bubbles, including the selected country itself
-    const aggregatedData = aggregateDataForBothDirections(selectedCountry, relatedMovements);
+        spinningConfig.animationFrameId = requestAnimationFrame(spinGlobe);
+    }
 
-    // Update the bubble layer with the new aggregated data, ensuring the selected country's bubble is displayed
-    updateBubbleLayer(aggregatedData);
-}
+    // Sets every corridor's count to the current period and population group, and paces its dots to match
+    function applyFeatureCounts() {
+        const period = timelineConfig.currentIndex >= 0 ? timelineConfig.periods[timelineConfig.currentIndex] : null;
+        applyPeriodToFeatures(globalGeoJson, period, filterConfig.group || null);
+        setAnimationSpeeds(globalGeoJson);
+    }
 
-function updateMovingDotsLayer(filteredMovements) {
-    // Assuming you have a function to update the moving dots source with new data
-    map.getSource('moving-dots').setData({
-        type: 'FeatureCollection',
-        features: filteredMovements
-    });
-}
+    // Starts each corridor's dots at the beginning and paces them by its current movement count
+    function setAnimationSpeeds(geoJson) {
+        geoJson.features.forEach(feature => {
+            if (feature.properties.progress === undefined) feature.properties.progress = 0;
+            feature.properties.speed = calculateSpeedBasedOnData(feature.properties);
+        });
+    }
 
-/**
- * Aggregates data for destinations based on movements from the selected country.
- * @param {Array<string>} destinations - An array of unique destination country codes/names.
- * @param {Array<Object>} movements - Filtered movement features from the selected origin country.
- * @returns {Array<Object>} Aggregated data for destination bubbles.
- */
-function aggregateDataForBothDirections(selectedCountry, movements) {
-    let aggregates = {};
-
-    movements.forEach(movement => {
-        const { country_from, country_to, movement_count } = movement.properties;
-        // Aggregate movements for the selected country as both source and destination
-        if (!aggregates[country_from]) aggregates[country_from] = { count: 0, coordinates: [] };
-        if (!aggregates[country_to]) aggregates[country_to] = { count: 0, coordinates: [] };
-        
-        aggregates[country_from].count += movement_count;
-        aggregates[country_to].count += movement_count;
-        
-        // Assuming the function getCoordinatesForCountry aggregates coordinates for each country
-        aggregates[country_from].coordinates = getOriginCoordinates(country_from, globalGeoJson);
-        aggregates[country_to].coordinates = getOriginCoordinates(country_to, globalGeoJson);
-    });
+    //Utility function to create speed
+    function calculateSpeedBasedOnData(row) {
+        // Example calculation, could be based on 'movement_count' or any other metric
+        const baseSpeed = config.dotAnimationSpeed; // Use this map's configured speed as a base
+        const speedFactor = row.movement_count / 50; // scale speed by movement count
+        return baseSpeed * (1 + speedFactor); // Adjust speed based on the factor
+    }
 
-    // Convert aggregates to GeoJSON features
-    let aggregatedData = Object.keys(aggregates).map(country => ({
-        type: "Feature",
-        properties: {
-            country_from: country,
-            movement_count: aggregates[country].count,
-        },
-        geometry: {
-            type: "Point",
-            coordinates: aggregates[country].coordinates
+    // Function to initialize moving dots source and layer if they don't exist
+    function initializeMovingDotsSourceAndLayer() {
+        // Check if the source already exists to avoid redundant operations
+        if (!map.getSource('moving-dots')) {
+            map.addSource('moving-dots', {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: [] }
+            });
         }
-    }));
 
-    return aggregatedData;
-}
+        // Similarly, check if the layer already exists before attempting to add it
+        if (!map.getLayer('moving-dots-layer')) {
+            map.addLayer({
+                id: 'moving-dots-layer',
+                type: 'circle',
+                source: 'moving-dots',
+                paint: {
+                    'circle-radius': 2,
+                    // With a country selected, dots are coloured by direction relative to it, or by origin while
+                    // comparing origins; otherwise the colour is interpolated on the GPU from each dot's progress
+                    'circle-color': getOriginColorExpression(['match', ['get', 'direction'],
+                        'outbound', config.selectionColors.outbound,
+                        'inbound', config.selectionColors.inbound,
+                        ['interpolate', ['linear'], ['get', 'proximity'], 0, 'rgb(255, 0, 0)', 1, 'rgb(0, 255, 0)']
+                    ])
+                }
+            });
+        }
+    }
 
-function updateBubbleLayer(aggregatedData) {
-    // Update the bubble layer with the new aggregated data.
-    // This function body remains the same as in your initial code.
-    map.getSource('country-from-bubbles').setData({
-        type: 'FeatureCollection',
-        features: aggregatedData
-    });
-}
+    // Function to animate moving dots based on GeoJSON features
+    function animateDots() {
+        if (animationFrameRequestID) {
+            cancelAnimationFrame(animationFrameRequestID);
+        }
 
-function getOriginCoordinates(country, geoJson) {
-    // Implement logic to find the coordinates for the origin country
-    // This could be an average of all starting points or a predefined location
-    const originFeatures = geoJson.features.filter(feature => feature.properties.country_from === country);
-    if (originFeatures.length > 0) {
-        // Example: Averaging the coordinates of all movements from the origin
-        const avgCoords = originFeatures.reduce((acc, feature) => {
-            acc[0] += feature.geometry.coordinates[0][0] / originFeatures.length;
-            acc[1] += feature.geometry.coordinates[0][1] / originFeatures.length;
-            return acc;
-        }, [0, 0]);
-        return avgCoords;
-    }
-    return [0, 0]; // Default coordinates if none are found
-}
+        if (!filteredGeoJson) return;
+        animationFrameRequestID = requestAnimationFrame(animateDots);
+
+        const frameStart = performance.now();
+        advanceTimeline(frameStart);
+        advanceStory(frameStart);
+
+        // Advance by elapsed time rather than per frame so dots keep their pace when frames are dropped
+        const frameDuration = 1000 / 60;
+        const elapsedFrames = dotAnimationState.lastFrameTime === null
+            ? 1
+            : Math.min((frameStart - dotAnimationState.lastFrameTime) / frameDuration, 4);
+        dotAnimationState.lastFrameTime = frameStart;
 
-function aggregateDataForDestinations(selectedCountry, movements) {
-    // Initialize an object to hold the aggregate counts and coordinates for each related country
-    let relatedCountryAggregates = {};
+        const dots = dotAnimationState.data.features;
+        let dotCount = 0;
+        getVisibleCorridors().forEach(feature => {
+            dotCount = generateMovingDotsForFeature(feature, dots, dotCount, elapsedFrames);
+        });
+        dots.length = dotCount; // Drop dots left over from a busier previous frame
+
+        map.getSource('moving-dots').setData(dotAnimationState.data);
+
+        adjustDotDensity(performance.now() - frameStart);
+    }
 
-    // Loop through each movement to aggregate counts and collect coordinates
-    movements.forEach(movement => {
-        // For movements from the selected country, aggregate destination data
-        if (movement.properties.country_from === selectedCountry) {
-            const destination = movement.properties.country_to;
-            aggregateMovementData(destination, movement, relatedCountryAggregates, movement.geometry.coordinates[1]);
+    /**
+     * Scales the number of dots drawn so the per-frame work stays within config.frameBudget.
+     * @param {number} frameTime - Milliseconds spent building the last frame.
+     */
+    function adjustDotDensity(frameTime) {
+        if (frameTime > config.frameBudget) {
+            dotAnimationState.density = Math.max(config.minimumDotDensity, dotAnimationState.density * 0.8);
+        } else if (frameTime < config.frameBudget / 2 && dotAnimationState.density < 1) {
+            dotAnimationState.density = Math.min(1, dotAnimationState.density * 1.05);
         }
+    }
 
-        // For movements to the selected country, aggregate origin data
-        if (movement.properties.country_to === selectedCountry) {
-            const origin = movement.properties.country_from;
-            aggregateMovementData(origin, movement, relatedCountryAggregates, movement.geometry.coordinates[0]);
+    /**
+     * Positions the dots for a single corridor, reusing existing dot features where possible.
+     * @param {Object} feature - The movement feature the dots travel along.
+     * @param {Array<Object>} dots - The reusable dot features for the current frame.
+     * @param {number} offset - Index of the first dot to write.
+     * @param {number} elapsedFrames - Frames' worth of time (at 60fps) since the previous frame.
+     * @returns {number} Index after the last dot written.
+     */
+    function generateMovingDotsForFeature(feature, dots, offset, elapsedFrames) {
+        const path = getCorridorPath(feature);
+        const direction = getCorridorDirection(feature);
+        const fullDotCount = feature.properties.movement_count / config.dotCountFactor;
+        const numberOfDots = Math.max(config.minimumDots, Math.ceil(fullDotCount * dotAnimationState.density));
+        for (let i = 0; i < numberOfDots; i++) {
+            const progress = (feature.properties.progress + (config.dotSpacing * i)) % 1;
+            if (!dots[offset]) dots[offset] = createDotFeature();
+            updateDotFeature(dots[offset], path, progress, feature, direction);
+            offset++;
         }
-    });
+        feature.properties.progress += feature.properties.speed * elapsedFrames;
+        if (feature.properties.progress > 1) feature.properties.progress %= 1; // Reset progress
+        return offset;
+    }
 
-    // Convert the aggregates into GeoJSON features for the bubbles
-    return Object.keys(relatedCountryAggregates).map(country => {
-        const data = relatedCountryAggregates[country];
-        // Calculate the average coordinates for each related country
-        const avgCoordinates = data.coordinates.reduce((acc, coords) => [acc[0] + coords[0], acc[1] + coords[1]], [0, 0])
-            .map(coord => coord / data.coordinates.length);
+    /**
+     * Interpolates a position along a pre-sampled corridor path.
+     * Great-circle arcs are sampled at equal distances, so progress maps linearly onto segment indices.
+     * @param {Array<Array<number>>} path - The densified corridor coordinates.
+     * @param {number} progress - The progress ratio (0 to 1) along the path.
+     * @param {Array<number>} target - The array to write [longitude, latitude] into.
+     * @returns {Array<number>} The target array.
+     */
+    function interpolatePathPosition(path, progress, target) {
+        const scaled = progress * (path.length - 1);
+        const index = Math.min(Math.floor(scaled), path.length - 2);
+        const fraction = scaled - index;
+        const start = path[index];
+        const end = path[index + 1];
+        target[0] = start[0] + (end[0] - start[0]) * fraction;
+        target[1] = start[1] + (end[1] - start[1]) * fraction;
+        return target;
+    }
 
+    /**
+     * Creates an empty dot feature to be positioned by updateDotFeature.
+     * @returns {Object} A GeoJSON point feature.
+     */
+    function createDotFeature() {
         return {
-            type: "Feature",
-            properties: {
-                country_from: country,
-                movement_count: data.count,
-            },
-            geometry: {
-                type: "Point",
-                coordinates: avgCoordinates
-            }
-        };
-    });
-}
-
-function aggregateMovementData(country, movement, aggregates, coordinates) {
-    if (!aggregates[country]) {
-        aggregates[country] = {
-            count: 0,
-            coordinates: []
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [0, 0] },
+            properties: { proximity: 0, speed: 0, direction: '', country_from: '', country_to: '', movement_count: 0 }
         };
     }
-    aggregates[country].count += movement.properties.movement_count;
-    aggregates[country].coordinates.push(coordinates);
-}
 
-function getOriginCoordinates(country, geoJson) {
-    // Find the first feature where the selected country is an origin or destination
-    const feature = geoJson.features.find(f =>
-        f.properties.country_from === country || f.properties.country_to === country
-    );
+    /**
+     * Describes a corridor's direction relative to the selected country.
+     * @param {Object} feature - A movement feature.
+     * @returns {string} 'outbound' or 'inbound' when a country is selected, 'origin-<index>' for the
+     * compared origin the corridor belongs to while comparing origins, otherwise an empty string.
+     */
+    function getCorridorDirection(feature) {
+        if (!selectedFromCountry) return '';
+        const { country_from, country_to } = feature.properties;
+        if (comparedOrigins.length) {
+            // A corridor between two compared origins takes the colour of the one it leaves
+            const origins = getSelectedOrigins();
+            const index = origins.includes(country_from) ? origins.indexOf(country_from) : origins.indexOf(country_to);
+            return index >= 0 ? `origin-${index}` : '';
+        }
+        if (country_from === selectedFromCountry) return 'outbound';
+        if (country_to === selectedFromCountry) return 'inbound';
+        return '';
+    }
 
-    // Return the coordinates for that feature, or a default if not found
-    if (feature) {
-        return feature.properties.country_from === country ? feature.geometry.coordinates[0] : feature.geometry.coordinates[1];
-    } else {
-        return [0, 0]; // Default coordinates if none are found
+    // Colours dots and flow lines by the compared origin they belong to, and anything else with the fallback
+    function getOriginColorExpression(fallback) {
+        return ['match', ['get', 'direction'],
+            ...config.originColors.flatMap((color, index) => [`origin-${index}`, color]),
+            fallback
+        ];
     }
-}
 
-function refreshBubbleVisualization() {
-    // Check if a country is selected; if not, aggregate and display global data.
-    if (!selectedFromCountry && !selectedToCountry) {
-        const aggregatedGlobalData = aggregateGlobalMovementCounts(globalGeoJson);
-        updateBubbleLayer(aggregatedGlobalData);
-    } else {
-        // If a country is selected, filter and display data relevant to that selection.
-        const selectedCountry = selectedFromCountry || selectedToCountry; // Assuming you have logic to handle this
-        const relatedMovements = filterRelatedMovements(selectedCountry, globalGeoJson);
-        const aggregatedData = aggregateDataForSelectedCountry(relatedMovements, selectedCountry);
-        updateBubbleLayer(aggregatedData);
+    /**
+     * Moves a dot feature to its position along a corridor.
+     * @param {Object} dot - The dot feature to update in place.
+     * @param {Array<Array<number>>} path - The densified corridor coordinates.
+     * @param {number} progress - The progress ratio of the dot along its path.
+     * @param {Object} feature - The movement feature the dot travels along.
+     * @param {string} direction - The corridor's direction relative to the selected country, if any.
+     */
+    function updateDotFeature(dot, path, progress, feature, direction) {
+        interpolatePathPosition(path, progress, dot.geometry.coordinates);
+        // Direction and proximity drive the dot colour in the layer's paint expression
+        dot.properties.proximity = progress;
+        dot.properties.speed = feature.properties.speed;
+        dot.properties.direction = direction;
+        // The corridor is carried along so hovering or clicking a dot can describe it
+        dot.properties.country_from = feature.properties.country_from;
+        dot.properties.country_to = feature.properties.country_to;
+        dot.properties.movement_count = feature.properties.movement_count;
     }
-}
 
-function aggregateGlobalMovementCounts(geoJson) {
-    // This function aggregates movement counts for all countries, creating a global overview.
-    let counts = {};
-    geoJson.features.forEach(feature => {
-        let country = feature.properties.country_from;
-        if (!counts[country]) counts[country] = 0;
-        counts[country] += feature.properties.movement_count;
-    });
+    /**
+     * Adds or updates a bubble layer on the map with aggregated data.
+     * @param {Array} aggregatedData - The aggregated data to visualize.
+     */
+    function addBubbleLayer(aggregatedData) {
+        const sourceId = 'country-from-bubbles';
+        const layerId = 'country-from-bubbles-layer';
 
-    // Convert the counts into the format expected by the bubble layer.
-    return Object.entries(counts).map(([country, count]) => ({
-        type: "Feature",
-        properties: {
-            country_from: country,
-            movement_count: count,
-        },
-        geometry: {
-            type: "Point",
-            coordinates: getOriginCoordinates(country, geoJson) // Assuming this function returns appropriate coordinates
+        // Validate aggregatedData structure
+        if (!Array.isArray(aggregatedData) || !aggregatedData.length) {
+            console.error('addBubbleLayer called with invalid or empty aggregatedData');
+            return; // Prevent further execution if data is invalid
         }
-    }));
-}
+        updateBubbleScale(aggregatedData);
+        updateBreakdownCharts(aggregatedData);
 
-function filterRelatedMovements(selectedCountry, geoJson) {
-    // Filter movements related to the selected country, either as origin or destination.
-    return geoJson.features.filter(feature =>
-        feature.properties.country_from === selectedCountry || feature.properties.country_to === selectedCountry
-    );
-}
+        // Check if the source exists and update it; otherwise, create a new source and layer
+        if (map.getSource(sourceId)) {
+            map.getSource(sourceId).setData({
+                type: 'FeatureCollection',
+                features: aggregatedData
+            });
+        } else {
+            map.addSource(sourceId, {
+                type: 'geojson',
+                data: {
+                    type: 'FeatureCollection',
+                    features: aggregatedData
+                },
+                // Overlapping bubbles merge at low zoom; a cluster totals its bubbles' movements
+                cluster: config.bubbleClusterRadius > 0,
+                clusterRadius: config.bubbleClusterRadius,
+                clusterMaxZoom: config.bubbleClusterMaxZoom,
+                clusterProperties: {
+                    movement_count: ['+', ['get', 'movement_count']],
+                    has_selected: ['any', ['==', ['get', 'is_selected'], true]]
+                }
+            });
+            map.addLayer({
+                id: layerId,
+                type: 'circle',
+                source: sourceId,
+                filter: ['!', ['has', 'point_count']],
+                paint: {
+                    'circle-radius': getBubbleRadiusExpression(),
+                    'circle-color': config.bubbleColor,
+                    // Bubbles drawn as breakdown charts stay on the map, invisible, for clicks and tooltips
+                    'circle-opacity': ['case', ['boolean', ['get', 'has_chart'], false], 0, 0.75]
+                }
+            });
+            addBubbleClusterLayers(sourceId);
+        }
+
+        // Ensure interaction handlers are initialized after adding the layer
+        initializeBubbleLayerInteractions();
+    }
+
+    /**
+     * Adds the cluster circles, sized like bubbles by their total movements up to the largest bubble's size,
+     * and where the style has glyphs to draw text with, the number of countries in each. The offline
+     * basemap has none.
+     * @param {string} sourceId - The clustered bubble source.
+     */
+    function addBubbleClusterLayers(sourceId) {
+        map.addLayer({
+            id: 'country-from-clusters-layer',
+            type: 'circle',
+            source: sourceId,
+            filter: ['has', 'point_count'],
+            layout: { visibility: choroplethConfig.enabled ? 'none' : 'visible' },
+            paint: {
+                'circle-radius': getClusterRadiusExpression(),
+                'circle-color': config.bubbleClusterColor,
+                'circle-opacity': 0.75,
+                'circle-stroke-color': 'white',
+                // A cluster holding the selected country or a compared origin is outlined more heavily
+                'circle-stroke-width': ['case', ['boolean', ['get', 'has_selected'], false], 3, 1]
+            }
+        });
+        if (!map.getStyle().glyphs) return;
+        map.addLayer({
+            id: 'country-from-clusters-count-layer',
+            type: 'symbol',
+            source: sourceId,
+            filter: ['has', 'point_count'],
+            layout: {
+                'text-field': ['to-string', ['get', 'point_count']],
+                'text-size': 12,
+                'text-allow-overlap': true,
+                visibility: choroplethConfig.enabled ? 'none' : 'visible'
+            },
+            paint: { 'text-color': 'white' }
+        });
+    }
+
+    /**
+     * Zooms in far enough for a cluster to split into its bubbles or smaller clusters.
+     * @param {Object} feature - The cluster feature.
+     */
+    function expandCluster(feature) {
+        const zoomTo = zoom => {
+            // The globe's spin would cancel the zoom
+            spinningConfig.isEnabled = false;
+            stopSpinning();
+            adjustSpinning(false);
+            map.easeTo({ center: feature.geometry.coordinates, zoom, essential: true });
+        };
+        const source = map.getSource('country-from-bubbles');
+        // Mapbox GL answers through the callback, MapLibre GL through the promise it returns
+        const result = source.getClusterExpansionZoom(feature.properties.cluster_id, (error, zoom) => {
+            if (error) console.error('Error expanding the bubble cluster:', error);
+            else zoomTo(zoom);
+        });
+        if (result && typeof result.then === 'function') {
+            result.then(zoomTo).catch(error => console.error('Error expanding the bubble cluster:', error));
+        }
+    }
+
+    // Hides the breakdown charts of countries drawn inside a cluster at the current zoom
+    function updateClusteredCharts() {
+        if (!breakdownConfig.charts.size || !map.getSource('country-from-bubbles')) return;
+        const unclustered = new Set(map.querySourceFeatures('country-from-bubbles')
+            .filter(feature => !feature.properties.cluster)
+            .map(feature => feature.properties.country_from));
+        breakdownConfig.charts.forEach((chart, country) => {
+            chart.marker.getElement().style.visibility = unclustered.has(country) ? '' : 'hidden';
+        });
+    }
+
+    function showInformationPanel(connection) {
+
+        // Change the projection to 'mercator' for a flat map view
+        setMapProjection('mercator');
+
+        // Validate connection object for necessary properties
+        if (!connection.fromCoordinates || connection.fromCoordinates.length !== 2) {
+            console.error('Invalid coordinates provided for information panel:', connection.fromCoordinates);
+            return; // Exit the function if coordinates are invalid
+        }
+
+        // Stop the globe spinning to focus user attention on the information panel
+        spinningConfig.isEnabled = false; // Enable spinning by default
+        stopSpinning(); // Stop spinning immediately
+        adjustSpinning(false);
+
+        // Update the UI elements with the connection details
+        updateInformationPanelUI(connection);
+
+        // Fly the map to the selected country's coordinates
+        map.flyTo({
+            center: connection.fromCoordinates,
+            essential: true,
+            padding: Object.assign({top: 0, bottom: 0}, getInformationPanelPadding(300, 0)),
+            zoom: 2
+        });
+    }
+
+    function updateInformationPanelUI(connection) {
+        const titleElement = infoPanel.querySelector('h1');
+        const paragraphElement = infoPanel.querySelector('p');
+        const balanceElement = infoPanel.querySelector('.flow-balance');
+
+        // Ensuring the UI elements exist before attempting to update them
+        if (titleElement && paragraphElement) {
+            titleElement.textContent = localizeCountryName(connection.from);
+            paragraphElement.textContent = t('panel.totalMovement', { count: formatNumber(connection.count) });
+            const net = connection.inflow - connection.outflow;
+            renderBalanceList(balanceElement, [
+                [t('panel.arrivals'), formatNumber(connection.inflow), 'inbound'],
+                [t('panel.departures'), formatNumber(connection.outflow), 'outbound'],
+                [t('panel.netBalance'), `${net > 0 ? '+' : ''}${formatNumber(net)}`, net > 0 ? 'inbound' : net < 0 ? 'outbound' : '']
+            ]);
+            renderComparisonTable(connection.baseline && [
+                [t('panel.arrivals'), connection.inflow, connection.baseline.inflow],
+                [t('panel.departures'), connection.outflow, connection.baseline.outflow],
+                [t('comparison.total'), connection.count, connection.baseline.count]
+            ]);
+            renderBreakdownTable(connection.inflowBreakdowns, connection.outflowBreakdowns);
+            setInformationPanelView('country');
+            renderPeriodSparkline(infoPanel.querySelector('.period-sparkline'), connection.periodTotals || []);
+            renderPartnerTable(infoPanel.querySelector('[data-ref="destinations-table"]'), connection.destinations || [], 'outbound');
+            renderPartnerTable(infoPanel.querySelector('[data-ref="origins-table"]'), connection.origins || [], 'inbound');
+
+            // Transition the panel into view
+            setInformationPanelVisible(true);
+        }
+    }
+
+    /**
+     * Fills the summary list under the panel title.
+     * @param {HTMLElement} list - The list element.
+     * @param {Array<Array<string>>} items - [label, value, direction] per item; direction may be empty.
+     */
+    function renderBalanceList(list, items) {
+        if (!list) return;
+        list.innerHTML = '';
+        items.forEach(([label, value, direction]) => {
+            const item = document.createElement('li');
+            item.textContent = t('format.labelValue', { label, value });
+            if (direction) item.classList.add(`flow-${direction}`);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Formats a number for display in the interface language, e.g. 12,345 or 12 345.
+     * @param {number} value - The number to format.
+     * @returns {string} The formatted number.
+     */
+    function formatNumber(value) {
+        return new Intl.NumberFormat(getFormattingLocale()).format(value || 0);
+    }
+
+    /**
+     * Formats a 0-1 ratio as a locale-aware percentage with one decimal place.
+     * @param {number} ratio - The ratio to format.
+     * @returns {string} The formatted percentage.
+     */
+    function formatShare(ratio) {
+        return new Intl.NumberFormat(getFormattingLocale(), { style: 'percent', maximumFractionDigits: 1 }).format(ratio || 0);
+    }
+
+    /**
+     * Fills a partner table with ranked partner countries, each with its count, share and a bar.
+     * Clicking or pressing Enter on a row highlights that corridor on the map.
+     * @param {HTMLTableElement} table - The table to fill.
+     * @param {Array<Object>} partners - Ranked partners from getRankedPartners.
+     * @param {string} direction - 'outbound' for destinations or 'inbound' for origins.
+     */
+    function renderPartnerTable(table, partners, direction) {
+        if (!table) return;
+        const body = table.tBodies[0] || table.createTBody();
+        body.innerHTML = '';
+        table.classList.toggle('partner-table-empty', partners.length === 0);
+
+        partners.forEach(partner => {
+            const row = body.insertRow();
+            row.tabIndex = 0;
+            row.classList.add(`flow-${direction}`);
+            if (highlightedCorridor && highlightedCorridor.from === partner.from && highlightedCorridor.to === partner.to) {
+                row.classList.add('partner-row-highlighted');
+            }
+
+            row.insertCell().textContent = localizeCountryName(partner.country);
+            row.insertCell().textContent = formatNumber(partner.count);
+
+            const shareCell = row.insertCell();
+            const bar = document.createElement('span');
+            bar.className = 'partner-bar';
+            bar.style.width = `${Math.max(partner.share * 100, 1)}%`;
+            const shareLabel = document.createElement('span');
+            shareLabel.className = 'partner-share';
+            shareLabel.textContent = formatShare(partner.share);
+            shareCell.append(bar, shareLabel);
+
+            const select = () => highlightCorridor(partner.from, partner.to);
+            row.onclick = select;
+            row.onkeydown = event => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    select();
+                }
+            };
+        });
+    }
+
+    /**
+     * Draws a small SVG line chart of a country's total movement per period.
+     * The chart is hidden for single-snapshot data.
+     * @param {HTMLElement} container - The element to draw into.
+     * @param {Array<Object>} periodTotals - { period, count } entries in chronological order.
+     */
+    function renderPeriodSparkline(container, periodTotals) {
+        if (!container) return;
+        container.innerHTML = '';
+        container.hidden = periodTotals.length < 2;
+        if (container.hidden) return;
+
+        const width = 440;
+        const height = 60;
+        const padding = 4;
+        const maxCount = Math.max(1, ...periodTotals.map(entry => entry.count));
+        const points = periodTotals.map((entry, index) => [
+            padding + index * (width - 2 * padding) / (periodTotals.length - 1),
+            height - padding - entry.count / maxCount * (height - 2 * padding)
+        ]);
+
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNamespace, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', periodTotals.map(entry => t('format.labelValue', { label: formatPeriod(entry.period), value: formatNumber(entry.count) })).join(', '));
+
+        const line = document.createElementNS(svgNamespace, 'polyline');
+        line.setAttribute('points', points.map(point => point.join(',')).join(' '));
+        svg.appendChild(line);
+
+        points.forEach((point, index) => {
+            const marker = document.createElementNS(svgNamespace, 'circle');
+            marker.setAttribute('cx', point[0]);
+            marker.setAttribute('cy', point[1]);
+            marker.setAttribute('r', index === timelineConfig.currentIndex ? 4 : 2);
+            const title = document.createElementNS(svgNamespace, 'title');
+            title.textContent = t('format.labelValue', { label: formatPeriod(periodTotals[index].period), value: formatNumber(periodTotals[index].count) });
+            marker.appendChild(title);
+            svg.appendChild(marker);
+        });
+
+        container.appendChild(svg);
+    }
+
+    function hideInformationPanel() {
+        // Change the projection back to 'globe'
+        setMapProjection('globe');
+
+        // Ease the map back to a default view, ensuring a cohesive user experience
+        stopSpinning();
+        map.easeTo({
+            center: config.initialCenter,
+            padding: {left: 0, right: 0},
+            duration: 1000,
+            zoom: config.initialZoom
+        });
+
+        // Resume the spinning of the globe to indicate the return to the global view. Each spin frame
+        // moves the centre, which would cancel the ease, so the spin waits until the map is back.
+        spinningConfig.isEnabled = true;
+        map.once('moveend', () => {
+            if (spinningConfig.isEnabled) startSpinning();
+        });
+
+        closeInformationPanel();
+    }
+
+    // Closes the information panel and clears the selection, leaving the camera where it is
+    function closeInformationPanel() {
+        // Transition the panel out of view
+        setInformationPanelVisible(false);
+
+        // Clear the selection to allow for new interactions
+        const hadSelection = selectedFromCountry !== null;
+        selectedFromCountry = null;
+        selectedToCountry = null;
+        comparedOrigins = [];
+        inspectedCorridor = null;
+        highlightedCorridor = null;
+        updateCorridorHighlight();
+
+        // Restart the animation of moving dots to reflect the reset state
+        animateDots();
+        updateFlowLines();
+
+        refreshBubbleVisualization();
+        syncCountrySearch();
+        renderCorridorTable();
+        announce(t('announce.cleared'));
+        if (hadSelection) emit('countryselected', { country: null, connection: null });
+        scheduleUrlStateUpdate();
+    }
+
+    function initializeBubbleLayerInteractions() {
+        // Check if events have already been initialized to prevent duplication
+        if (bubbleLayerEventsInitialized) return;
+        bubbleLayerEventsInitialized = true;
+
+        const layerId = 'country-from-bubbles-layer'; // Corrected layer ID
+
+        // Handle click events on the bubble layer: shift-click picks the destination of a corridor from the
+        // selected country, Ctrl- or Cmd-click adds the country to the compared origins or removes it
+        map.on('click', layerId, function(e) {
+            const features = map.queryRenderedFeatures(e.point, { layers: [layerId] });
+            if (features.length === 0) return;
+            const country = features[0].properties.country_from;
+            const { shiftKey, ctrlKey, metaKey } = e.originalEvent || {};
+            if (shiftKey && selectedFromCountry && country !== selectedFromCountry) {
+                selectCorridor(selectedFromCountry, country);
+            } else if ((ctrlKey || metaKey) && selectedFromCountry) {
+                toggleComparedOrigin(country);
+            } else {
+                selectCountry(country);
+            }
+        });
+
+        // Clicking a cluster zooms in until it splits
+        map.on('click', 'country-from-clusters-layer', e => {
+            const features = map.queryRenderedFeatures(e.point, { layers: ['country-from-clusters-layer'] });
+            if (features.length) expandCluster(features[0]);
+        });
+
+        // Change cursor style on hover to indicate clickable elements
+        map.on('mouseenter', layerId, () => map.getCanvas().style.cursor = 'pointer');
+        map.on('mouseleave', layerId, () => map.getCanvas().style.cursor = '');
+
+        // Clusters form and split as the map zooms and as the bubble data changes; following the zoom as it
+        // happens keeps the charts from showing on top of clusters until it ends
+        map.on('zoom', updateClusteredCharts);
+        map.on('moveend', updateClusteredCharts);
+        map.on('sourcedata', e => {
+            if (e.sourceId === 'country-from-bubbles' && e.isSourceLoaded) updateClusteredCharts();
+        });
+    }
+
+    /**
+     * Selects a country: shows its partners and corridors and opens the information panel.
+     * Selecting a region opens it into its member countries instead.
+     * @param {string} country - The country or region name.
+     */
+    function selectCountry(country) {
+        if (getRegion(country)) {
+            drillDownToRegion(country);
+            return;
+        }
+        // A country merged into its region can only be selected once that region is open
+        const region = regionConfig.regionsByCountry.get(country);
+        if (region && region.name !== regionConfig.drilledRegion) setDrilledRegion(region.name);
+
+        selectedFromCountry = country;
+        selectedToCountry = null;
+        comparedOrigins = [];
+        inspectedCorridor = null;
+        highlightedCorridor = null;
+        updateCorridorHighlight();
+
+        filterVisualizationForSelectedCountry(selectedFromCountry);
+
+        // Restart dot animations to reflect the new selection
+        animateDots();
+        updateFlowLines();
+
+        // Display the information panel with details about the selected country
+        const connection = buildCountryConnection(selectedFromCountry);
+        showInformationPanel(connection);
+        syncCountrySearch();
+        renderCorridorTable();
+        announce(t('announce.selected', {
+            country: localizeCountryName(country),
+            inflow: formatNumber(connection.inflow),
+            outflow: formatNumber(connection.outflow)
+        }));
+        emit('countryselected', { country, connection });
+        scheduleUrlStateUpdate();
+    }
+
+    function filterVisualizationForSelectedCountry(selectedCountry) {
+        // Filter to get movements where the selected country is either the origin or the destination
+        const relatedMovements = filteredGeoJson.features.filter(feature =>
+            feature.properties.country_from === selectedCountry || feature.properties.country_to === selectedCountry
+        );
+
+        // Aggregate data for the related bubbles, including the selected country itself
+        const aggregatedData = aggregateDataForBothDirections(selectedCountry, relatedMovements, getCountryCoordinates);
+
+        // Update the bubble layer with the new aggregated data, ensuring the selected country's bubble is displayed
+        updateBubbleLayer(aggregatedData);
+    }
+
+    /**
+     * Isolates one corridor: only its movements are drawn and animated, and the information panel
+     * shows its counts in both directions with a button to swap them.
+     * @param {string} from - The origin country.
+     * @param {string} to - The destination country.
+     */
+    function selectCorridor(from, to) {
+        if (!from || !to || from === to) return;
+        selectedFromCountry = from;
+        selectedToCountry = to;
+        comparedOrigins = [];
+
+        animateDots();
+        updateFlowLines();
+        refreshBubbleVisualization();
+        showCorridorPanel(from, to);
+        syncCountrySearch();
+        renderCorridorTable();
+        emit('corridorselected', { from, to, corridor: buildCorridorConnection(from, to) });
+        scheduleUrlStateUpdate();
+    }
+
+    // Reverses the corridor in the information panel, keeping it isolated if it was
+    function swapCorridor() {
+        if (!inspectedCorridor) return;
+        const { from, to } = inspectedCorridor;
+        if (selectedToCountry) {
+            selectCorridor(to, from);
+        } else {
+            showCorridorPanel(to, from);
+        }
+    }
+
+    // The selected country followed by the compared origins, or nothing in the global view
+    function getSelectedOrigins() {
+        return selectedFromCountry ? [selectedFromCountry, ...comparedOrigins] : [];
+    }
+
+    /**
+     * Adds a country to the origins compared on the map, or removes it if it is already one of them.
+     * @param {string} country - The country name.
+     */
+    function toggleComparedOrigin(country) {
+        const origins = getSelectedOrigins();
+        if (origins.includes(country)) {
+            compareOrigins(origins.filter(origin => origin !== country));
+        } else if (origins.length >= config.originColors.length) {
+            announce(t('announce.originLimit', { count: config.originColors.length }));
+        } else {
+            compareOrigins(origins.concat(country));
+        }
+    }
+
+    /**
+     * Shows the corridors of several origins at once, each origin in its own colour from config.originColors,
+     * and lists their totals in the information panel. One origin is shown as a normal selection and none
+     * returns to the global view.
+     * @param {Array<string>} countries - The origin countries; any beyond the number of origin colours are ignored.
+     */
+    function compareOrigins(countries) {
+        const origins = Array.from(new Set(countries)).slice(0, config.originColors.length);
+        if (origins.length <= 1) {
+            if (origins.length) {
+                selectCountry(origins[0]);
+            } else if (selectedFromCountry) {
+                hideInformationPanel();
+            }
+            return;
+        }
+
+        selectedFromCountry = origins[0];
+        selectedToCountry = null;
+        comparedOrigins = origins.slice(1);
+        inspectedCorridor = null;
+        highlightedCorridor = null;
+        updateCorridorHighlight();
+
+        animateDots();
+        updateFlowLines();
+        refreshBubbleVisualization();
+        showOriginComparisonPanel();
+        syncCountrySearch();
+        renderCorridorTable();
+        announce(t('announce.originsCompared', { countries: origins.map(localizeCountryName).join(', ') }));
+        emit('originscompared', { origins, connections: origins.map(buildCountryConnection) });
+        scheduleUrlStateUpdate();
+    }
+
+    // Opens the information panel on the compared origins and frames them on the map
+    function showOriginComparisonPanel() {
+        setMapProjection('mercator');
+        spinningConfig.isEnabled = false;
+        stopSpinning();
+        adjustSpinning(false);
+
+        const origins = getSelectedOrigins();
+        updateOriginComparisonPanelUI(origins.map(buildCountryConnection));
+        const coordinates = origins.map(getCountryCoordinates).filter(Boolean);
+        if (!coordinates.length) return;
+        const longitudes = coordinates.map(coordinate => coordinate[0]);
+        const latitudes = coordinates.map(coordinate => coordinate[1]);
+        map.fitBounds([
+            [Math.min(...longitudes), Math.min(...latitudes)],
+            [Math.max(...longitudes), Math.max(...latitudes)]
+        ], {
+            padding: Object.assign({ top: 80, bottom: 80 }, getInformationPanelPadding(infoPanel.offsetWidth + 80, 80)),
+            maxZoom: 4,
+            essential: true
+        });
+    }
+
+    /**
+     * Writes the compared origins' totals into the information panel and slides it into view.
+     * @param {Array<Object>} connections - One connection per origin from buildCountryConnection, in origin colour order.
+     */
+    function updateOriginComparisonPanelUI(connections) {
+        const titleElement = infoPanel.querySelector('h1');
+        const paragraphElement = infoPanel.querySelector('p');
+        if (!titleElement || !paragraphElement) return;
+
+        const total = getVisibleCorridors().reduce((sum, feature) => sum + feature.properties.movement_count, 0);
+        titleElement.textContent = t('pair.title', { count: formatNumber(connections.length) });
+        paragraphElement.textContent = t('panel.totalMovement', { count: formatNumber(total) });
+        renderBalanceList(infoPanel.querySelector('.flow-balance'), []);
+        renderComparisonTable(connections[0].baseline && connections.map(connection =>
+            [localizeCountryName(connection.from), connection.count, connection.baseline.count]
+        ));
+        renderBreakdownTable(null, null);
+        renderOriginComparisonTable(connections);
+        setInformationPanelView('origins');
+        renderPeriodSparkline(infoPanel.querySelector('.period-sparkline'), []);
+        renderPartnerTable(infoPanel.querySelector('[data-ref="destinations-table"]'), [], 'outbound');
+        renderPartnerTable(infoPanel.querySelector('[data-ref="origins-table"]'), [], 'inbound');
+        setInformationPanelVisible(true);
+    }
+
+    /**
+     * Lists the compared origins with their colour, arrivals and departures, and a button to remove each.
+     * @param {Array<Object>} connections - One connection per origin from buildCountryConnection.
+     */
+    function renderOriginComparisonTable(connections) {
+        const table = getElement('origins-comparison');
+        if (!table) return;
+        const body = table.tBodies[0];
+        body.innerHTML = '';
+
+        connections.forEach((connection, index) => {
+            const country = localizeCountryName(connection.from);
+            const row = body.insertRow();
+            const label = document.createElement('th');
+            label.scope = 'row';
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-swatch';
+            swatch.style.backgroundColor = config.originColors[index];
+            label.append(swatch, country);
+            row.appendChild(label);
+            row.insertCell().textContent = formatNumber(connection.inflow);
+            row.insertCell().textContent = formatNumber(connection.outflow);
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'origin-remove';
+            removeButton.textContent = '×';
+            removeButton.setAttribute('aria-label', t('pair.remove', { country }));
+            removeButton.onclick = () => toggleComparedOrigin(connection.from);
+            row.insertCell().appendChild(removeButton);
+        });
+    }
+
+    /**
+     * Shows the parts of the information panel that belong to what it describes.
+     * @param {string} view - 'country', 'corridor' or 'origins'.
+     */
+    function setInformationPanelView(view) {
+        infoPanel.classList.toggle('info-panel-corridor', view === 'corridor');
+        infoPanel.classList.toggle('info-panel-origins', view === 'origins');
+        getElement('swapCorridor').hidden = view !== 'corridor';
+        getElement('origins-comparison').hidden = view !== 'origins';
+        getElement('pair-search').hidden = view === 'corridor';
+        getElement('destinationField').hidden = view !== 'country';
+        if (view === 'country') renderPartnerOptions(selectedFromCountry);
+    }
+
+    // Lists the selected country's partners as the destinations that can be picked for a corridor
+    function renderPartnerOptions(country) {
+        const list = getElement('partnerList');
+        if (!list) return;
+        list.innerHTML = '';
+        getPartnerCountries(country).forEach(name => list.appendChild(new Option(localizeCountryName(name))));
+    }
+
+    /**
+     * Lists the countries a country has movements with in the filtered data, alphabetically.
+     * @param {string} country - The country name.
+     * @returns {Array<string>} The partner country names.
+     */
+    function getPartnerCountries(country) {
+        const partners = new Set();
+        filterRelatedMovements(country, filteredGeoJson).forEach(feature => {
+            partners.add(feature.properties.country_from === country ? feature.properties.country_to : feature.properties.country_from);
+        });
+        partners.delete(country);
+        return Array.from(partners).sort(compareCountryNames);
+    }
+
+    // Picks a corridor destination or a further origin from the search fields in the information panel
+    function initializePairSearch() {
+        const destinationInput = getElement('destinationSearch');
+        const originInput = getElement('originSearch');
+        getElement('swapCorridor').onclick = swapCorridor;
+
+        destinationInput.onchange = () => {
+            const value = destinationInput.value.trim();
+            if (!value || !selectedFromCountry) return;
+            const match = findCountryName(value, getPartnerCountries(selectedFromCountry));
+            destinationInput.value = '';
+            if (match) {
+                selectCorridor(selectedFromCountry, match);
+            } else {
+                announce(t('announce.noMatch', { country: value }));
+            }
+        };
+        originInput.onchange = () => {
+            const value = originInput.value.trim();
+            if (!value || !selectedFromCountry) return;
+            const match = findCountryName(value, getCountryNames());
+            originInput.value = '';
+            if (!match) {
+                announce(t('announce.noMatch', { country: value }));
+            } else if (!getSelectedOrigins().includes(match)) {
+                toggleComparedOrigin(match);
+            }
+        };
+    }
+
+    function updateBubbleLayer(aggregatedData) {
+        // Update the bubble layer with the new aggregated data.
+        // This function body remains the same as in your initial code.
+        addBubbleBaselineChanges(aggregatedData);
+        updateBubbleScale(aggregatedData);
+        updateBreakdownCharts(aggregatedData);
+        map.getSource('country-from-bubbles').setData({
+            type: 'FeatureCollection',
+            features: aggregatedData
+        });
+        updateBubbleColors(aggregatedData);
+    }
+
+    /**
+     * Colours partner bubbles on a diverging scale from net sender to net receiver while a country is
+     * selected, and restores the single bubble colour for the global view. While comparing with a
+     * baseline, every bubble is coloured by its change instead.
+     * @param {Array<Object>} aggregatedData - The bubble features currently displayed.
+     */
+    function updateBubbleColors(aggregatedData) {
+        if (!map.getLayer('country-from-bubbles-layer')) return;
+
+        if (comparisonConfig.baseline) {
+            map.setPaintProperty('country-from-bubbles-layer', 'circle-color', getChangeColorExpression(aggregatedData));
+            return;
+        }
+        if (!selectedFromCountry) {
+            map.setPaintProperty('country-from-bubbles-layer', 'circle-color', config.bubbleColor);
+            return;
+        }
+
+        // Interpolation stops must be strictly ascending, so never let the range collapse to zero
+        const maxNet = Math.max(1, ...aggregatedData
+            .filter(feature => !feature.properties.is_selected)
+            .map(feature => Math.abs(feature.properties.net_flow || 0)));
+        const { outbound, inbound, balanced } = config.selectionColors;
+        const selectedColor = comparedOrigins.length
+            ? ['match', ['get', 'country_from'],
+                ...getSelectedOrigins().flatMap((origin, index) => [origin, config.originColors[index]]),
+                config.bubbleColor]
+            : config.bubbleColor;
+        map.setPaintProperty('country-from-bubbles-layer', 'circle-color', ['case',
+            ['==', ['get', 'is_selected'], true], selectedColor,
+            ['interpolate', ['linear'], ['get', 'net_flow'], -maxNet, inbound, 0, balanced, maxNet, outbound]
+        ]);
+    }
+
+    /**
+     * Gives each bubble its count in the baseline, aggregated the same way as the bubbles on the map, and its change.
+     * @param {Array<Object>} aggregatedData - The bubble features, changed in place.
+     */
+    function addBubbleBaselineChanges(aggregatedData) {
+        const baseline = getDisplayedBaseline();
+        if (!baseline) return;
+
+        const baselineBubbles = aggregateBubbles(baseline);
+        const baselineCounts = new Map(baselineBubbles.map(feature => [feature.properties.country_from, feature.properties.movement_count]));
+        aggregatedData.forEach(feature => {
+            feature.properties.baseline_count = baselineCounts.get(feature.properties.country_from) || 0;
+            feature.properties.change = computeChange(feature.properties.movement_count, feature.properties.baseline_count);
+        });
+    }
+
+    function refreshBubbleVisualization() {
+        // Global totals with nothing selected, otherwise the bubbles of the selected origins and their partners
+        updateBubbleLayer(aggregateBubbles(filteredGeoJson));
+    }
+
+    /**
+     * Aggregates movements into bubbles for the current selection: each origin's departures in the global
+     * view, otherwise the totals of the selected origins and their partners over the corridors on the map.
+     * @param {Object} geoJson - The GeoJSON object containing movement data.
+     * @returns {Array<Object>} The aggregated bubble features.
+     */
+    function aggregateBubbles(geoJson) {
+        if (!selectedFromCountry) return aggregateGlobalMovementCounts(geoJson, getCountryCoordinates);
+        return aggregateDataForSelectedCountry(geoJson.features.filter(isCorridorInSelection), selectedFromCountry);
+    }
+
+    function aggregateDataForSelectedCountry(movements, selectedCountry) {
+        const aggregatedData = aggregateDataForBothDirections(selectedCountry, movements, getCountryCoordinates);
+        // Every compared origin is drawn as selected, in its own colour
+        aggregatedData.forEach(feature => {
+            if (comparedOrigins.includes(feature.properties.country_from)) feature.properties.is_selected = true;
+        });
+        return aggregatedData;
+    }
+
+    // The bubble layer's radius for each bubble's movement count; getBubbleRadius must give the same size
+    function getBubbleRadiusExpression() {
+        const [minRadius, maxRadius] = config.bubbleRadiusRange;
+        return ['max', minRadius,
+            ['*', maxRadius, ['sqrt', ['/', ['max', ['get', 'movement_count'], 0], Math.max(bubbleMaxCount, 1)]]]];
+    }
+
+    // A cluster totals several bubbles, so its radius is capped at the largest bubble's to stay within the legend
+    function getClusterRadiusExpression() {
+        return ['min', config.bubbleRadiusRange[1], getBubbleRadiusExpression()];
+    }
+
+    // Radius in pixels of the bubble for a movement count, as drawn by the bubble layer. The area, not the
+    // radius, grows with the count, so a bubble twice as large in area stands for twice the movements; the
+    // smallest bubbles are raised to the minimum radius to stay visible and clickable
+    function getBubbleRadius(count) {
+        const [minRadius, maxRadius] = config.bubbleRadiusRange;
+        return Math.max(minRadius, maxRadius * Math.sqrt(Math.max(count, 0) / Math.max(bubbleMaxCount, 1)));
+    }
+
+    /**
+     * Fits the bubble sizes to the bubbles about to be shown, so the largest of them gets the largest
+     * radius, and redraws the size legend. Runs whenever the data, filters or selection change the bubbles.
+     * @param {Array<Object>} aggregatedData - The bubble features about to be displayed.
+     */
+    function updateBubbleScale(aggregatedData) {
+        bubbleMaxCount = aggregatedData.reduce((max, feature) => Math.max(max, feature.properties.movement_count), 0);
+        if (map.getLayer('country-from-bubbles-layer')) {
+            map.setPaintProperty('country-from-bubbles-layer', 'circle-radius', getBubbleRadiusExpression());
+        }
+        if (map.getLayer('country-from-clusters-layer')) {
+            map.setPaintProperty('country-from-clusters-layer', 'circle-radius', getClusterRadiusExpression());
+        }
+        renderSizeLegend();
+    }
+
+    /**
+     * Picks up to three round movement counts for the size legend: the largest 1, 2 or 5 times a power
+     * of ten not above the largest bubble, and roughly a quarter and a twenty-fifth of it, whose bubbles
+     * have half and a fifth of its radius.
+     * @param {number} maxCount - The movement count of the largest bubble.
+     * @returns {Array<number>} The counts, largest first.
+     */
+    function getSizeLegendValues(maxCount) {
+        const roundDown = value => {
+            const power = Math.pow(10, Math.floor(Math.log10(value)));
+            return [5, 2, 1].map(step => step * power).find(candidate => candidate <= value);
+        };
+        const values = [maxCount, maxCount / 4, maxCount / 25].filter(value => value >= 1).map(roundDown);
+        return Array.from(new Set(values));
+    }
+
+    // Shows the bubble sizes for round movement counts, hidden while there are no bubbles on the map
+    function renderSizeLegend() {
+        const legend = getElement('size-legend');
+        if (!legend) return;
+        const list = legend.querySelector('ul');
+        legend.hidden = bubbleMaxCount === 0 || choroplethConfig.enabled;
+        list.innerHTML = '';
+        if (legend.hidden) return;
+
+        legend.querySelector('h3').textContent = t('legend.bubbleSize');
+        const values = getSizeLegendValues(bubbleMaxCount);
+        const width = getBubbleRadius(values[0]) * 2;
+        values.forEach(value => {
+            const item = document.createElement('li');
+            const slot = document.createElement('span');
+            const circle = document.createElement('span');
+            const diameter = getBubbleRadius(value) * 2;
+            slot.className = 'size-legend-slot';
+            slot.style.width = `${width}px`;
+            circle.className = 'size-legend-circle';
+            circle.style.width = `${diameter}px`;
+            circle.style.height = `${diameter}px`;
+            slot.appendChild(circle);
+            item.appendChild(slot);
+            item.appendChild(document.createTextNode(formatNumber(value)));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Fills the population group filter and the bubble chart options from the breakdowns in the data.
+     * Both are hidden for data without breakdown columns.
+     * @param {Object} geoJson - The GeoJSON object containing movement data.
+     */
+    function initializeBreakdownControls(geoJson) {
+        breakdownConfig.categories = getBreakdownCategories(geoJson);
+        // A newly loaded dataset may not have the previously chosen group or chart
+        const [dimension, category] = filterConfig.group.split(':');
+        if (filterConfig.group && !(breakdownConfig.categories[dimension] || []).includes(category)) filterConfig.group = '';
+        if (!breakdownConfig.categories[breakdownConfig.chart]) breakdownConfig.chart = '';
+
+        const chartSelect = getElement('breakdownChart');
+        const styleSelect = getElement('breakdownChartStyle');
+        chartSelect.onchange = () => setBreakdownChart(chartSelect.value);
+        styleSelect.onchange = () => setBreakdownChart(breakdownConfig.chart, styleSelect.value);
+        renderBreakdownOptions();
+    }
+
+    // Lists the loaded breakdowns' groups and charts in the sidebar, in the interface language
+    function renderBreakdownOptions() {
+        const groupSelect = getElement('breakdownGroup');
+        const chartSelect = getElement('breakdownChart');
+        const dimensions = Object.keys(breakdownConfig.categories);
+
+        // Keep the "Everyone" and "Plain bubbles" options and replace everything after them
+        groupSelect.querySelectorAll('optgroup').forEach(optgroup => optgroup.remove());
+        dimensions.forEach(dimension => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = describeBreakdownDimension(dimension);
+            breakdownConfig.categories[dimension].forEach(category => {
+                optgroup.appendChild(new Option(describeBreakdownCategory(dimension, category), `${dimension}:${category}`));
+            });
+            groupSelect.appendChild(optgroup);
+        });
+        groupSelect.value = filterConfig.group;
+        groupSelect.hidden = dimensions.length === 0;
+
+        chartSelect.length = 1;
+        dimensions.forEach(dimension => {
+            chartSelect.add(new Option(t('breakdown.chartBy', { dimension: describeBreakdownDimension(dimension) }), dimension));
+        });
+        chartSelect.value = breakdownConfig.chart;
+        getElement('breakdownChartStyle').value = breakdownConfig.style;
+        getElement('breakdownChartOptions').hidden = dimensions.length === 0;
+    }
+
+    // The name of a breakdown, e.g. "Age"; breakdowns without a translation show their column prefix
+    function describeBreakdownDimension(dimension) {
+        const key = `breakdown.dimension.${dimension}`;
+        return hasMessage(currentLocale, key) ? t(key) : dimension.replace(/_/g, ' ');
+    }
+
+    // The name of a breakdown category, e.g. "Female"; age brackets and other categories without a
+    // translation are read from the column name, so age_18_59 is "18–59" and age_60_plus is "60+"
+    function describeBreakdownCategory(dimension, category) {
+        const key = category === 'unspecified' ? 'breakdown.unspecified' : `breakdown.${dimension}.${category}`;
+        if (hasMessage(currentLocale, key)) return t(key);
+        return category.replace(/^(\d+)_(\d+)$/, '$1–$2').replace(/_plus$/, '+').replace(/_/g, ' ');
+    }
+
+    // The name of a population group given as 'dimension:category', e.g. "Sex: Female"
+    function describeBreakdownGroup(group) {
+        const [dimension, category] = group.split(':');
+        return t('format.labelValue', { label: describeBreakdownDimension(dimension), value: describeBreakdownCategory(dimension, category) });
+    }
+
+    // The chart colour of a breakdown category, following the order of the data's columns
+    function getBreakdownColor(dimension, category) {
+        if (category === 'unspecified') return config.breakdownUnspecifiedColor;
+        const index = (breakdownConfig.categories[dimension] || []).indexOf(category);
+        return config.breakdownColors[Math.max(index, 0) % config.breakdownColors.length];
+    }
+
+    /**
+     * Draws the bubbles as pie or donut charts of one breakdown, or as plain bubbles.
+     * @param {string} dimension - The breakdown to chart, e.g. 'sex', or '' for plain bubbles.
+     * @param {string} [style] - 'pie' or 'donut'; unchanged when omitted.
+     */
+    function setBreakdownChart(dimension, style = breakdownConfig.style) {
+        breakdownConfig.chart = breakdownConfig.categories[dimension] ? dimension : '';
+        breakdownConfig.style = style === 'donut' ? 'donut' : 'pie';
+        getElement('breakdownChart').value = breakdownConfig.chart;
+        getElement('breakdownChartStyle').value = breakdownConfig.style;
+        if (filteredGeoJson) refreshBubbleVisualization();
+        scheduleUrlStateUpdate();
+    }
+
+    // Whether bubbles are drawn as charts: a breakdown is chosen, and neither the choropleth nor the difference view replaces them
+    function isShowingBreakdownCharts() {
+        return Boolean(breakdownConfig.chart) && !choroplethConfig.enabled && !comparisonConfig.baseline && Boolean(mapLibrary);
+    }
+
+    /**
+     * Draws a chart of the charted breakdown over each bubble, as an HTML marker that lets pointer events
+     * through to the bubble underneath. Bubbles with a chart are marked with has_chart, which makes them
+     * transparent; bubbles without one, e.g. while a single group is shown, stay plain.
+     * @param {Array<Object>} aggregatedData - The bubble features about to be displayed, changed in place.
+     */
+    function updateBreakdownCharts(aggregatedData) {
+        const dimension = isShowingBreakdownCharts() ? breakdownConfig.chart : '';
+        const shownCountries = new Set();
+
+        aggregatedData.forEach(feature => {
+            const properties = feature.properties;
+            const slices = dimension ? getBreakdownSlices(dimension, properties.breakdowns) : [];
+            properties.has_chart = slices.length > 0;
+            if (!properties.has_chart) return;
+
+            const country = properties.country_from;
+            if (!breakdownConfig.charts.has(country)) {
+                const element = document.createElement('div');
+                element.className = 'breakdown-chart';
+                element.setAttribute('aria-hidden', 'true'); // The information panel and corridor table give the same figures
+                breakdownConfig.charts.set(country, { marker: new mapLibrary.Marker({ element }).setLngLat(feature.geometry.coordinates).addTo(map) });
+            }
+            const chart = breakdownConfig.charts.get(country);
+            const radius = getBubbleRadius(properties.movement_count);
+            const size = radius * 2;
+            Object.assign(chart, { radius, slices });
+            chart.marker.setLngLat(feature.geometry.coordinates);
+            chart.marker.getElement().classList.toggle('breakdown-chart-selected', properties.is_selected === true);
+            chart.marker.getElement().innerHTML = `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">` +
+                `${buildBreakdownChartShapes(slices, radius, radius, radius)}</svg>`;
+            shownCountries.add(country);
+        });
+
+        breakdownConfig.charts.forEach((chart, country) => {
+            if (shownCountries.has(country)) return;
+            chart.marker.remove();
+            breakdownConfig.charts.delete(country);
+        });
+        renderBreakdownLegend();
+    }
+
+    // The slices of a bubble's chart, one per category with movements: { category, color, share }
+    function getBreakdownSlices(dimension, breakdowns) {
+        const counts = (breakdowns || {})[dimension] || {};
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        if (total <= 0) return [];
+        return breakdownConfig.categories[dimension]
+            .filter(category => counts[category] > 0)
+            .map(category => ({ category, color: getBreakdownColor(dimension, category), share: counts[category] / total }));
+    }
+
+    // The ring chart slices are drawn on: the whole disc for a pie, its outer half for a donut
+    function getBreakdownRing(radius) {
+        return breakdownConfig.style === 'donut'
+            ? { ringRadius: radius * 0.75, ringWidth: radius * 0.5 }
+            : { ringRadius: radius / 2, ringWidth: radius };
+    }
+
+    /**
+     * Draws chart slices as dashed strokes around one ring, clockwise from the top. Unlike arc paths,
+     * this needs no special case for a single slice covering the whole circle.
+     * @param {Array<Object>} slices - The slices from getBreakdownSlices.
+     * @param {number} x - The horizontal centre of the chart.
+     * @param {number} y - The vertical centre of the chart.
+     * @param {number} radius - The chart's outer radius.
+     * @returns {string} SVG circle elements.
+     */
+    function buildBreakdownChartShapes(slices, x, y, radius) {
+        const { ringRadius, ringWidth } = getBreakdownRing(radius);
+        const circumference = 2 * Math.PI * ringRadius;
+        let offset = 0;
+        return slices.map(({ color, share }) => {
+            const length = share * circumference;
+            const shape = `<circle cx="${x}" cy="${y}" r="${ringRadius}" fill="none" stroke="${color}" stroke-width="${ringWidth}" ` +
+                `stroke-dasharray="${length} ${circumference}" stroke-dashoffset="${-offset}" transform="rotate(-90 ${x} ${y})"/>`;
+            offset += length;
+            return shape;
+        }).join('');
+    }
+
+    // The colours of the categories in the charts on the map, for the on-screen and exported legends
+    function getBreakdownLegendEntries() {
+        const dimension = breakdownConfig.chart;
+        const shownCategories = new Set();
+        breakdownConfig.charts.forEach(chart => chart.slices.forEach(slice => shownCategories.add(slice.category)));
+        return (breakdownConfig.categories[dimension] || [])
+            .filter(category => shownCategories.has(category))
+            .map(category => ({ color: getBreakdownColor(dimension, category), label: describeBreakdownCategory(dimension, category) }));
+    }
+
+    // Shows the breakdown legend while bubbles are drawn as charts
+    function renderBreakdownLegend() {
+        const legend = getElement('breakdown-legend');
+        if (!legend) return;
+        const list = legend.querySelector('ul');
+        legend.hidden = breakdownConfig.charts.size === 0;
+        list.innerHTML = '';
+        if (legend.hidden) return;
+
+        legend.querySelector('h3').textContent = describeBreakdownDimension(breakdownConfig.chart);
+        getBreakdownLegendEntries().forEach(({ color, label }) => {
+            const item = document.createElement('li');
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-swatch';
+            swatch.style.backgroundColor = color;
+            item.append(swatch, label);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Fills the information panel's table of a country's arrivals and departures by group, one section
+     * per breakdown. The table is hidden for data without breakdowns and for corridors.
+     * @param {Object|null} inflowBreakdowns - Arrivals by category by dimension.
+     * @param {Object|null} outflowBreakdowns - Departures by category by dimension.
+     */
+    function renderBreakdownTable(inflowBreakdowns, outflowBreakdowns) {
+        const table = getElement('breakdown-table');
+        if (!table) return;
+        Array.from(table.tBodies).forEach(body => body.remove());
+        const dimensions = Object.keys(breakdownConfig.categories).filter(dimension =>
+            (inflowBreakdowns || {})[dimension] || (outflowBreakdowns || {})[dimension]
+        );
+        table.hidden = dimensions.length === 0;
+
+        dimensions.forEach(dimension => {
+            const body = table.createTBody();
+            const heading = document.createElement('th');
+            heading.scope = 'rowgroup';
+            heading.colSpan = 3;
+            heading.textContent = describeBreakdownDimension(dimension);
+            body.insertRow().appendChild(heading);
+
+            breakdownConfig.categories[dimension].forEach(category => {
+                const group = `${dimension}:${category}`;
+                const inflow = getBreakdownCount(inflowBreakdowns, group);
+                const outflow = getBreakdownCount(outflowBreakdowns, group);
+                if (!inflow && !outflow) return;
+
+                const row = body.insertRow();
+                const label = document.createElement('th');
+                label.scope = 'row';
+                const swatch = document.createElement('span');
+                swatch.className = 'legend-swatch';
+                swatch.style.backgroundColor = getBreakdownColor(dimension, category);
+                label.append(swatch, describeBreakdownCategory(dimension, category));
+                row.appendChild(label);
+                row.insertCell().textContent = formatNumber(inflow);
+                row.insertCell().textContent = formatNumber(outflow);
+            });
+        });
+    }
+
+    // Applies the sidebar filters to the loaded data, then merges countries into regions if a grouping is active
+    function getDisplayedMovements() {
+        return groupMovementsByRegion(filterMovementData(globalGeoJson, filterConfig));
+    }
+
+    /**
+     * Loads the regional groupings once. Without them only countries can be shown.
+     * @returns {Promise<void>}
+     */
+    function loadRegions() {
+        if (!regionConfig.loading) {
+            regionConfig.loading = !config.regionsUrl ? Promise.resolve() : fetchWithRetry(config.regionsUrl, 3, 1000)
+                .then(text => {
+                    regionConfig.groupings = JSON.parse(text).groupings || [];
+                })
+                .catch(error => console.warn('Regional groupings unavailable, showing countries only:', error));
+        }
+        return regionConfig.loading;
+    }
+
+    // Fills the grouping select from the loaded groupings and wires it and the "All regions" button up
+    function initializeRegionControls() {
+        const groupingSelect = getElement('regionGrouping');
+        const backButton = getElement('regionBack');
+        if (!groupingSelect || !backButton) return;
+
+        // Keep the "Countries" option and replace anything that follows it
+        groupingSelect.length = 1;
+        regionConfig.groupings.forEach(grouping => groupingSelect.add(new Option(grouping.name, grouping.id)));
+        groupingSelect.hidden = regionConfig.groupings.length === 0;
+        groupingSelect.onchange = () => setRegionGrouping(groupingSelect.value);
+        backButton.onclick = () => drillDownToRegion(null);
+        syncRegionControls();
+    }
+
+    // Shows the active grouping in the select, and the "All regions" button while a region is open
+    function syncRegionControls() {
+        const groupingSelect = getElement('regionGrouping');
+        const backButton = getElement('regionBack');
+        if (groupingSelect) groupingSelect.value = regionConfig.grouping ? regionConfig.grouping.id : '';
+        if (backButton) backButton.hidden = !regionConfig.drilledRegion;
+    }
+
+    /**
+     * Switches to a regional grouping and redraws the map with movements between its regions.
+     * @param {string} groupingId - The id of a loaded grouping; an empty or unknown id shows countries.
+     */
+    function setRegionGrouping(groupingId) {
+        const grouping = regionConfig.groupings.find(item => item.id === groupingId) || null;
+        if (selectedFromCountry || inspectedCorridor) hideInformationPanel();
+
+        regionConfig.grouping = grouping;
+        regionConfig.drilledRegion = null;
+        regionConfig.regionsByCountry = new Map();
+        regionFeatureCache = new Map();
+        if (grouping) {
+            // Members may be listed by ISO3 code, name or alias; the data uses canonical names
+            grouping.regions.forEach(region => region.countries.forEach(identifier => {
+                const entry = resolveCountry(identifier);
+                regionConfig.regionsByCountry.set(entry ? entry.name : identifier, region);
+            }));
+        }
+
+        syncRegionControls();
+        refreshRegionView();
+        announce(grouping ? t('announce.regions', { grouping: grouping.name }) : t('announce.countries'));
+    }
+
+    /**
+     * Opens a region into its member countries, keeping every other region merged, and fits the map to them.
+     * @param {string|null} regionName - The region to open, or null to show all regions again.
+     */
+    function drillDownToRegion(regionName) {
+        if (selectedFromCountry || inspectedCorridor) hideInformationPanel();
+        setDrilledRegion(regionName);
+        if (regionName) fitRegion(regionName);
+        announce(regionName ? t('announce.drillDown', { region: regionName }) : t('announce.allRegions'));
+    }
+
+    // Opens a region, or closes it with null, and redraws the map without moving it
+    function setDrilledRegion(regionName) {
+        regionConfig.drilledRegion = regionName;
+        syncRegionControls();
+        refreshRegionView();
+    }
+
+    // Regroups the filtered data after the grouping or the open region changed and redraws everything
+    function refreshRegionView() {
+        if (!globalGeoJson) return;
+        filteredGeoJson = getDisplayedMovements();
+        initializeCountrySearch();
+        refreshVisualization();
+        emit('filterchanged', getFilterState());
+    }
+
+    // Fits the map to the member countries of a region that appear in the data
+    function fitRegion(regionName) {
+        const region = getRegion(regionName);
+        const coordinates = Array.from(regionConfig.regionsByCountry)
+            .filter(([country, countryRegion]) => countryRegion === region && countryCoordinates.has(country))
+            .map(([country]) => countryCoordinates.get(country));
+        if (!coordinates.length) return;
+
+        spinningConfig.isEnabled = false;
+        stopSpinning();
+        adjustSpinning(false);
+        const longitudes = coordinates.map(coordinate => coordinate[0]);
+        const latitudes = coordinates.map(coordinate => coordinate[1]);
+        map.fitBounds([
+            [Math.min(...longitudes), Math.min(...latitudes)],
+            [Math.max(...longitudes), Math.max(...latitudes)]
+        ], { padding: 80, maxZoom: 5, essential: true });
+    }
+
+    /**
+     * Finds a region of the active grouping by name.
+     * @param {string} name - The region name.
+     * @returns {Object|null} The region, or null if there is no such region or no grouping.
+     */
+    function getRegion(name) {
+        if (!regionConfig.grouping) return null;
+        return regionConfig.grouping.regions.find(region => region.name === name) || null;
+    }
+
+    // Returns the name a country is shown under: its region, unless that region has been opened
+    function getDisplayUnit(country) {
+        const region = regionConfig.regionsByCountry.get(country);
+        return region && region.name !== regionConfig.drilledRegion ? region.name : country;
+    }
+
+    /**
+     * Returns a region's centroid: the one given in the regions file, or else the mean position of its
+     * members on the sphere, which stays sensible for regions spanning the antimeridian.
+     * @param {Object} region - A region of the active grouping.
+     * @returns {Array<number>} The [longitude, latitude].
+     */
+    function getRegionCentroid(region) {
+        if (!region.centroid) {
+            const toRadians = degrees => degrees * Math.PI / 180;
+            const toDegrees = radians => radians * 180 / Math.PI;
+            let x = 0, y = 0, z = 0;
+            region.countries.forEach(identifier => {
+                const entry = resolveCountry(identifier);
+                if (!entry) return;
+                const longitude = toRadians(entry.longitude);
+                const latitude = toRadians(entry.latitude);
+                x += Math.cos(latitude) * Math.cos(longitude);
+                y += Math.cos(latitude) * Math.sin(longitude);
+                z += Math.sin(latitude);
+            });
+            region.centroid = [toDegrees(Math.atan2(y, x)), toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y)))];
+        }
+        return region.centroid;
+    }
+
+    /**
+     * Returns the ISO3 codes of a region's member countries, so a region can shade their boundaries.
+     * @param {string} name - The region name.
+     * @returns {Array<string>} The codes, empty if the name is not a region.
+     */
+    function getRegionCountryCodes(name) {
+        const region = getRegion(name);
+        if (!region) return [];
+        return region.countries
+            .map(identifier => resolveCountry(identifier))
+            .filter(entry => entry)
+            .map(entry => entry.iso3);
+    }
+
+    /**
+     * Merges movements into movements between the regions of the active grouping. Both ends of each movement
+     * are replaced by the name they are shown under, and movements that then share an origin and destination
+     * are summed, per period and breakdown too. Movements between two countries shown on their own are kept as they are.
+     * @param {Object} geoJson - The movement data.
+     * @param {Map} [cache=regionFeatureCache] - Merged features by pair, reused between calls.
+     * @returns {Object} The grouped FeatureCollection, or geoJson itself when no grouping is active.
+     */
+    function groupMovementsByRegion(geoJson, cache = regionFeatureCache) {
+        if (!regionConfig.grouping) return geoJson;
+
+        const featuresByPair = new Map();
+        const flowsByPair = new Map();
+        geoJson.features.forEach(feature => {
+            const properties = feature.properties;
+            const from = getDisplayUnit(properties.country_from);
+            const to = getDisplayUnit(properties.country_to);
+            const key = `${from}|${to}`;
+            if (from === properties.country_from && to === properties.country_to) {
+                featuresByPair.set(key, feature);
+                return;
+            }
+
+            if (!featuresByPair.has(key)) {
+                if (!cache.has(key)) {
+                    cache.set(key, {
+                        type: 'Feature',
+                        geometry: { type: 'LineString', coordinates: [getCountryCoordinates(from), getCountryCoordinates(to)] },
+                        properties: { country_from: from, country_to: to, progress: 0 }
+                    });
+                }
+                const merged = cache.get(key);
+                // A country end keeps its ISO3 code so it still matches a boundary in the choropleth
+                merged.properties.iso3_from = from === properties.country_from ? properties.iso3_from : null;
+                merged.properties.iso3_to = to === properties.country_to ? properties.iso3_to : null;
+                merged.properties.movement_count = 0;
+                ['period_counts', 'breakdowns', 'period_breakdowns'].forEach(key => {
+                    if (properties[key]) merged.properties[key] = {};
+                    else delete merged.properties[key];
+                });
+                featuresByPair.set(key, merged);
+                flowsByPair.set(key, new Set());
+            }
+
+            const merged = featuresByPair.get(key).properties;
+            merged.movement_count += properties.movement_count;
+            if (properties.flow) flowsByPair.get(key).add(properties.flow);
+            Object.entries(properties.period_counts || {}).forEach(([period, count]) => {
+                merged.period_counts[period] = (merged.period_counts[period] || 0) + count;
+            });
+            if (properties.breakdowns) addBreakdowns(merged.breakdowns, properties.breakdowns);
+            Object.entries(properties.period_breakdowns || {}).forEach(([period, breakdowns]) => {
+                merged.period_breakdowns[period] = addBreakdowns(merged.period_breakdowns[period] || {}, breakdowns);
+            });
+        });
+
+        flowsByPair.forEach((flows, key) => {
+            const properties = featuresByPair.get(key).properties;
+            properties.flow = Array.from(flows).sort().join(', ');
+            properties.speed = calculateSpeedBasedOnData(properties);
+        });
+
+        return { type: 'FeatureCollection', features: Array.from(featuresByPair.values()) };
+    }
+
+    /**
+     * Fills the flow type select with the categories found in the data and wires up the Apply button.
+     * @param {Object} geoJson - The GeoJSON object containing movement data.
+     */
+    function initializeFilterControls(geoJson) {
+        const flowTypeSelect = getElement('flowTypeSelect');
+        const applyButton = getElement('applyFilters');
+        if (!flowTypeSelect || !applyButton) return;
+
+        // Keep the "All flows" placeholder and replace anything that follows it
+        flowTypeSelect.length = 1;
+        getFlowCategories(geoJson).forEach(category => {
+            flowTypeSelect.add(new Option(category, category));
+        });
+        // A newly loaded dataset may not have the previously chosen category
+        if (filterConfig.flowType && !getFlowCategories(geoJson).includes(filterConfig.flowType)) {
+            filterConfig.flowType = '';
+        }
+        flowTypeSelect.value = filterConfig.flowType;
+
+        applyButton.onclick = applyFilters;
+    }
+
+    /**
+     * Reads a numeric filter input, treating blank or invalid values as "no bound".
+     * @param {string} elementId - The id of the number input.
+     * @returns {number|null} The parsed value, or null if none was entered.
+     */
+    function readCountInput(elementId) {
+        const input = getElement(elementId);
+        const value = input ? parseFloat(input.value) : NaN;
+        return Number.isFinite(value) ? value : null;
+    }
+
+    // Reads the sidebar controls into filterConfig and redraws everything that depends on the data
+    function applyFilters() {
+        if (!globalGeoJson) return;
+
+        filterConfig.flowType = getElement('flowTypeSelect').value;
+        filterConfig.minCount = readCountInput('minCount');
+        filterConfig.maxCount = readCountInput('maxCount');
+        filterConfig.group = getElement('breakdownGroup').value;
+
+        applyFeatureCounts();
+        filteredGeoJson = getDisplayedMovements();
+        refreshVisualization();
+        announce(t('announce.corridors', { count: formatNumber(getVisibleCorridors().length) }));
+        emit('filterchanged', getFilterState());
+    }
+
+    /**
+     * Applies filters and a period as if they were set in the sidebar and on the timeline, e.g. to match
+     * another map. Filters left out keep their value, as does the period when the data doesn't have it.
+     * @param {Object} filters - { flowType, minCount, maxCount, group, period } as in the 'filterchanged' event,
+     * where a null period means all periods.
+     */
+    function setFilters(filters) {
+        if (!globalGeoJson) return;
+        const current = getFilterState();
+        const controls = { flowType: 'flowTypeSelect', minCount: 'minCount', maxCount: 'maxCount', group: 'breakdownGroup' };
+        const changed = Object.keys(controls).filter(key => filters[key] !== undefined && filters[key] !== current[key]);
+        if (changed.length) {
+            // Filters go through the sidebar controls so they stay in sync with what is applied
+            changed.forEach(key => {
+                getElement(controls[key]).value = filters[key] === null ? '' : String(filters[key]);
+            });
+            applyFilters();
+        }
+
+        if (filters.period === undefined || filters.period === current.period) return;
+        const periodIndex = filters.period === null ? -1 : timelineConfig.periods.indexOf(filters.period);
+        if (filters.period === null || periodIndex >= 0) setTimelinePeriod(periodIndex);
+    }
+
+    /**
+     * Describes the active filters and grouping for the 'filterchanged' event.
+     * @returns {Object} { flowType, minCount, maxCount, group, period, grouping, region } where period is null for
+     * all periods, grouping is the id of the active grouping and region the opened region, or null.
+     */
+    function getFilterState() {
+        const period = timelineConfig.currentIndex >= 0 ? timelineConfig.periods[timelineConfig.currentIndex] : null;
+        return Object.assign({}, filterConfig, {
+            period,
+            grouping: regionConfig.grouping ? regionConfig.grouping.id : null,
+            region: regionConfig.drilledRegion
+        });
+    }
+
+    // Redraws the moving dots, flow lines, bubbles, choropleth and the information panel from filteredGeoJson
+    function refreshVisualization() {
+        animateDots();
+        updateFlowLines();
+        refreshBubbleVisualization();
+        updateChoropleth();
+        refreshInformationPanel();
+        renderCorridorTable();
+        scheduleUrlStateUpdate();
+    }
+
+    // Recomputes the selected country's totals so the open information panel matches the bubbles
+    function refreshInformationPanel() {
+        if (inspectedCorridor) {
+            updateCorridorPanelUI(buildCorridorConnection(inspectedCorridor.from, inspectedCorridor.to));
+            return;
+        }
+        if (comparedOrigins.length) {
+            updateOriginComparisonPanelUI(getSelectedOrigins().map(buildCountryConnection));
+            return;
+        }
+        if (!selectedFromCountry) return;
+        updateInformationPanelUI(buildCountryConnection(selectedFromCountry));
+    }
+
+    /**
+     * Builds the connection object shown in the information panel for a country, using the filtered data.
+     * @param {string} country - The country name.
+     * @returns {Object} The country's totals, breakdowns, ranked partners, per-period totals, coordinates and,
+     * while comparing, its totals in the baseline.
+     */
+    function buildCountryConnection(country) {
+        const relatedMovements = filterRelatedMovements(country, filteredGeoJson);
+        const countryBubble = aggregateDataForBothDirections(country, relatedMovements, getCountryCoordinates)
+            .find(feature => feature.properties.country_from === country);
+        const { movement_count = 0, inflow = 0, outflow = 0, inflow_breakdowns = null, outflow_breakdowns = null } = countryBubble ? countryBubble.properties : {};
+
+        return {
+            from: country,
+            count: movement_count,
+            inflow,
+            outflow,
+            inflowBreakdowns: inflow_breakdowns,
+            outflowBreakdowns: outflow_breakdowns,
+            destinations: getRankedPartners(country, relatedMovements, 'outbound'),
+            origins: getRankedPartners(country, relatedMovements, 'inbound'),
+            periodTotals: getCountryPeriodTotals(country),
+            fromCoordinates: getCountryCoordinates(country),
+            baseline: getBaselineCountryTotals(country)
+        };
+    }
+
+    /**
+     * Ranks a country's partners in one direction by movement count.
+     * @param {string} country - The country name.
+     * @param {Array<Object>} movements - Movement features to or from the country.
+     * @param {string} direction - 'outbound' for destinations or 'inbound' for origins.
+     * @returns {Array<Object>} Up to config.partnerListLimit { country, from, to, count, share } entries.
+     */
+    function getRankedPartners(country, movements, direction) {
+        const outbound = direction === 'outbound';
+        const corridors = movements.filter(feature =>
+            (outbound ? feature.properties.country_from : feature.properties.country_to) === country
+        );
+        const total = corridors.reduce((sum, feature) => sum + feature.properties.movement_count, 0);
+
+        return corridors
+            .map(feature => ({
+                country: outbound ? feature.properties.country_to : feature.properties.country_from,
+                from: feature.properties.country_from,
+                to: feature.properties.country_to,
+                count: feature.properties.movement_count,
+                share: total > 0 ? feature.properties.movement_count / total : 0
+            }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, config.partnerListLimit);
+    }
+
+    /**
+     * Sums a country's arrivals and departures for every period, honouring the flow type and group filters.
+     * Count thresholds are left out because they apply to the current period only.
+     * @param {string} country - The country name.
+     * @returns {Array<Object>} { period, count } entries in chronological order, empty without periods.
+     */
+    function getCountryPeriodTotals(country) {
+        const movements = filterRelatedMovements(country, globalGeoJson)
+            .filter(feature => !filterConfig.flowType || feature.properties.flow === filterConfig.flowType);
+
+        return timelineConfig.periods.map(period => ({
+            period,
+            count: movements.reduce((sum, feature) => sum + getPeriodCount(feature.properties, period), 0)
+        }));
+    }
+
+    // A corridor's count in one period, for the population group being shown
+    function getPeriodCount(properties, period) {
+        if (filterConfig.group) return getBreakdownCount((properties.period_breakdowns || {})[period], filterConfig.group);
+        return (properties.period_counts || {})[period] || 0;
+    }
+
+    // Adds a line layer above the flow lines that draws the corridor highlighted from the information panel
+    function initializeCorridorHighlightLayer() {
+        if (map.getLayer('flow-lines-highlight-layer')) return;
+
+        map.addLayer({
+            id: 'flow-lines-highlight-layer',
+            type: 'line',
+            source: 'flow-lines',
+            layout: {
+                'line-cap': 'round',
+                'line-join': 'round'
+            },
+            paint: {
+                'line-color': config.highlightColor,
+                'line-width': 6,
+                'line-opacity': 0.9
+            },
+            filter: ['==', ['get', 'country_from'], '']
+        }, map.getLayer('moving-dots-layer') ? 'moving-dots-layer' : undefined);
+    }
+
+    /**
+     * Toggles the highlight on a corridor and frames it on the map.
+     * @param {string} from - The origin country of the corridor.
+     * @param {string} to - The destination country of the corridor.
+     */
+    function highlightCorridor(from, to) {
+        const isSameCorridor = highlightedCorridor && highlightedCorridor.from === from && highlightedCorridor.to === to;
+        highlightedCorridor = isSameCorridor ? null : { from, to };
+        updateCorridorHighlight();
+        refreshInformationPanel();
+        if (highlightedCorridor) fitCorridor(from, to);
+    }
+
+    /**
+     * Frames a corridor's arc on the map, leaving room for the information panel.
+     * @param {string} from - The origin country of the corridor.
+     * @param {string} to - The destination country of the corridor.
+     */
+    function fitCorridor(from, to) {
+        const corridor = findCorridor(from, to);
+        if (corridor) {
+            const path = getCorridorPath(corridor);
+            const longitudes = path.map(coordinate => coordinate[0]);
+            const latitudes = path.map(coordinate => coordinate[1]);
+            map.fitBounds([
+                [Math.min(...longitudes), Math.min(...latitudes)],
+                [Math.max(...longitudes), Math.max(...latitudes)]
+            ], {
+                padding: Object.assign({ top: 50, bottom: 50 }, getInformationPanelPadding(infoPanel.offsetWidth + 50, 50)),
+                maxZoom: 5,
+                essential: true
+            });
+        }
+    }
+
+    // Points the highlight layer's filter at highlightedCorridor, or at nothing when it is cleared
+    function updateCorridorHighlight() {
+        if (!map.getLayer('flow-lines-highlight-layer')) return;
+
+        const { from, to } = highlightedCorridor || { from: '', to: '' };
+        map.setFilter('flow-lines-highlight-layer', ['all',
+            ['==', ['get', 'country_from'], from],
+            ['==', ['get', 'country_to'], to]
+        ]);
+    }
+
+    /**
+     * Shows the timeline scrubber when the data has periods and wires up its controls.
+     * @param {Object} geoJson - The GeoJSON object containing movement data.
+     */
+    function initializeTimeline(geoJson) {
+        const timeline = getElement('timeline');
+        const slider = getElement('timelineSlider');
+        const playButton = getElement('timelinePlay');
+        if (!timeline || !slider || !playButton) return;
+
+        timelineConfig.periods = getPeriods(geoJson);
+        timelineConfig.currentIndex = -1;
+        timelineConfig.isPlaying = false;
+        timeline.classList.toggle('timeline-hidden', timelineConfig.periods.length === 0);
+
+        // Slider position 0 is the all-periods total, positions 1..n are the individual periods
+        slider.max = timelineConfig.periods.length;
+        slider.oninput = () => setTimelinePeriod(parseInt(slider.value, 10) - 1);
+        playButton.onclick = () => toggleTimelinePlayback(!timelineConfig.isPlaying);
+        updateTimelineControls();
+    }
+
+    // Picks up the periods of refreshed data, staying on the period on screen if the data still has it
+    function updateTimelinePeriods(geoJson) {
+        const period = timelineConfig.currentIndex >= 0 ? timelineConfig.periods[timelineConfig.currentIndex] : null;
+        timelineConfig.periods = getPeriods(geoJson);
+        timelineConfig.currentIndex = period === null ? -1 : timelineConfig.periods.indexOf(period);
+        getElement('timeline').classList.toggle('timeline-hidden', timelineConfig.periods.length === 0);
+        getElement('timelineSlider').max = timelineConfig.periods.length;
+        updateTimelineControls();
+    }
+
+    /**
+     * Switches the visualization to a period and redraws the flow lines, bubbles, choropleth and information panel.
+     * The moving dots pick up the new counts on their next animation frame.
+     * @param {number} index - Index into timelineConfig.periods, or -1 for all periods.
+     */
+    function setTimelinePeriod(index) {
+        if (!globalGeoJson) return;
+
+        timelineConfig.currentIndex = index;
+        applyFeatureCounts();
+        filteredGeoJson = getDisplayedMovements();
+
+        updateTimelineControls();
+        updateFlowLines();
+        refreshBubbleVisualization();
+        updateChoropleth();
+        refreshInformationPanel();
+        renderCorridorTable();
+        // Announcing every step would flood screen readers during playback
+        if (!timelineConfig.isPlaying) {
+            announce(t('announce.period', { period: index >= 0 ? formatPeriod(timelineConfig.periods[index]) : t('timeline.allPeriods') }));
+        }
+        emit('filterchanged', getFilterState());
+        scheduleUrlStateUpdate();
+    }
+
+    // Starts or pauses automatic playback through the periods
+    function toggleTimelinePlayback(play) {
+        if (!timelineConfig.periods.length) return;
+
+        timelineConfig.isPlaying = play;
+        if (play) {
+            timelineConfig.lastStepTime = performance.now();
+            // Playback always shows individual periods, so leave the all-periods total first
+            if (timelineConfig.currentIndex < 0) setTimelinePeriod(0);
+        }
+        updateTimelineControls();
+    }
+
+    /**
+     * Steps to the next period once the step duration has elapsed; called from the animateDots loop.
+     * @param {number} timestamp - The current time in milliseconds.
+     */
+    function advanceTimeline(timestamp) {
+        if (!timelineConfig.isPlaying) return;
+        if (timestamp - timelineConfig.lastStepTime < config.timelineStepDuration) return;
+
+        timelineConfig.lastStepTime = timestamp;
+        setTimelinePeriod((timelineConfig.currentIndex + 1) % timelineConfig.periods.length);
+    }
+
+    // Syncs the slider, period label and play button with timelineConfig
+    function updateTimelineControls() {
+        const slider = getElement('timelineSlider');
+        const label = getElement('timelineLabel');
+        const playButton = getElement('timelinePlay');
+        const { periods, currentIndex, isPlaying } = timelineConfig;
+
+        if (slider) slider.value = currentIndex + 1;
+        if (label) label.textContent = currentIndex >= 0 ? formatPeriod(periods[currentIndex]) : t('timeline.allPeriods');
+        if (playButton) playButton.textContent = isPlaying ? t('timeline.pause') : t('timeline.play');
+    }
+
+    // Loads the story named in the page URL or the settings, once, after the first data has loaded
+    async function loadInitialStory() {
+        if (storyConfig.requested) return;
+        storyConfig.requested = true;
+        const storyUrl = (config.urlState && readUrlState().get('story')) || config.storyUrl;
+        if (storyUrl) await loadStory(storyUrl);
+    }
+
+    /**
+     * Loads a story script and shows its first step. A script is { title, loop, steps }, where each step
+     * describes the whole view: { title, caption, duration, camera: { center, zoom, bearing, pitch, duration },
+     * country, filters: { flowType, minCount, maxCount, group }, period, grouping, projection }. Whatever a step
+     * leaves out returns to its default, so a step looks the same whether it is reached forwards or backwards.
+     * Titles and captions are text, or text by locale such as { "en": "...", "fr": "..." }.
+     * @param {string|Object} source - The URL of the JSON script, or the script itself.
+     * @returns {Promise<boolean>} Whether the story was loaded.
+     */
+    async function loadStory(source) {
+        try {
+            const script = typeof source === 'string' ? JSON.parse(await fetchWithRetry(source, 3, 1000)) : source;
+            if (!script || !Array.isArray(script.steps) || script.steps.length === 0) {
+                throw new Error('The story has no steps');
+            }
+            if (destroyed) return false;
+
+            storyConfig.script = script;
+            storyConfig.isPlaying = false;
+            getElement('storyStart').hidden = false;
+            showStoryStep(0);
+            return true;
+        } catch (error) {
+            console.error('Error loading story:', error);
+            return false;
+        }
+    }
+
+    // Wires up the story panel's buttons and the sidebar button that starts the story again
+    function initializeStoryControls() {
+        getElement('storyStart').onclick = () => showStoryStep(0);
+        getElement('storyPrevious').onclick = () => stepStory(-1);
+        getElement('storyNext').onclick = () => stepStory(1);
+        getElement('storyPlay').onclick = () => toggleStoryPlayback(!storyConfig.isPlaying);
+        getElement('storyClose').onclick = endStory;
+    }
+
+    /**
+     * Shows one step of the story: applies its filters, period, grouping and selection, flies to its
+     * camera and shows its caption. Without a camera the step keeps the view chosen by its selection,
+     * or returns to the initial view when nothing is selected.
+     * @param {number} index - Index into the story's steps.
+     */
+    function showStoryStep(index) {
+        const steps = storyConfig.script ? storyConfig.script.steps : [];
+        if (!globalGeoJson || index < 0 || index >= steps.length) return;
+
+        const step = steps[index];
+        storyConfig.currentIndex = index;
+        storyConfig.stepStartTime = performance.now();
+        applyStoryFilters(step);
+
+        const countryEntry = resolveCountry(step.country);
+        const country = countryEntry ? countryEntry.name : step.country;
+        if (country && (countryCoordinates.has(country) || getRegion(country))) {
+            selectCountry(country);
+        } else {
+            if (country) console.warn(`Story step ${index + 1}: country not found in the data:`, step.country);
+            if (selectedFromCountry || inspectedCorridor) closeInformationPanel();
+        }
+        setMapProjection(step.projection || (selectedFromCountry ? 'mercator' : 'globe'));
+
+        // The story drives the camera, so the globe stops spinning
+        spinningConfig.isEnabled = false;
+        stopSpinning();
+        const camera = step.camera || (selectedFromCountry || regionConfig.drilledRegion
+            ? null
+            : { center: config.initialCenter, zoom: config.initialZoom });
+        if (camera) {
+            map.flyTo({
+                center: camera.center,
+                zoom: camera.zoom,
+                bearing: camera.bearing || 0,
+                pitch: camera.pitch || 0,
+                duration: Number.isFinite(camera.duration) ? camera.duration : config.storyFlightDuration,
+                essential: true
+            });
+        }
+
+        renderStoryStep();
+        announce(localizeStoryText(step.caption));
+        emit('storystep', { index, step });
+    }
+
+    // Sets the filters, period and grouping of a story step, resetting whatever the step leaves out
+    function applyStoryFilters(step) {
+        const filters = step.filters || {};
+        const flowType = filters.flowType || '';
+        const minCount = Number.isFinite(filters.minCount) ? filters.minCount : null;
+        const maxCount = Number.isFinite(filters.maxCount) ? filters.maxCount : null;
+        const group = filters.group || '';
+        if (flowType !== filterConfig.flowType || minCount !== filterConfig.minCount || maxCount !== filterConfig.maxCount ||
+            group !== filterConfig.group) {
+            // Filters go through the sidebar controls so they stay in sync with what is applied
+            getElement('flowTypeSelect').value = flowType;
+            getElement('minCount').value = minCount === null ? '' : minCount;
+            getElement('maxCount').value = maxCount === null ? '' : maxCount;
+            getElement('breakdownGroup').value = group;
+            applyFilters();
+        }
+
+        if (timelineConfig.isPlaying) toggleTimelinePlayback(false);
+        const periodIndex = step.period ? timelineConfig.periods.indexOf(String(step.period)) : -1;
+        if (periodIndex !== timelineConfig.currentIndex) setTimelinePeriod(periodIndex);
+
+        const groupingId = step.grouping || '';
+        if (groupingId !== (regionConfig.grouping ? regionConfig.grouping.id : '')) setRegionGrouping(groupingId);
+    }
+
+    // Moves to the next or previous story step; a looping story wraps around, others stop at either end
+    function stepStory(direction) {
+        const { script, currentIndex } = storyConfig;
+        if (!script || currentIndex < 0) return;
+
+        const count = script.steps.length;
+        const index = script.loop ? (currentIndex + direction + count) % count : currentIndex + direction;
+        if (index < 0 || index >= count) {
+            if (storyConfig.isPlaying) toggleStoryPlayback(false);
+            return;
+        }
+        showStoryStep(index);
+    }
+
+    // Starts or pauses automatic playback through the story steps
+    function toggleStoryPlayback(play) {
+        const { script, currentIndex } = storyConfig;
+        if (!script || currentIndex < 0) return;
+
+        storyConfig.isPlaying = play;
+        if (play) {
+            // Playing from the last step of a story that doesn't loop starts it over
+            if (!script.loop && currentIndex === script.steps.length - 1) showStoryStep(0);
+            storyConfig.stepStartTime = performance.now();
+        }
+        renderStoryStep();
+    }
+
+    /**
+     * Moves to the next story step once the step's duration has elapsed; called from the animateDots loop.
+     * @param {number} timestamp - The current time in milliseconds.
+     */
+    function advanceStory(timestamp) {
+        if (!storyConfig.isPlaying) return;
+        const step = storyConfig.script.steps[storyConfig.currentIndex];
+        if (timestamp - storyConfig.stepStartTime < (step.duration || config.storyStepDuration)) return;
+        stepStory(1);
+    }
+
+    // Closes the story panel and returns to the global view
+    function endStory() {
+        if (storyConfig.currentIndex < 0) return;
+        storyConfig.currentIndex = -1;
+        storyConfig.isPlaying = false;
+        renderStoryStep();
+        hideInformationPanel();
+    }
+
+    // Shows the story panel with the current step's title, caption and position, or hides it
+    function renderStoryStep() {
+        const panel = getElement('story');
+        const { script, currentIndex, isPlaying } = storyConfig;
+        panel.classList.toggle('story-hidden', currentIndex < 0);
+        if (currentIndex < 0) return;
+
+        const step = script.steps[currentIndex];
+        const count = script.steps.length;
+        getElement('storyTitle').textContent = localizeStoryText(step.title || script.title);
+        getElement('storyCaption').textContent = localizeStoryText(step.caption);
+        getElement('storyProgress').textContent = t('story.progress', { step: currentIndex + 1, count });
+        getElement('storyPrevious').disabled = !script.loop && currentIndex === 0;
+        getElement('storyNext').disabled = !script.loop && currentIndex === count - 1;
+        getElement('storyPlay').textContent = isPlaying ? t('story.pause') : t('story.play');
+    }
+
+    // Picks the interface language's version of a story title or caption, falling back to the default language
+    function localizeStoryText(text) {
+        if (!text || typeof text === 'string') return text || '';
+        return text[currentLocale] || text[i18n.fallbackLocale] || Object.values(text)[0] || '';
+    }
+
+    /**
+     * Checks whether a corridor relates to the currently selected origin and destination countries.
+     * @param {Object} feature - A movement feature.
+     * @returns {boolean} True if the corridor should be drawn for the current selection.
+     */
+    function isCorridorInSelection(feature) {
+        const { country_from, country_to } = feature.properties;
+        // An isolated corridor is drawn in its chosen direction only
+        if (selectedToCountry) return country_from === selectedFromCountry && country_to === selectedToCountry;
+        // Otherwise include corridors both leaving from and arriving at any selected origin
+        const origins = getSelectedOrigins();
+        return origins.length === 0 || origins.includes(country_from) || origins.includes(country_to);
+    }
+
+    /**
+     * Returns the filtered corridors that match the current country selection.
+     * @returns {Array<Object>} The movement features to draw.
+     */
+    function getVisibleCorridors() {
+        if (!filteredGeoJson) return [];
+        // Movements within one region have no corridor to draw; they still count towards its bubble
+        return filteredGeoJson.features.filter(feature =>
+            feature.properties.country_from !== feature.properties.country_to && isCorridorInSelection(feature)
+        );
+    }
+
+    /**
+     * Returns the great-circle arc for a corridor, computing and caching it on first use.
+     * @param {Object} feature - A movement feature with a two-point LineString geometry.
+     * @returns {Array<Array<number>>} The densified arc coordinates.
+     */
+    function getCorridorPath(feature) {
+        if (!corridorPathCache.has(feature)) {
+            const [from, to] = feature.geometry.coordinates;
+            corridorPathCache.set(feature, buildGreatCircleArc(from, to, config.arcSegments));
+        }
+        return corridorPathCache.get(feature);
+    }
+
+    // Function to initialize the flow lines source and layer beneath the moving dots
+    function initializeFlowLinesSourceAndLayer() {
+        if (!map.getSource('flow-lines')) {
+            map.addSource('flow-lines', {
+                type: 'geojson',
+                data: { type: 'FeatureCollection', features: [] }
+            });
+        }
+
+        if (!map.getLayer('flow-lines-layer')) {
+            // Insert below the dots so they travel on top of their corridor
+            map.addLayer({
+                id: 'flow-lines-layer',
+                type: 'line',
+                source: 'flow-lines',
+                layout: {
+                    'line-cap': 'round',
+                    'line-join': 'round'
+                },
+                paint: {
+                    'line-opacity': 0.6
+                }
+            }, map.getLayer('moving-dots-layer') ? 'moving-dots-layer' : undefined);
+        }
+
+        if (!map.getLayer('flow-lines-hit-layer')) {
+            // An invisible wide copy of the flow lines makes thin corridors easy to hover and click
+            map.addLayer({
+                id: 'flow-lines-hit-layer',
+                type: 'line',
+                source: 'flow-lines',
+                paint: {
+                    'line-width': 12,
+                    'line-opacity': 0
+                }
+            }, map.getLayer('moving-dots-layer') ? 'moving-dots-layer' : undefined);
+        }
+    }
+
+    // Redraws the flow lines for the visible corridors, scaling width and colour to their movement counts
+    function updateFlowLines() {
+        const source = map.getSource('flow-lines');
+        if (!source) return;
+
+        const corridors = getVisibleCorridors();
+        const lines = corridors.map(feature => ({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: getCorridorPath(feature) },
+            properties: {
+                country_from: feature.properties.country_from,
+                country_to: feature.properties.country_to,
+                movement_count: feature.properties.movement_count,
+                flow: feature.properties.flow,
+                direction: getCorridorDirection(feature)
+            }
+        }));
+        const baseline = getDisplayedBaseline();
+        if (baseline) addBaselineChanges(lines, baseline);
+        source.setData({ type: 'FeatureCollection', features: lines });
+
+        // Interpolation stops must be strictly ascending, so never let the maximum fall to zero
+        const maxCount = Math.max(1, ...corridors.map(feature => feature.properties.movement_count || 0));
+        const [minWidth, maxWidth] = config.flowLineWidthRange;
+        const [minColor, maxColor] = config.flowLineColorRange;
+        map.setPaintProperty('flow-lines-layer', 'line-width',
+            ['interpolate', ['linear'], ['get', 'movement_count'], 0, minWidth, maxCount, maxWidth]);
+        const countColor = ['interpolate', ['linear'], ['get', 'movement_count'], 0, minColor, maxCount, maxColor];
+        map.setPaintProperty('flow-lines-layer', 'line-color', baseline
+            ? getChangeColorExpression(lines)
+            : comparedOrigins.length ? getOriginColorExpression(countColor) : countColor);
+    }
+
+    /**
+     * Gives each flow line its baseline count and change, and adds the corridors that only the baseline has,
+     * drawn with no movement so their disappearance shows.
+     * @param {Array<Object>} lines - The flow line features, changed in place.
+     * @param {Object} baseline - The baseline as this map shows its data, from getDisplayedBaseline.
+     */
+    function addBaselineChanges(lines, baseline) {
+        const baselineCounts = new Map(baseline.features.map(feature =>
+            [`${feature.properties.country_from}|${feature.properties.country_to}`, feature.properties.movement_count]
+        ));
+        const drawnPairs = new Set();
+        lines.forEach(line => {
+            const key = `${line.properties.country_from}|${line.properties.country_to}`;
+            drawnPairs.add(key);
+            line.properties.baseline_count = baselineCounts.get(key) || 0;
+            line.properties.change = computeChange(line.properties.movement_count, line.properties.baseline_count);
+        });
+
+        baseline.features.forEach(feature => {
+            const { country_from, country_to, movement_count, flow } = feature.properties;
+            if (drawnPairs.has(`${country_from}|${country_to}`) || country_from === country_to || !isCorridorInSelection(feature)) return;
+            lines.push({
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates: getCorridorPath(feature) },
+                properties: {
+                    country_from,
+                    country_to,
+                    movement_count: 0,
+                    flow,
+                    baseline_count: movement_count,
+                    change: computeChange(0, movement_count)
+                }
+            });
+        });
+    }
+
+    /**
+     * Totals each country's departures, arrivals, net migration and number of partner countries.
+     * Countries without an ISO3 code cannot be matched to a boundary and are left out; a region's
+     * totals are given to each of its member countries.
+     * @param {Object} geoJson - The GeoJSON object containing movement data.
+     * @returns {Map<string, Object>} ISO3 code to { country, outbound, inbound, net, partners }.
+     */
+    function aggregateCountryMetrics(geoJson) {
+        const metrics = new Map();
+        const partnerSets = new Map();
+        const entryFor = (iso3, country) => {
+            if (!metrics.has(iso3)) {
+                metrics.set(iso3, { country, outbound: 0, inbound: 0, net: 0, partners: 0 });
+                partnerSets.set(iso3, new Set());
+            }
+            return metrics.get(iso3);
+        };
+
+        geoJson.features.forEach(feature => {
+            const { country_from, country_to, iso3_from, iso3_to, movement_count } = feature.properties;
+            (iso3_from ? [iso3_from] : getRegionCountryCodes(country_from)).forEach(code => {
+                entryFor(code, country_from).outbound += movement_count;
+                partnerSets.get(code).add(country_to);
+            });
+            (iso3_to ? [iso3_to] : getRegionCountryCodes(country_to)).forEach(code => {
+                entryFor(code, country_to).inbound += movement_count;
+                partnerSets.get(code).add(country_from);
+            });
+        });
+
+        metrics.forEach((entry, iso3) => {
+            entry.net = entry.inbound - entry.outbound;
+            entry.partners = partnerSets.get(iso3).size;
+        });
+        return metrics;
+    }
+
+    /**
+     * Computes the class boundaries for a set of values.
+     * A value belongs to class i when it is at least breaks[i - 1] and below breaks[i].
+     * @param {Array<number>} values - The values to classify.
+     * @param {string} method - 'quantile', 'equal' or 'manual'.
+     * @param {number} classCount - The number of classes for quantile and equal-interval breaks.
+     * @param {Array<number>} manualBreaks - The boundaries used by the 'manual' method.
+     * @param {boolean} [centred] - Place the boundaries symmetrically around 0, for values such as net migration
+     * whose middle class must hold the balanced countries.
+     * @returns {Array<number>} Ascending, de-duplicated inner class boundaries.
+     */
+    function computeClassBreaks(values, method, classCount, manualBreaks, centred) {
+        if (method === 'manual') return Array.from(new Set(manualBreaks)).sort((a, b) => a - b);
+        if (!values.length) return [];
+        if (centred) return computeCentredClassBreaks(values, method, classCount);
+
+        const sorted = values.slice().sort((a, b) => a - b);
+        const breaks = [];
+        for (let i = 1; i < classCount; i++) {
+            if (method === 'equal') {
+                breaks.push(sorted[0] + (sorted[sorted.length - 1] - sorted[0]) * i / classCount);
+            } else {
+                breaks.push(sorted[Math.floor(sorted.length * i / classCount)]);
+            }
+        }
+        // Skewed data can repeat a boundary, and a class may not start at the minimum value
+        return Array.from(new Set(breaks)).filter(value => value > sorted[0]);
+    }
+
+    /**
+     * Computes class boundaries mirrored around 0 from the sizes of the values, so an odd number of classes
+     * has a middle class centred on 0 and an even number meets at 0.
+     * @param {Array<number>} values - The values to classify.
+     * @param {string} method - 'quantile' or 'equal'.
+     * @param {number} classCount - The number of classes.
+     * @returns {Array<number>} Ascending, de-duplicated inner class boundaries.
+     */
+    function computeCentredClassBreaks(values, method, classCount) {
+        const magnitudes = values.map(Math.abs).sort((a, b) => a - b);
+        const largest = magnitudes[magnitudes.length - 1];
+        const breaks = [];
+        for (let i = 1; i < classCount; i++) {
+            // Where the boundary falls between the most negative (-1) and most positive (1) value
+            const position = 2 * i / classCount - 1;
+            const magnitude = method === 'equal'
+                ? largest * Math.abs(position)
+                : magnitudes[Math.floor(magnitudes.length * Math.abs(position))];
+            breaks.push(Math.sign(position) * magnitude || 0); // Never -0, which would show as "-0" in the legend
+        }
+        return Array.from(new Set(breaks)).sort((a, b) => a - b);
+    }
+
+    /**
+     * Returns the class index of a value for the given boundaries.
+     * @param {number} value - The value to classify.
+     * @param {Array<number>} breaks - Ascending inner class boundaries.
+     * @returns {number} The class index, from 0 to breaks.length.
+     */
+    function classifyValue(value, breaks) {
+        return breaks.filter(boundary => value >= boundary).length;
+    }
+
+    /**
+     * Picks evenly spaced colours from a palette so any number of classes spans its full range.
+     * @param {Array<string>} palette - The palette colours, light to dark or negative to positive.
+     * @param {number} count - The number of colours needed.
+     * @returns {Array<string>} The picked colours.
+     */
+    function pickPaletteColors(palette, count) {
+        if (count <= 1) return [palette[palette.length - 1]];
+        return Array.from({ length: count }, (_, i) => palette[Math.round(i * (palette.length - 1) / (count - 1))]);
+    }
+
+    // Adds the country boundaries source and a hidden fill layer beneath the labels, flow lines and bubbles
+    function initializeChoroplethLayer() {
+        // The offline basemap's own polygons carry the same ISO3 property as the Mapbox boundaries
+        if (!usingOfflineBasemap && !map.getSource('country-boundaries')) {
+            map.addSource('country-boundaries', {
+                type: 'vector',
+                url: config.countryBoundariesSource
+            });
+        }
+
+        if (!map.getLayer('country-choropleth-layer')) {
+            const firstSymbolLayer = map.getStyle().layers.find(layer => layer.type === 'symbol');
+            const layer = {
+                id: 'country-choropleth-layer',
+                type: 'fill',
+                source: usingOfflineBasemap ? 'offline-countries' : 'country-boundaries',
+                layout: { visibility: 'none' },
+                paint: {
+                    'fill-color': 'rgba(0, 0, 0, 0)',
+                    'fill-opacity': 0.75,
+                    'fill-outline-color': 'rgba(255, 255, 255, 0.4)'
+                }
+            };
+            if (!usingOfflineBasemap) {
+                layer['source-layer'] = 'country_boundaries';
+                // Show each disputed area once, as drawn for the 'all' or 'US' worldview
+                layer.filter = ['any', ['==', ['get', 'worldview'], 'all'], ['in', 'US', ['get', 'worldview']]];
+            }
+            map.addLayer(layer, firstSymbolLayer ? firstSymbolLayer.id : undefined);
+
+            map.on('click', 'country-choropleth-layer', event => {
+                // A corridor drawn over the polygon takes the click instead
+                const corridorLayers = ['moving-dots-layer', 'flow-lines-hit-layer'].filter(layerId => map.getLayer(layerId));
+                if (map.queryRenderedFeatures(event.point, { layers: corridorLayers }).length) return;
+                const feature = event.features && event.features[0];
+                const metrics = feature && aggregateCountryMetrics(filteredGeoJson).get(feature.properties.iso_3166_1_alpha_3);
+                if (metrics) selectCountry(metrics.country);
+            });
+            // The pointer cursor over shaded countries is set by the hover handler, which owns the cursor
+        }
+    }
+
+    // Wires up the display mode switch and the choropleth metric, class method and manual break inputs
+    function initializeChoroplethControls() {
+        const modeInputs = getElement('displayMode').querySelectorAll('input');
+        const metricSelect = getElement('choroplethMetric');
+        const methodSelect = getElement('choroplethMethod');
+        const breaksInput = getElement('choroplethBreaks');
+        if (!modeInputs.length || !metricSelect || !methodSelect || !breaksInput) return;
+
+        modeInputs.forEach(input => {
+            input.onchange = () => setChoroplethEnabled(input.value === 'choropleth' && input.checked);
+        });
+        metricSelect.onchange = () => {
+            choroplethConfig.metric = metricSelect.value;
+            updateChoropleth();
+        };
+        methodSelect.onchange = () => {
+            choroplethConfig.method = methodSelect.value;
+            updateChoropleth();
+        };
+        breaksInput.onchange = () => {
+            choroplethConfig.manualBreaks = breaksInput.value
+                .split(/[,;\s]+/)
+                .map(parseFloat)
+                .filter(Number.isFinite);
+            updateChoropleth();
+        };
+    }
+
+    // Switches between the bubbles and the choropleth; breakdown charts give way to the choropleth, and come back with the bubbles
+    function setChoroplethEnabled(enabled) {
+        choroplethConfig.enabled = enabled;
+        updateChoropleth();
+        if (breakdownConfig.chart) refreshBubbleVisualization();
+    }
+
+    // Shades countries by the chosen metric, switches the bubble layer off or on, and redraws the legend
+    function updateChoropleth() {
+        const options = getElement('choroplethOptions');
+        const breaksInput = getElement('choroplethBreaks');
+        if (options) options.hidden = !choroplethConfig.enabled;
+        if (breaksInput) breaksInput.hidden = choroplethConfig.method !== 'manual';
+
+        ['country-from-bubbles-layer', 'country-from-clusters-layer', 'country-from-clusters-count-layer'].forEach(layerId => {
+            if (map.getLayer(layerId)) map.setLayoutProperty(layerId, 'visibility', choroplethConfig.enabled ? 'none' : 'visible');
+        });
+        renderSizeLegend();
+        if (!map.getLayer('country-choropleth-layer') || !filteredGeoJson) return;
+
+        map.setLayoutProperty('country-choropleth-layer', 'visibility', choroplethConfig.enabled ? 'visible' : 'none');
+        if (!choroplethConfig.enabled) {
+            renderChoroplethLegend([], []);
+            scheduleUrlStateUpdate();
+            return;
+        }
+
+        const { metric, method, manualBreaks } = choroplethConfig;
+        const metrics = aggregateCountryMetrics(filteredGeoJson);
+        const values = Array.from(metrics.values()).map(entry => entry[metric]);
+        const breaks = computeClassBreaks(values, method, config.choroplethClassCount, manualBreaks, metric === 'net');
+        const palette = metric === 'net' ? config.choroplethPalettes.diverging : config.choroplethPalettes.sequential;
+        const colors = pickPaletteColors(palette, breaks.length + 1);
+
+        const matchExpression = ['match', ['get', 'iso_3166_1_alpha_3']];
+        metrics.forEach((entry, iso3) => {
+            matchExpression.push(iso3, colors[classifyValue(entry[metric], breaks)]);
+        });
+        matchExpression.push('rgba(0, 0, 0, 0)');
+        // A match expression needs at least one label, so fall back to transparent when nothing is shaded
+        map.setPaintProperty('country-choropleth-layer', 'fill-color', metrics.size ? matchExpression : 'rgba(0, 0, 0, 0)');
+
+        renderChoroplethLegend(breaks, colors);
+        scheduleUrlStateUpdate();
+    }
+
+    /**
+     * Draws the choropleth legend: one swatch and value range per class. An empty list hides it.
+     * @param {Array<number>} breaks - Ascending inner class boundaries.
+     * @param {Array<string>} colors - One colour per class.
+     */
+    function renderChoroplethLegend(breaks, colors) {
+        const legend = getElement('choropleth-legend');
+        if (!legend) return;
+        const list = legend.querySelector('ul');
+        const title = legend.querySelector('h3');
+
+        legend.hidden = colors.length === 0;
+        list.innerHTML = '';
+        choroplethLegendEntries = [];
+        if (legend.hidden) return;
+
+        title.textContent = t(`metric.${choroplethConfig.metric}`);
+
+        colors.forEach((color, index) => {
+            const item = document.createElement('li');
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-swatch';
+            swatch.style.backgroundColor = color;
+            let label;
+            if (!breaks.length) label = t('legend.allValues');
+            else if (index === 0) label = t('legend.below', { value: formatNumber(breaks[0]) });
+            else if (index === breaks.length) label = t('legend.andAbove', { value: formatNumber(breaks[index - 1]) });
+            else label = `${formatNumber(breaks[index - 1])} – ${formatNumber(breaks[index])}`;
+            item.append(swatch, label);
+            list.appendChild(item);
+            choroplethLegendEntries.push({ color, label });
+        });
+    }
+
+    /**
+     * Reads deep-link parameters from the query string and the hash, with the hash taking precedence.
+     * @returns {URLSearchParams} The combined parameters.
+     */
+    function readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        new URLSearchParams(window.location.hash.replace(/^#/, '')).forEach((value, key) => params.set(key, value));
+        return params;
+    }
+
+    /**
+     * Serialises the current selection, filters, period, display mode, breakdown charts, projection and camera.
+     * The camera is left out while the globe spins, since it changes every frame.
+     * @returns {URLSearchParams} The state as URL parameters.
+     */
+    function serializeUrlState() {
+        const params = new URLSearchParams();
+        if (selectedFromCountry) params.set('country', selectedFromCountry);
+        if (selectedToCountry) params.set('to', selectedToCountry);
+        if (comparedOrigins.length) params.set('compare', comparedOrigins.join('|'));
+        if (filterConfig.flowType) params.set('flow', filterConfig.flowType);
+        if (filterConfig.minCount !== null) params.set('min', filterConfig.minCount);
+        if (filterConfig.maxCount !== null) params.set('max', filterConfig.maxCount);
+        if (filterConfig.group) params.set('people', filterConfig.group);
+        if (timelineConfig.currentIndex >= 0) params.set('period', timelineConfig.periods[timelineConfig.currentIndex]);
+        if (regionConfig.grouping) params.set('group', regionConfig.grouping.id);
+        if (regionConfig.drilledRegion) params.set('region', regionConfig.drilledRegion);
+        if (choroplethConfig.enabled) {
+            params.set('display', 'choropleth');
+            params.set('metric', choroplethConfig.metric);
+            params.set('breaks', choroplethConfig.method);
+            if (choroplethConfig.method === 'manual') params.set('classes', choroplethConfig.manualBreaks.join(','));
+        }
+        if (breakdownConfig.chart) params.set('chart', breakdownConfig.chart);
+        if (breakdownConfig.chart && breakdownConfig.style !== 'pie') params.set('chartStyle', breakdownConfig.style);
+        params.set('projection', getMapProjection());
+
+        if (!spinningConfig.isEnabled) {
+            const center = map.getCenter();
+            params.set('camera', [
+                center.lng.toFixed(4),
+                center.lat.toFixed(4),
+                map.getZoom().toFixed(2),
+                map.getBearing().toFixed(1),
+                map.getPitch().toFixed(1)
+            ].join(','));
+        }
+        return params;
+    }
+
+    // Writes the current state to the URL hash once changes have settled
+    function scheduleUrlStateUpdate() {
+        if (!config.urlState || !urlStateRestored) return;
+        clearTimeout(urlStateTimeoutId);
+        urlStateTimeoutId = setTimeout(() => {
+            // Commas are valid in a fragment, so keep them readable in shared links
+            const hash = `#${serializeUrlState().toString().replace(/%2C/gi, ',')}`;
+            if (hash !== window.location.hash) {
+                history.replaceState(null, '', `${window.location.pathname}${window.location.search}${hash}`);
+            }
+        }, config.urlStateDelay);
+    }
+
+    // Applies any deep link in the page URL once the data has loaded for the first time
+    function restoreUrlState() {
+        if (!config.urlState || urlStateRestored) return;
+        applyUrlState(readUrlState());
+        urlStateRestored = true;
+    }
+
+    /**
+     * Restores filters, period, display mode, breakdown charts, selected countries or corridor, projection and camera
+     * from URL parameters. Settings the parameters leave out go back to their defaults, so following a link
+     * replaces the view rather than layering onto it.
+     * @param {URLSearchParams} params - The parameters to apply.
+     */
+    function applyUrlState(params) {
+        if (!globalGeoJson) return;
+
+        // Filters go through the sidebar controls so they stay in sync with what is applied
+        const filterControls = { flow: 'flowTypeSelect', min: 'minCount', max: 'maxCount', people: 'breakdownGroup' };
+        let filtersChanged = false;
+        Object.entries(filterControls).forEach(([key, ref]) => {
+            const control = getElement(ref);
+            const value = params.get(key) || '';
+            if (!control || control.value === value) return;
+            control.value = value;
+            filtersChanged = true;
+        });
+        if (filtersChanged) applyFilters();
 
-function aggregateDataForSelectedCountry(movements, selectedCountry) {
-    // Aggregate data for the selected country, similar to aggregateDataForBothDirections or any specific logic needed.
-    // This is a placeholder for the aggregation logic, which should match your app's requirements.
-    return aggregateDataForBothDirections(selectedCountry, movements);
-}
+        const periodIndex = timelineConfig.periods.indexOf(params.get('period'));
+        if (periodIndex !== timelineConfig.currentIndex) setTimelinePeriod(periodIndex);
+
+        const groupingId = params.get('group') || '';
+        if (groupingId !== (regionConfig.grouping ? regionConfig.grouping.id : '')) setRegionGrouping(groupingId);
+        const region = getRegion(params.get('region')) ? params.get('region') : null;
+        if (region !== regionConfig.drilledRegion) setDrilledRegion(region);
+
+        // Only the metrics and break methods offered in the sidebar are accepted from the URL
+        const offers = (ref, value) => Array.from(getElement(ref).options).some(option => option.value === value);
+        const showChoropleth = params.get('display') === 'choropleth';
+        if (showChoropleth) {
+            if (offers('choroplethMetric', params.get('metric'))) choroplethConfig.metric = params.get('metric');
+            if (offers('choroplethMethod', params.get('breaks'))) choroplethConfig.method = params.get('breaks');
+            if (params.has('classes')) choroplethConfig.manualBreaks = params.get('classes').split(',').map(parseFloat).filter(Number.isFinite);
+        }
+        if (showChoropleth || choroplethConfig.enabled) {
+            setChoroplethEnabled(showChoropleth);
+            syncChoroplethControls();
+        }
+
+        const chart = params.get('chart') || '';
+        const chartStyle = params.get('chartStyle') === 'donut' ? 'donut' : 'pie';
+        if (chart !== breakdownConfig.chart || (chart && chartStyle !== breakdownConfig.style)) setBreakdownChart(chart, chartStyle);
+
+        const country = findLoadedCountry(params.get('country'));
+        const destination = findLoadedCountry(params.get('to'));
+        const compared = (params.get('compare') || '').split('|').map(findLoadedCountry).filter(Boolean);
+        if (country && destination) {
+            selectCorridor(country, destination);
+        } else if (country) {
+            compareOrigins([country].concat(compared));
+        } else if (selectedFromCountry) {
+            hideInformationPanel();
+        }
+
+        // Without a projection, the one the selection above switched to stays
+        if (['globe', 'mercator'].includes(params.get('projection'))) setMapProjection(params.get('projection'));
+
+        const camera = (params.get('camera') || '').split(',').map(parseFloat);
+        if (camera.length >= 3 && camera.slice(0, 3).every(Number.isFinite)) {
+            spinningConfig.isEnabled = false;
+            stopSpinning();
+            map.jumpTo({
+                center: [camera[0], camera[1]],
+                zoom: camera[2],
+                bearing: camera[3] || 0,
+                pitch: camera[4] || 0
+            });
+        }
+    }
+
+    // Reflects choroplethConfig in the sidebar display mode controls
+    function syncChoroplethControls() {
+        getElement('displayMode').querySelectorAll('input').forEach(input => {
+            input.checked = input.value === (choroplethConfig.enabled ? 'choropleth' : 'bubbles');
+        });
+        const metricSelect = getElement('choroplethMetric');
+        const methodSelect = getElement('choroplethMethod');
+        const breaksInput = getElement('choroplethBreaks');
+        if (metricSelect) metricSelect.value = choroplethConfig.metric;
+        if (methodSelect) methodSelect.value = choroplethConfig.method;
+        if (breaksInput) breaksInput.value = choroplethConfig.manualBreaks.join(', ');
+    }
+
+    // Wires up the export menu buttons for images and data downloads
+    function initializeExportMenu() {
+        const actions = {
+            exportPng: exportMapImage,
+            exportSvg: exportMapSvg,
+            exportCorridorsCsv: () => downloadFile(buildFileName('corridors', 'csv'), corridorsToCsv(getVisibleCorridors()), 'text/csv'),
+            exportCorridorsGeoJson: () => downloadFile(buildFileName('corridors', 'geojson'), JSON.stringify(corridorsToGeoJson(getVisibleCorridors())), 'application/geo+json'),
+            exportBubblesCsv: () => downloadFile(buildFileName('countries', 'csv'), bubblesToCsv(getCurrentBubbleData()), 'text/csv'),
+            exportBubblesGeoJson: () => downloadFile(buildFileName('countries', 'geojson'),
+                JSON.stringify({ type: 'FeatureCollection', features: toExportedBubbles(getCurrentBubbleData()) }), 'application/geo+json')
+        };
+        Object.entries(actions).forEach(([id, action]) => {
+            const button = getElement(id);
+            if (button) button.onclick = action;
+        });
+    }
+
+    /**
+     * Returns the bubble features for the current view: partner totals around the selected origins,
+     * or each origin's total in the global view.
+     * @returns {Array<Object>} The aggregated bubble features.
+     */
+    function getCurrentBubbleData() {
+        return filteredGeoJson ? aggregateBubbles(filteredGeoJson) : [];
+    }
+
+    /**
+     * Describes the current view in a few words, e.g. "Bangladesh · Within APAC · 2023-Q1".
+     * @returns {string} The description, empty for the unfiltered global view.
+     */
+    function describeCurrentView() {
+        const parts = [];
+        if (selectedToCountry) {
+            parts.push(`${localizeCountryName(selectedFromCountry)} → ${localizeCountryName(selectedToCountry)}`);
+        } else if (selectedFromCountry) {
+            parts.push(getSelectedOrigins().map(localizeCountryName).join(', '));
+        }
+        if (filterConfig.flowType) parts.push(filterConfig.flowType);
+        if (filterConfig.group) parts.push(describeBreakdownGroup(filterConfig.group));
+        if (filterConfig.minCount !== null || filterConfig.maxCount !== null) {
+            parts.push(t('view.countRange', {
+                min: formatNumber(filterConfig.minCount || 0),
+                max: filterConfig.maxCount !== null ? formatNumber(filterConfig.maxCount) : '∞'
+            }));
+        }
+        if (timelineConfig.currentIndex >= 0) parts.push(formatPeriod(timelineConfig.periods[timelineConfig.currentIndex]));
+        return parts.join(' · ');
+    }
+
+    /**
+     * Builds a download file name from the current view, e.g. "movement-corridors-bangladesh-2024-05-01.csv".
+     * @param {string} content - What the file holds.
+     * @param {string} extension - The file extension.
+     * @returns {string} The file name.
+     */
+    function buildFileName(content, extension) {
+        const scope = (getSelectedOrigins().concat(selectedToCountry || []).join(' ') || 'all').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        const date = new Date().toISOString().slice(0, 10);
+        return `movement-${content}-${scope}-${date}.${extension}`;
+    }
+
+    /**
+     * Starts a browser download of generated content.
+     * @param {string} fileName - The name to save the file as.
+     * @param {string|Blob} content - The file content.
+     * @param {string} mimeType - The MIME type, ignored when content is already a Blob.
+     */
+    function downloadFile(fileName, content, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Serialises rows to CSV, quoting values that contain separators, quotes or line breaks.
+     * @param {Array<Object>} rows - The rows to write.
+     * @param {Array<string>} columns - The columns to write, in order.
+     * @returns {string} The CSV text.
+     */
+    function toCsv(rows, columns) {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\r\n');
+    }
+
+    /**
+     * Writes corridors in the same column layout as the movement CSV, plus ISO3 codes, the period shown
+     * and a column per breakdown category. Breakdowns left out while a single group is shown are blank.
+     * @param {Array<Object>} corridors - Movement features.
+     * @returns {string} The CSV text.
+     */
+    function corridorsToCsv(corridors) {
+        const period = timelineConfig.currentIndex >= 0 ? timelineConfig.periods[timelineConfig.currentIndex] : '';
+        const breakdownColumns = [];
+        Object.entries(breakdownConfig.categories).forEach(([dimension, categories]) => {
+            categories.forEach(category => breakdownColumns.push({ dimension, group: `${dimension}:${category}`, column: `${dimension}_${category}` }));
+        });
+        const rows = corridors.map(feature => {
+            const [from, to] = feature.geometry.coordinates;
+            const row = Object.assign({}, feature.properties, {
+                latitude_from: from[1],
+                longitude_from: from[0],
+                latitude_to: to[1],
+                longitude_to: to[0],
+                Flow: feature.properties.flow,
+                period
+            });
+            const breakdowns = feature.properties.breakdowns || {};
+            breakdownColumns.forEach(({ dimension, group, column }) => {
+                row[column] = breakdowns[dimension] ? getBreakdownCount(breakdowns, group) : '';
+            });
+            return row;
+        });
+        return toCsv(rows, ['country_from', 'country_to', 'iso3_from', 'iso3_to', 'latitude_from', 'longitude_from',
+            'latitude_to', 'longitude_to', 'movement_count', 'Flow', 'period', ...breakdownColumns.map(({ column }) => column)]);
+    }
+
+    /**
+     * Converts corridors to GeoJSON lines along their great-circle arcs, without animation state.
+     * @param {Array<Object>} corridors - Movement features.
+     * @returns {Object} The GeoJSON FeatureCollection.
+     */
+    function corridorsToGeoJson(corridors) {
+        return {
+            type: 'FeatureCollection',
+            features: corridors.map(feature => {
+                const { progress, speed, period_counts, total_movement_count, period_breakdowns, total_breakdowns, ...properties } = feature.properties;
+                return {
+                    type: 'Feature',
+                    geometry: { type: 'LineString', coordinates: getCorridorPath(feature) },
+                    properties
+                };
+            })
+        };
+    }
+
+    /**
+     * Writes aggregated bubble features as CSV, one row per country.
+     * @param {Array<Object>} bubbles - The aggregated bubble features.
+     * @returns {string} The CSV text.
+     */
+    function bubblesToCsv(bubbles) {
+        const rows = bubbles.map(feature => Object.assign({
+            country: feature.properties.country_from,
+            longitude: feature.geometry.coordinates[0],
+            latitude: feature.geometry.coordinates[1]
+        }, feature.properties));
+        const columns = selectedFromCountry
+            ? ['country', 'latitude', 'longitude', 'movement_count', 'inflow', 'outflow', 'net_flow']
+            : ['country', 'latitude', 'longitude', 'movement_count'];
+        return toCsv(rows, columns);
+    }
+
+    /**
+     * Keeps the data fields of aggregated bubble features, as the precompute tool writes them, leaving out
+     * the flags the map draws with.
+     * @param {Array<Object>} bubbles - The aggregated bubble features.
+     * @returns {Array<Object>} Point features with country, iso3 and movement_count, inflow, outflow and
+     * net_flow around a selection, and any breakdowns.
+     */
+    function toExportedBubbles(bubbles) {
+        return bubbles.map(feature => {
+            const { country_from, movement_count, inflow, outflow, net_flow, breakdowns, inflow_breakdowns, outflow_breakdowns } = feature.properties;
+            const entry = resolveCountry(country_from);
+            const properties = { country: country_from, iso3: entry ? entry.iso3 : null, movement_count };
+            if (inflow !== undefined) Object.assign(properties, { inflow, outflow, net_flow });
+            if (breakdowns) properties.breakdowns = breakdowns;
+            if (inflow_breakdowns) Object.assign(properties, { inflow_breakdowns, outflow_breakdowns });
+            return { type: 'Feature', geometry: feature.geometry, properties };
+        });
+    }
+
+    /**
+     * Returns the legend to draw on exported images for the current display mode.
+     * @returns {Object} { title, items } where each item is { color, label }.
+     */
+    function getExportLegend() {
+        if (choroplethConfig.enabled && choroplethLegendEntries.length) {
+            return { title: getElement('choropleth-legend').querySelector('h3').textContent, items: choroplethLegendEntries };
+        }
+        if (comparisonConfig.baseline) {
+            return { title: t('legend.changeFrom', { label: getBaselineLabel() }), items: getDifferenceLegendEntries() };
+        }
+        if (breakdownConfig.charts.size) {
+            return { title: describeBreakdownDimension(breakdownConfig.chart), items: getBreakdownLegendEntries() };
+        }
+        if (comparedOrigins.length) {
+            return {
+                title: t('pair.title', { count: formatNumber(comparedOrigins.length + 1) }),
+                items: getSelectedOrigins().map((origin, index) => ({ color: config.originColors[index], label: localizeCountryName(origin) }))
+            };
+        }
+        if (selectedFromCountry) {
+            return {
+                title: localizeCountryName(selectedFromCountry),
+                items: [
+                    { color: config.selectionColors.outbound, label: t('legend.departuresNetReceivers') },
+                    { color: config.selectionColors.inbound, label: t('legend.arrivalsNetSenders') }
+                ]
+            };
+        }
+        return {
+            title: t('legend.title'),
+            items: [
+                { color: config.bubbleColor, label: t('legend.totalDepartures') },
+                { color: config.flowLineColorRange[1], label: t('legend.corridor') }
+            ]
+        };
+    }
+
+    /**
+     * Captures the map canvas, temporarily raising the renderer's pixel ratio when it supports it.
+     * @returns {Promise<HTMLCanvasElement>} A canvas holding the rendered map.
+     */
+    function captureMapCanvas() {
+        return new Promise(resolve => {
+            const canRaiseResolution = typeof map.setPixelRatio === 'function' && typeof map.getPixelRatio === 'function';
+            const originalPixelRatio = canRaiseResolution ? map.getPixelRatio() : null;
+            if (canRaiseResolution) map.setPixelRatio(config.exportPixelRatio * window.devicePixelRatio);
+
+            // Without preserveDrawingBuffer, which slows every frame, the canvas is only readable until
+            // the frame it was drawn in ends, so it is copied from the render event
+            map.once('render', () => {
+                const source = map.getCanvas();
+                const copy = document.createElement('canvas');
+                copy.width = source.width;
+                copy.height = source.height;
+                copy.getContext('2d').drawImage(source, 0, 0);
+                if (canRaiseResolution) map.setPixelRatio(originalPixelRatio);
+                resolve(copy);
+            });
+            map.triggerRepaint();
+        });
+    }
+
+    /**
+     * Places the breakdown charts on the map in the pixels of an exported image, since HTML markers are
+     * not part of the captured canvas.
+     * @param {number} width - The image width in pixels.
+     * @returns {Array<Object>} { x, y, radius, slices } per chart.
+     */
+    function getExportBreakdownCharts(width) {
+        const ratio = width / (map.getCanvas().clientWidth || width);
+        return Array.from(breakdownConfig.charts.values()).map(chart => {
+            const point = map.project(chart.marker.getLngLat());
+            return { x: point.x * ratio, y: point.y * ratio, radius: chart.radius * ratio, slices: chart.slices };
+        });
+    }
+
+    /**
+     * Lays out the title, subtitle, caption and legend that are composited over exported images.
+     * @param {number} width - The image width in pixels.
+     * @param {number} height - The image height in pixels.
+     * @returns {Object} Font scale and text and legend content with their positions.
+     */
+    function getExportOverlay(width, height) {
+        const scale = Math.max(1, width / 1200);
+        const legend = getExportLegend();
+        const legendLineHeight = 22 * scale;
+        const legendHeight = (legend.items.length + 1) * legendLineHeight + 20 * scale;
+        return {
+            scale,
+            title: config.exportTitle,
+            subtitle: describeCurrentView(),
+            caption: `${config.dataSourceCaption} · ${new Date().toLocaleDateString(navigator.language)}`,
+            legend,
+            legendLineHeight,
+            legendBox: { x: 20 * scale, y: height - legendHeight - 50 * scale, width: 300 * scale, height: legendHeight }
+        };
+    }
+
+    // Saves a PNG snapshot of the map with the title, legend and data-source caption composited in
+    async function exportMapImage() {
+        const mapCanvas = await captureMapCanvas();
+        const { width, height } = mapCanvas;
+        const overlay = getExportOverlay(width, height);
+        const { scale, legend, legendBox, legendLineHeight } = overlay;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        context.drawImage(mapCanvas, 0, 0);
+
+        getExportBreakdownCharts(width).forEach(({ x, y, radius, slices }) => {
+            const { ringRadius, ringWidth } = getBreakdownRing(radius);
+            let angle = -Math.PI / 2;
+            context.lineWidth = ringWidth;
+            slices.forEach(({ color, share }) => {
+                context.beginPath();
+                context.arc(x, y, ringRadius, angle, angle + share * 2 * Math.PI);
+                context.strokeStyle = color;
+                context.stroke();
+                angle += share * 2 * Math.PI;
+            });
+        });
+
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(0, 0, width, (overlay.subtitle ? 90 : 60) * scale);
+        context.fillStyle = 'white';
+        context.font = `bold ${28 * scale}px sans-serif`;
+        context.fillText(overlay.title, 20 * scale, 40 * scale);
+        if (overlay.subtitle) {
+            context.font = `${18 * scale}px sans-serif`;
+            context.fillText(overlay.subtitle, 20 * scale, 72 * scale);
+        }
+
+        context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        context.fillRect(legendBox.x, legendBox.y, legendBox.width, legendBox.height);
+        context.fillStyle = 'white';
+        context.font = `bold ${16 * scale}px sans-serif`;
+        context.fillText(legend.title, legendBox.x + 10 * scale, legendBox.y + legendLineHeight);
+        context.font = `${14 * scale}px sans-serif`;
+        legend.items.forEach((item, index) => {
+            const y = legendBox.y + legendLineHeight * (index + 2);
+            context.fillStyle = item.color;
+            context.fillRect(legendBox.x + 10 * scale, y - 12 * scale, 16 * scale, 12 * scale);
+            context.fillStyle = 'white';
+            context.fillText(item.label, legendBox.x + 34 * scale, y);
+        });
+
+        context.font = `${14 * scale}px sans-serif`;
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(0, height - 30 * scale, width, 30 * scale);
+        context.fillStyle = 'white';
+        context.fillText(overlay.caption, 20 * scale, height - 10 * scale);
+
+        canvas.toBlob(blob => downloadFile(buildFileName('map', 'png'), blob), 'image/png');
+    }
+
+    // Saves an SVG with the map snapshot as an image and the title, legend and caption as real text
+    async function exportMapSvg() {
+        const mapCanvas = await captureMapCanvas();
+        const { width, height } = mapCanvas;
+        const overlay = getExportOverlay(width, height);
+        const { scale, legend, legendBox, legendLineHeight } = overlay;
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const headerHeight = (overlay.subtitle ? 90 : 60) * scale;
+
+        const legendItems = legend.items.map((item, index) => {
+            const y = legendBox.y + legendLineHeight * (index + 2);
+            return `<rect x="${legendBox.x + 10 * scale}" y="${y - 12 * scale}" width="${16 * scale}" height="${12 * scale}" fill="${escape(item.color)}"/>` +
+                `<text x="${legendBox.x + 34 * scale}" y="${y}" font-size="${14 * scale}">${escape(item.label)}</text>`;
+        }).join('');
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">` +
+            `<image width="${width}" height="${height}" xlink:href="${mapCanvas.toDataURL('image/png')}"/>` +
+            getExportBreakdownCharts(width).map(({ x, y, radius, slices }) => buildBreakdownChartShapes(slices, x, y, radius)).join('') +
+            `<g fill="white">` +
+            `<rect width="${width}" height="${headerHeight}" fill="rgba(0, 0, 0, 0.6)"/>` +
+            `<text x="${20 * scale}" y="${40 * scale}" font-size="${28 * scale}" font-weight="bold">${escape(overlay.title)}</text>` +
+            (overlay.subtitle ? `<text x="${20 * scale}" y="${72 * scale}" font-size="${18 * scale}">${escape(overlay.subtitle)}</text>` : '') +
+            `<rect x="${legendBox.x}" y="${legendBox.y}" width="${legendBox.width}" height="${legendBox.height}" fill="rgba(0, 0, 0, 0.7)"/>` +
+            `<text x="${legendBox.x + 10 * scale}" y="${legendBox.y + legendLineHeight}" font-size="${16 * scale}" font-weight="bold">${escape(legend.title)}</text>` +
+            legendItems +
+            `<rect y="${height - 30 * scale}" width="${width}" height="${30 * scale}" fill="rgba(0, 0, 0, 0.6)"/>` +
+            `<text x="${20 * scale}" y="${height - 10 * scale}" font-size="${14 * scale}">${escape(overlay.caption)}</text>` +
+            `</g></svg>`;
+
+        downloadFile(buildFileName('map', 'svg'), svg, 'image/svg+xml');
+    }
+
+    /**
+     * Finds the movement feature for a corridor in the loaded data, merged between regions if a grouping is active.
+     * @param {string} from - The origin country or region.
+     * @param {string} to - The destination country or region.
+     * @returns {Object|undefined} The movement feature.
+     */
+    function findCorridor(from, to) {
+        if (!globalGeoJson) return undefined;
+        // A cache of its own keeps the merged features on the map untouched
+        return groupMovementsByRegion(globalGeoJson, new Map()).features.find(feature =>
+            feature.properties.country_from === from && feature.properties.country_to === to
+        );
+    }
+
+    /**
+     * Sums a country's departures and arrivals in the filtered data.
+     * @param {string} country - The country name.
+     * @returns {Object} { outflow, inflow }.
+     */
+    function getCountryTotals(country) {
+        return filteredGeoJson.features.reduce((totals, feature) => {
+            if (feature.properties.country_from === country) totals.outflow += feature.properties.movement_count;
+            if (feature.properties.country_to === country) totals.inflow += feature.properties.movement_count;
+            return totals;
+        }, { outflow: 0, inflow: 0 });
+    }
+
+    /**
+     * Builds the details shown for a single corridor, using the filtered data.
+     * @param {string} from - The origin country.
+     * @param {string} to - The destination country.
+     * @returns {Object} Counts in both directions, shares of the origin's and destination's totals,
+     * the flow category, per-period counts and, while comparing, the counts in the baseline.
+     */
+    function buildCorridorConnection(from, to) {
+        const countFor = (origin, destination, geoJson = filteredGeoJson) => geoJson.features
+            .filter(feature => feature.properties.country_from === origin && feature.properties.country_to === destination)
+            .reduce((sum, feature) => sum + feature.properties.movement_count, 0);
+        const corridor = findCorridor(from, to);
+        const count = countFor(from, to);
+        const originTotals = getCountryTotals(from);
+        const destinationTotals = getCountryTotals(to);
+        const baseline = getDisplayedBaseline();
+
+        return {
+            from,
+            to,
+            count,
+            reverseCount: countFor(to, from),
+            originShare: originTotals.outflow > 0 ? count / originTotals.outflow : 0,
+            destinationShare: destinationTotals.inflow > 0 ? count / destinationTotals.inflow : 0,
+            flow: corridor ? corridor.properties.flow : '',
+            periodTotals: timelineConfig.periods.map(period => ({ period, count: corridor ? getPeriodCount(corridor.properties, period) : 0 })),
+            baseline: baseline && { count: countFor(from, to, baseline), reverseCount: countFor(to, from, baseline) }
+        };
+    }
+
+    /**
+     * Shows the information panel focused on one corridor and highlights it on the map.
+     * @param {string} from - The origin country.
+     * @param {string} to - The destination country.
+     */
+    function showCorridorPanel(from, to) {
+        inspectedCorridor = { from, to };
+        highlightedCorridor = { from, to };
+        updateCorridorHighlight();
+
+        setMapProjection('mercator');
+        spinningConfig.isEnabled = false;
+        stopSpinning();
+        adjustSpinning(false);
+
+        const corridor = buildCorridorConnection(from, to);
+        updateCorridorPanelUI(corridor);
+        fitCorridor(from, to);
+        announce(t('announce.corridor', { from: localizeCountryName(from), to: localizeCountryName(to), count: formatNumber(corridor.count) }));
+    }
+
+    /**
+     * Writes a corridor's details into the information panel and slides it into view.
+     * @param {Object} corridor - The corridor details from buildCorridorConnection.
+     */
+    function updateCorridorPanelUI(corridor) {
+        const titleElement = infoPanel.querySelector('h1');
+        const paragraphElement = infoPanel.querySelector('p');
+        if (!titleElement || !paragraphElement) return;
+
+        const from = localizeCountryName(corridor.from);
+        const to = localizeCountryName(corridor.to);
+        titleElement.textContent = `${from} → ${to}`;
+        paragraphElement.textContent = t('panel.totalMovement', { count: formatNumber(corridor.count) });
+        renderBalanceList(infoPanel.querySelector('.flow-balance'), [
+            [`${from} → ${to}`, formatNumber(corridor.count), 'outbound'],
+            [`${to} → ${from}`, formatNumber(corridor.reverseCount), 'inbound'],
+            [t('panel.shareOfDepartures', { country: from }), formatShare(corridor.originShare), ''],
+            [t('panel.shareOfArrivals', { country: to }), formatShare(corridor.destinationShare), ''],
+            [t('panel.flow'), corridor.flow || '–', '']
+        ]);
+        renderComparisonTable(corridor.baseline && [
+            [`${from} → ${to}`, corridor.count, corridor.baseline.count],
+            [`${to} → ${from}`, corridor.reverseCount, corridor.baseline.reverseCount]
+        ]);
+        renderBreakdownTable(null, null);
+        setInformationPanelView('corridor');
+        renderPeriodSparkline(infoPanel.querySelector('.period-sparkline'), corridor.periodTotals);
+        renderPartnerTable(infoPanel.querySelector('[data-ref="destinations-table"]'), [], 'outbound');
+        renderPartnerTable(infoPanel.querySelector('[data-ref="origins-table"]'), [], 'inbound');
+        setInformationPanelVisible(true);
+    }
+
+    // Escapes text for safe use inside popup HTML
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Builds the tooltip for a corridor or one of its dots.
+     * @param {Object} properties - Properties carrying country_from, country_to and movement_count.
+     * @returns {string} The tooltip HTML.
+     */
+    function describeCorridorTooltip(properties) {
+        const { country_from, country_to, movement_count } = properties;
+        const originTotal = getCountryTotals(country_from).outflow;
+        const share = originTotal > 0 ? movement_count / originTotal : 0;
+        const from = localizeCountryName(country_from);
+        return `<strong>${escapeHtml(from)} → ${escapeHtml(localizeCountryName(country_to))}</strong><br>` +
+            `${escapeHtml(t('tooltip.movements', { count: formatNumber(movement_count) }))}<br>` +
+            escapeHtml(t('tooltip.shareOfDepartures', { share: formatShare(share), country: from })) +
+            describeChangeTooltip(properties);
+    }
+
+    /**
+     * Builds the tooltip for a country bubble.
+     * @param {Object} properties - The bubble's aggregated properties.
+     * @returns {string} The tooltip HTML.
+     */
+    function describeBubbleTooltip(properties) {
+        let html = `<strong>${escapeHtml(localizeCountryName(properties.country_from))}</strong><br>` +
+            escapeHtml(t('tooltip.movements', { count: formatNumber(properties.movement_count) }));
+        if (properties.inflow !== undefined) {
+            html += `<br>${escapeHtml(t('format.labelValue', { label: t('panel.arrivals'), value: formatNumber(properties.inflow) }))}` +
+                `<br>${escapeHtml(t('format.labelValue', { label: t('panel.departures'), value: formatNumber(properties.outflow) }))}`;
+        }
+        return html + describeChangeTooltip(properties);
+    }
+
+    // The tooltip for a cluster of bubbles: how many countries it holds and their movements together
+    function describeClusterTooltip(properties) {
+        return `<strong>${escapeHtml(t('tooltip.cluster', { count: formatNumber(properties.point_count) }))}</strong><br>` +
+            `${escapeHtml(t('tooltip.movements', { count: formatNumber(properties.movement_count) }))}<br>` +
+            escapeHtml(t('tooltip.clusterExpand'));
+    }
+
+    // The tooltip line giving a corridor's or bubble's change from the baseline, empty when not comparing
+    function describeChangeTooltip(properties) {
+        if (properties.change === undefined || !comparisonConfig.baseline) return '';
+        return `<br>${escapeHtml(t('tooltip.change', {
+            label: getBaselineLabel(),
+            change: describeChange(properties.movement_count, properties.baseline_count)
+        }))}`;
+    }
+
+    // Shows hover tooltips for bubbles, dots and corridors, and opens the corridor view when one is clicked
+    function initializeHoverInteractions() {
+        if (hoverInteractionsInitialized) return;
+        hoverInteractionsInitialized = true;
+
+        // Listed top to bottom: a bubble wins over a dot, and a dot over the corridor beneath it
+        const hoverLayers = ['country-from-clusters-layer', 'country-from-bubbles-layer', 'moving-dots-layer', 'flow-lines-hit-layer'];
+        const topFeatureAt = point => {
+            const layers = hoverLayers.filter(layerId => map.getLayer(layerId));
+            return map.queryRenderedFeatures(point, { layers })[0];
+        };
+
+        map.on('mousemove', event => {
+            const feature = topFeatureAt(event.point);
+            if (!feature) {
+                hoverPopup.remove();
+                // Shaded countries have no tooltip but can be clicked; the layer is hidden outside choropleth mode
+                const overCountry = map.getLayer('country-choropleth-layer') &&
+                    map.queryRenderedFeatures(event.point, { layers: ['country-choropleth-layer'] }).length > 0;
+                map.getCanvas().style.cursor = overCountry ? 'pointer' : '';
+                return;
+            }
+
+            let html;
+            if (feature.layer.id === 'country-from-clusters-layer') html = describeClusterTooltip(feature.properties);
+            else if (feature.layer.id === 'country-from-bubbles-layer') html = describeBubbleTooltip(feature.properties);
+            else html = describeCorridorTooltip(feature.properties);
+            map.getCanvas().style.cursor = 'pointer';
+            hoverPopup.setLngLat(event.lngLat).setHTML(html).addTo(map);
+        });
+        map.on('mouseout', () => hoverPopup.remove());
+
+        map.on('click', event => {
+            const feature = topFeatureAt(event.point);
+            // Bubble and cluster clicks are handled by their own layers
+            if (!feature || ['country-from-bubbles-layer', 'country-from-clusters-layer'].includes(feature.layer.id)) return;
+            showCorridorPanel(feature.properties.country_from, feature.properties.country_to);
+        });
+    }
+
+    /**
+     * Announces a message to screen readers through the live region.
+     * @param {string} message - The text to announce.
+     */
+    function announce(message) {
+        const liveRegion = getElement('map-announcer');
+        if (!liveRegion) return;
+        // Clearing first makes a repeated message be read again
+        liveRegion.textContent = '';
+        setTimeout(() => { liveRegion.textContent = message; }, 50);
+    }
+
+    /**
+     * Lists the countries in the filtered data, alphabetically.
+     * @returns {Array<string>} The country names.
+     */
+    function getCountryNames() {
+        if (!filteredGeoJson) return [];
+        const names = new Set();
+        filteredGeoJson.features.forEach(feature => {
+            names.add(feature.properties.country_from);
+            names.add(feature.properties.country_to);
+        });
+        return Array.from(names).sort(compareCountryNames);
+    }
+
+    // Fills the country search suggestions from the loaded data and selects a country once one is picked
+    function initializeCountrySearch() {
+        const input = getElement('countrySearch');
+        const list = getElement('countryList');
+        if (!input || !list) return;
+
+        list.innerHTML = '';
+        const names = new Set();
+        globalGeoJson.features.forEach(feature => {
+            names.add(feature.properties.country_from);
+            names.add(feature.properties.country_to);
+        });
+        if (regionConfig.grouping) regionConfig.grouping.regions.forEach(region => names.add(region.name));
+        Array.from(names).sort(compareCountryNames).forEach(name => {
+            list.appendChild(new Option(localizeCountryName(name)));
+        });
+
+        input.onchange = () => {
+            const value = input.value.trim();
+            if (!value) {
+                if (selectedFromCountry) hideInformationPanel();
+                return;
+            }
+            const match = findCountryName(value, names);
+            if (match) {
+                selectCountry(match);
+            } else {
+                announce(t('announce.noMatch', { country: value }));
+            }
+        };
+        syncCountrySearch();
+    }
+
+    /**
+     * Finds the country a typed value refers to, accepting the translated name or any spelling the
+     * gazetteer knows, e.g. an ISO3 code or an alias.
+     * @param {string} value - The typed value.
+     * @param {Iterable<string>} names - The country names to choose from.
+     * @returns {string|null} The matching name, or null if there is none.
+     */
+    function findCountryName(value, names) {
+        const entry = resolveCountry(value);
+        const key = normalizeCountryKey(entry ? entry.name : value);
+        return Array.from(names).find(name =>
+            normalizeCountryKey(name) === key || normalizeCountryKey(localizeCountryName(name)) === normalizeCountryKey(value)
+        ) || null;
+    }
+
+    // Finds a country of the loaded data by name, ISO3 code or any alias in the gazetteer
+    function findLoadedCountry(identifier) {
+        const entry = resolveCountry(identifier);
+        const name = entry ? entry.name : identifier;
+        return name && countryCoordinates.has(name) ? name : null;
+    }
+
+    // Shows the selected country in the search box
+    function syncCountrySearch() {
+        const input = getElement('countrySearch');
+        if (input && document.activeElement !== input) input.value = selectedFromCountry ? localizeCountryName(selectedFromCountry) : '';
+    }
+
+    /**
+     * Selects the next or previous country in alphabetical order, wrapping around.
+     * @param {number} step - 1 for the next country, -1 for the previous one.
+     */
+    function cycleSelectedCountry(step) {
+        const names = getCountryNames();
+        if (!names.length) return;
+        const index = names.indexOf(selectedFromCountry);
+        const nextIndex = index < 0
+            ? (step > 0 ? 0 : names.length - 1)
+            : (index + step + names.length) % names.length;
+        selectCountry(names[nextIndex]);
+    }
+
+    /**
+     * Handles the keyboard shortcuts. They are ignored while typing in a form field, and while
+     * focus is inside another movement map on the same page.
+     * @param {KeyboardEvent} event - The keydown event.
+     */
+    function handleKeyboardShortcut(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        const focusedMap = event.target.closest && event.target.closest('.movement-map');
+        if (focusedMap && focusedMap !== root) return;
+        if (event.key === 'Escape') {
+            if (storyConfig.currentIndex >= 0) {
+                endStory();
+            } else if (selectedFromCountry || inspectedCorridor) {
+                hideInformationPanel();
+            } else if (regionConfig.drilledRegion) {
+                drillDownToRegion(null);
+            }
+            return;
+        }
+        if (event.target.closest && event.target.closest('input, select, textarea')) return;
+
+        switch (event.key) {
+            case 's':
+                toggleSpinning(!spinningConfig.isEnabled);
+                announce(t(spinningConfig.isEnabled ? 'announce.spinning' : 'announce.stopped'));
+                break;
+            case 'n':
+                cycleSelectedCountry(1);
+                break;
+            case 'p':
+                cycleSelectedCountry(-1);
+                break;
+            case '/':
+                getElement('countrySearch').focus();
+                break;
+            // Presentation remotes send Page Down and Page Up
+            case 'PageDown':
+            case 'PageUp':
+                if (storyConfig.currentIndex < 0) return;
+                stepStory(event.key === 'PageDown' ? 1 : -1);
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+
+    // Follows deep links pasted into the address bar or changed by the host page
+    function handleHashChange() {
+        applyUrlState(readUrlState());
+    }
+
+    // Wires up the sortable headers of the corridor table and renders it whenever it is opened
+    function initializeCorridorTable() {
+        const container = getElement('corridor-table-view');
+        if (!container) return;
+
+        container.querySelectorAll('th[data-sort-key] button').forEach(button => {
+            button.onclick = () => {
+                const key = button.parentElement.dataset.sortKey;
+                // Clicking the sorted column again reverses it; a new column starts with its natural order
+                corridorTableConfig.ascending = corridorTableConfig.sortKey === key
+                    ? !corridorTableConfig.ascending
+                    : key !== 'movement_count';
+                corridorTableConfig.sortKey = key;
+                renderCorridorTable();
+            };
+        });
+        container.ontoggle = renderCorridorTable;
+        renderCorridorTable();
+    }
+
+    // Lists the visible corridors as a table, a text alternative to the animated map
+    function renderCorridorTable() {
+        const container = getElement('corridor-table-view');
+        if (!container || !filteredGeoJson) return;
+
+        const { sortKey, ascending } = corridorTableConfig;
+        container.querySelectorAll('th[data-sort-key]').forEach(header => {
+            const sorted = header.dataset.sortKey === sortKey;
+            header.setAttribute('aria-sort', sorted ? (ascending ? 'ascending' : 'descending') : 'none');
+        });
+
+        const corridors = getVisibleCorridors();
+        const summary = container.querySelector('summary');
+        summary.textContent = t('corridorTable.summary', { count: formatNumber(corridors.length) });
+        // Building rows for a large dataset is only worth it while the table is shown
+        if (!container.open) return;
+
+        const body = container.querySelector('tbody');
+        body.innerHTML = '';
+        corridors
+            .map(feature => feature.properties)
+            .sort((a, b) => {
+                let order;
+                if (typeof a[sortKey] === 'number') order = a[sortKey] - b[sortKey];
+                else if (sortKey === 'flow') order = String(a.flow || '').localeCompare(String(b.flow || ''), currentLocale);
+                else order = compareCountryNames(a[sortKey], b[sortKey]);
+                return ascending ? order : -order;
+            })
+            .forEach(properties => {
+                const row = body.insertRow();
+                ['country_from', 'country_to'].forEach(key => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.textContent = localizeCountryName(properties[key]);
+                    button.onclick = () => selectCountry(properties[key]);
+                    row.insertCell().appendChild(button);
+                });
+                row.insertCell().textContent = properties.flow || '';
+                const countCell = row.insertCell();
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = formatNumber(properties.movement_count);
+                button.setAttribute('aria-label', t('corridorTable.showCorridor', {
+                    from: localizeCountryName(properties.country_from),
+                    to: localizeCountryName(properties.country_to),
+                    count: formatNumber(properties.movement_count)
+                }));
+                button.onclick = () => showCorridorPanel(properties.country_from, properties.country_to);
+                countCell.appendChild(button);
+            });
+    }
+
+    // Picks the interface language, translates the page and wires up the language switcher
+    function initializeLocale() {
+        let savedLocale = null;
+        try {
+            savedLocale = localStorage.getItem(i18n.storageKey);
+        } catch (error) {
+            // Storage can be blocked, e.g. in some embedded frames; the choice just isn't remembered
+        }
+        currentLocale = matchSupportedLocale([
+            config.locale,
+            config.urlState ? readUrlState().get('lang') : null,
+            savedLocale,
+            ...(navigator.languages || [navigator.language])
+        ]) || i18n.fallbackLocale;
+
+        const languageSelect = getElement('languageSelect');
+        if (languageSelect) {
+            languageSelect.value = currentLocale;
+            languageSelect.onchange = () => setLocale(languageSelect.value);
+        }
+        applyTranslations();
+    }
+
+    /**
+     * Switches the interface language and redraws everything that shows text.
+     * @param {string} locale - One of i18n.supportedLocales.
+     */
+    function setLocale(locale) {
+        if (!i18n.supportedLocales.includes(locale)) return;
+        currentLocale = locale;
+        try {
+            localStorage.setItem(i18n.storageKey, locale);
+        } catch (error) {
+            // See initializeLocale
+        }
+
+        applyTranslations();
+        localizeMapLabels();
+        // The hidden panel sits off the opposite edge in right-to-left layouts
+        setInformationPanelVisible(!infoPanel.inert);
+        updateTimelineControls();
+        renderStoryStep();
+        renderDifferenceLegend();
+        renderBreakdownOptions();
+        renderBreakdownLegend();
+        renderSizeLegend();
+        renderLiveStatus();
+        emit('localechanged', { locale });
+        if (!globalGeoJson) return;
+
+        if (dataQualityReport) renderDataQualityReport(dataQualityReport);
+        else renderDataLoadError();
+        initializeCountrySearch();
+        updateChoropleth();
+        refreshInformationPanel();
+        renderCorridorTable();
+    }
+
+    // Translates the map's static text marked with data-i18n attributes and sets its direction
+    function applyTranslations() {
+        root.lang = currentLocale;
+        root.dir = isRtlLocale(currentLocale) ? 'rtl' : 'ltr';
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+        });
+        // Read by the drop overlay's CSS
+        getElement('map').dataset.dropLabel = t('map.dropLabel');
+    }
+
+    // Shows map labels in the interface language where the style's tiles have a name for it
+    function localizeMapLabels() {
+        const style = map ? map.getStyle() : null;
+        if (!style || !style.layers) return;
+
+        style.layers.forEach(layer => {
+            if (layer.type !== 'symbol' || !layer.layout || !layer.layout['text-field']) return;
+            if (!originalLabelFields.has(layer.id)) originalLabelFields.set(layer.id, layer.layout['text-field']);
+            const original = originalLabelFields.get(layer.id);
+            // Road shields, house numbers and the like don't name a place
+            if (!JSON.stringify(original).includes('name')) return;
+
+            const fallback = Array.isArray(original) ? original : ['get', 'name'];
+            map.setLayoutProperty(layer.id, 'text-field', currentLocale === i18n.fallbackLocale
+                ? original
+                : ['coalesce', ['get', `name_${currentLocale}`], fallback]);
+        });
+    }
+
+    /**
+     * Translates a country name through its ISO code, keeping the data's own name in English.
+     * @param {string} country - The canonical country name.
+     * @returns {string} The name in the interface language, or the canonical name if none is known.
+     */
+    function localizeCountryName(country) {
+        if (currentLocale === i18n.fallbackLocale || typeof Intl.DisplayNames !== 'function') return country;
+        const entry = resolveCountry(country);
+        if (!entry || !entry.iso2) return country;
+
+        if (!regionNames.has(currentLocale)) {
+            regionNames.set(currentLocale, new Intl.DisplayNames([currentLocale], { type: 'region', fallback: 'none' }));
+        }
+        try {
+            return regionNames.get(currentLocale).of(entry.iso2) || country;
+        } catch (error) {
+            return country;
+        }
+    }
+
+    // Orders countries by their displayed name
+    function compareCountryNames(a, b) {
+        return localizeCountryName(a).localeCompare(localizeCountryName(b), currentLocale);
+    }
+
+    /**
+     * Returns the locale used for numbers and dates: the browser's own regional variant of the
+     * interface language when it has one (e.g. fr-CA), otherwise the interface language itself.
+     * @returns {string} A BCP 47 language tag.
+     */
+    function getFormattingLocale() {
+        const browserLocales = navigator.languages || [navigator.language];
+        return browserLocales.find(tag => String(tag || '').toLowerCase().split('-')[0] === currentLocale) || currentLocale;
+    }
+
+    /**
+     * Formats a period key for display, e.g. '2023-Q1' as "Q1 2023" or '2023-05' as "May 2023".
+     * @param {string} period - A period key from normalizePeriod.
+     * @returns {string} The period label in the interface language.
+     */
+    function formatPeriod(period) {
+        const plainNumber = value => new Intl.NumberFormat(getFormattingLocale(), { useGrouping: false }).format(value);
+        const quarterMatch = String(period).match(/^(\d{4})-Q([1-4])$/);
+        if (quarterMatch) return t('period.quarter', { year: plainNumber(quarterMatch[1]), quarter: plainNumber(quarterMatch[2]) });
+
+        const monthMatch = String(period).match(/^(\d{4})-(\d{2})$/);
+        if (monthMatch) {
+            return new Intl.DateTimeFormat(getFormattingLocale(), { year: 'numeric', month: 'short', timeZone: 'UTC' })
+                .format(Date.UTC(monthMatch[1], monthMatch[2] - 1));
+        }
+        return period;
+    }
+
+    /**
+     * Slides the information panel in or out from the edge it is docked to.
+     * @param {boolean} visible - Whether the panel should be shown.
+     */
+    function setInformationPanelVisible(visible) {
+        const hiddenOffset = isRtlLocale(currentLocale) ? '-100%' : '100%';
+        infoPanel.style.transform = visible ? 'translateX(0)' : `translateX(${hiddenOffset})`;
+        // Keep the off-screen panel out of the tab order and the accessibility tree
+        infoPanel.inert = !visible;
+    }
+
+    /**
+     * Returns horizontal camera padding that keeps map content clear of the information panel,
+     * which is docked on the right, or on the left in right-to-left layouts.
+     * @param {number} panelSide - Padding on the panel's side.
+     * @param {number} otherSide - Padding on the opposite side.
+     * @returns {Object} { left, right } padding in pixels.
+     */
+    function getInformationPanelPadding(panelSide, otherSide) {
+        return isRtlLocale(currentLocale) ? { left: panelSide, right: otherSide } : { left: otherSide, right: panelSide };
+    }
+
+    /**
+     * Returns the movements that pass the filters in the current period, before any regional grouping,
+     * as plain features another map can compare itself with.
+     * @returns {Array<Object>} LineString features with country_from, country_to, iso3_from, iso3_to,
+     * movement_count and flow.
+     */
+    function getCorridors() {
+        if (!globalGeoJson) return [];
+        return filterMovementData(globalGeoJson, filterConfig).features.map(feature => {
+            const { country_from, country_to, iso3_from, iso3_to, movement_count, flow } = feature.properties;
+            return {
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates: feature.geometry.coordinates.map(coordinate => coordinate.slice()) },
+                properties: { country_from, country_to, iso3_from, iso3_to, movement_count, flow }
+            };
+        });
+    }
+
+    /**
+     * Colours corridors and bubbles by their change from a baseline and adds the baseline values to the
+     * information panel, or ends the comparison.
+     * @param {Array<Object>|null} corridors - Baseline movement features, e.g. another map's getCorridors(),
+     * or null to end the comparison.
+     * @param {Object} [options] - { label, measure } where label names the baseline and measure is
+     * 'absolute' or 'percent'.
+     */
+    function setComparison(corridors, options = {}) {
+        const wasComparing = Boolean(comparisonConfig.baseline);
+        comparisonConfig.baseline = corridors ? { type: 'FeatureCollection', features: corridors } : null;
+        if (options.label !== undefined) comparisonConfig.label = options.label;
+        if (options.measure) comparisonConfig.measure = options.measure;
+
+        renderDifferenceLegend();
+        if (filteredGeoJson) {
+            updateFlowLines();
+            refreshBubbleVisualization();
+            refreshInformationPanel();
+        }
+        if (wasComparing !== Boolean(corridors)) {
+            announce(corridors ? t('announce.comparing', { label: getBaselineLabel() }) : t('announce.comparisonEnded'));
+        }
+    }
+
+    // The baseline merged into the same regions as the map's own data, or null when not comparing
+    function getDisplayedBaseline() {
+        return comparisonConfig.baseline && groupMovementsByRegion(comparisonConfig.baseline, new Map());
+    }
+
+    // The name of the baseline, or a generic one if none was given
+    function getBaselineLabel() {
+        return comparisonConfig.label || t('comparison.baseline');
+    }
+
+    /**
+     * Returns the change from a baseline value in the active measure. Percentages are fractions,
+     * and movement where the baseline had none counts as a 100% rise.
+     * @param {number} value - The current value.
+     * @param {number} baselineValue - The baseline value.
+     * @returns {number} The change.
+     */
+    function computeChange(value, baselineValue) {
+        if (comparisonConfig.measure !== 'percent') return value - baselineValue;
+        if (baselineValue > 0) return (value - baselineValue) / baselineValue;
+        return value > 0 ? 1 : 0;
+    }
+
+    /**
+     * Formats the change from a baseline value in the active measure, e.g. "+120" or "-15%".
+     * @param {number} value - The current value.
+     * @param {number} baselineValue - The baseline value.
+     * @returns {string} The formatted change.
+     */
+    function describeChange(value, baselineValue) {
+        if (comparisonConfig.measure === 'percent') {
+            if (!baselineValue && value > 0) return t('comparison.new');
+            return new Intl.NumberFormat(getFormattingLocale(), { style: 'percent', maximumFractionDigits: 1, signDisplay: 'exceptZero' })
+                .format(computeChange(value, baselineValue));
+        }
+        return new Intl.NumberFormat(getFormattingLocale(), { signDisplay: 'exceptZero' }).format(value - baselineValue);
+    }
+
+    /**
+     * Builds a colour expression for the change property, from the largest fall through no change to the largest rise.
+     * Percentages use a fixed scale of -100% to +100%, so larger rises share the top colour.
+     * @param {Array<Object>} features - The features being coloured.
+     * @returns {Array} The Mapbox GL expression.
+     */
+    function getChangeColorExpression(features) {
+        // Interpolation stops must be strictly ascending, so never let the range collapse to zero
+        const maxChange = comparisonConfig.measure === 'percent'
+            ? 1
+            : Math.max(1, ...features.map(feature => Math.abs(feature.properties.change || 0)));
+        const { decrease, unchanged, increase } = config.changeColors;
+        return ['interpolate', ['linear'], ['get', 'change'], -maxChange, decrease, 0, unchanged, maxChange, increase];
+    }
+
+    /**
+     * Sums a country's arrivals and departures in the baseline.
+     * @param {string} country - The country or region name.
+     * @returns {Object|null} { count, inflow, outflow }, or null when not comparing.
+     */
+    function getBaselineCountryTotals(country) {
+        const baseline = getDisplayedBaseline();
+        if (!baseline) return null;
+        const countryBubble = aggregateDataForBothDirections(country, filterRelatedMovements(country, baseline), getCountryCoordinates)
+            .find(feature => feature.properties.country_from === country);
+        const { movement_count = 0, inflow = 0, outflow = 0 } = countryBubble ? countryBubble.properties : {};
+        return { count: movement_count, inflow, outflow };
+    }
+
+    /**
+     * Fills the information panel's comparison table with the current and baseline values and the change
+     * between them, or hides it when not comparing.
+     * @param {Array<Array>|null} rows - [label, current value, baseline value] per row.
+     */
+    function renderComparisonTable(rows) {
+        const table = infoPanel.querySelector('.comparison-table');
+        if (!table) return;
+        const body = table.querySelector('tbody');
+        table.hidden = !rows;
+        body.innerHTML = '';
+        if (!rows) return;
+
+        table.querySelector('.comparison-baseline-label').textContent = getBaselineLabel();
+        rows.forEach(([label, value, baselineValue]) => {
+            const row = body.insertRow();
+            const header = document.createElement('th');
+            header.scope = 'row';
+            header.textContent = label;
+            row.appendChild(header);
+            row.insertCell().textContent = formatNumber(value);
+            row.insertCell().textContent = formatNumber(baselineValue);
+            const changeCell = row.insertCell();
+            changeCell.textContent = describeChange(value, baselineValue);
+            if (value !== baselineValue) changeCell.classList.add(value > baselineValue ? 'change-increase' : 'change-decrease');
+        });
+    }
+
+    // The colours of the difference view with their meaning, for the on-screen and exported legends
+    function getDifferenceLegendEntries() {
+        const { decrease, unchanged, increase } = config.changeColors;
+        return [
+            { color: increase, label: t('legend.increase') },
+            { color: unchanged, label: t('legend.unchanged') },
+            { color: decrease, label: t('legend.decrease') }
+        ];
+    }
+
+    // Shows the difference legend while comparing with a baseline
+    function renderDifferenceLegend() {
+        const legend = getElement('difference-legend');
+        if (!legend) return;
+        const list = legend.querySelector('ul');
+        legend.hidden = !comparisonConfig.baseline;
+        list.innerHTML = '';
+        if (legend.hidden) return;
+
+        legend.querySelector('h3').textContent = t('legend.changeFrom', { label: getBaselineLabel() });
+        getDifferenceLegendEntries().forEach(({ color, label }) => {
+            const item = document.createElement('li');
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-swatch';
+            swatch.style.backgroundColor = color;
+            item.append(swatch, label);
+            list.appendChild(item);
+        });
+    }
+
+    // Stops the animations and listeners, removes the Mapbox map and empties the container
+    function destroy() {
+        if (destroyed) return;
+        destroyed = true;
 
+        cancelAnimationFrame(animationFrameRequestID);
+        if (animationFrameId) cancelAnimationFrame(animationFrameId);
+        stopSpinning();
+        timelineConfig.isPlaying = false;
+        storyConfig.isPlaying = false;
+        clearTimeout(urlStateTimeoutId);
+        document.removeEventListener('keydown', handleKeyboardShortcut);
+        window.removeEventListener('hashchange', handleHashChange);
+
+        clearTimeout(offlineFallbackTimeoutId);
+        stopLiveUpdates();
+        clearTimeout(liveConfig.highlightTimeoutId);
+        breakdownConfig.charts.forEach(chart => chart.marker.remove());
+        breakdownConfig.charts.clear();
+        if (hoverPopup) hoverPopup.remove();
+        if (map) map.remove();
+        root.innerHTML = '';
+        root.classList.remove('movement-map', 'movement-map-offline');
+        root.style.removeProperty('--movement-map-accent');
+        root.removeAttribute('lang');
+        root.removeAttribute('dir');
+    }
 
+    const api = {
+        // The Mapbox GL or MapLibre map; null until the offline library has loaded
+        get map() {
+            return map;
+        },
+        // The interface language, e.g. 'en'
+        get locale() {
+            return currentLocale;
+        },
+        container: root,
+        // Adds a listener for one of the map's events; returns the API for chaining
+        on(type, listener) {
+            root.addEventListener(type, listener);
+            return api;
+        },
+        // Removes a listener added with on()
+        off(type, listener) {
+            root.removeEventListener(type, listener);
+            return api;
+        },
+        /**
+         * Selects a country by name, ISO3 code or any alias in the gazetteer, or opens a region by name.
+         * @param {string} country - The country or region to select.
+         * @returns {boolean} Whether the country was found in the loaded data, or the region in the grouping.
+         */
+        selectCountry(country) {
+            const entry = resolveCountry(country);
+            const name = entry ? entry.name : country;
+            if (!countryCoordinates.has(name) && !getRegion(name)) return false;
+            selectCountry(name);
+            return true;
+        },
+        /**
+         * Isolates the corridor between two countries, given by name, ISO3 code or any alias in the gazetteer.
+         * @param {string} from - The origin country.
+         * @param {string} to - The destination country.
+         * @returns {boolean} Whether both countries were found in the loaded data.
+         */
+        selectCorridor(from, to) {
+            const origin = findLoadedCountry(from);
+            const destination = findLoadedCountry(to);
+            if (!origin || !destination || origin === destination) return false;
+            selectCorridor(origin, destination);
+            return true;
+        },
+        /**
+         * Shows several origins on the map at once, each in its own colour, given by name, ISO3 code or any
+         * alias in the gazetteer. Countries not in the loaded data are skipped.
+         * @param {Array<string>} countries - The origin countries.
+         * @returns {boolean} Whether any of the countries was found in the loaded data.
+         */
+        compareOrigins(countries) {
+            const origins = countries.map(findLoadedCountry).filter(Boolean);
+            if (!origins.length) return false;
+            compareOrigins(origins);
+            return true;
+        },
+        // Closes the information panel and returns to the global view
+        clearSelection() {
+            if (selectedFromCountry || inspectedCorridor) hideInformationPanel();
+        },
+        /**
+         * Replaces the map's data with a file or the data at a URL.
+         * @param {string|File} source - A URL, or a File such as one picked by the user.
+         * @param {string} [format] - The data format; detected from the name or content when omitted.
+         * @returns {Promise<void>}
+         */
+        loadData(source, format) {
+            return typeof source === 'string' ? fetchDataAndInitialize(source, format) : loadMovementFile(source);
+        },
+        // Re-fetches the data URL now and merges any changes in place, as live updates do; returns a promise
+        refreshData: refreshLiveData,
+        loadStory,
+        // Closes the story and returns to the global view
+        endStory,
+        getCorridors,
+        setComparison,
+        setFilters,
+        // Groups countries into the regions of a loaded grouping by its id; an empty id shows countries
+        setRegionGrouping,
+        setLocale,
+        destroy
+    };
+    return api;
+}
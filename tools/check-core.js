@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+// Checks movement-core.js on a small hand-made dataset: parsing, column mapping, validation,
+// conversion to GeoJSON with periods and aggregation. Needs Node 14 or later and no packages.
+// Usage: node tools/check-core.js; exits with status 1 if any check fails.
+
+const assert = require('assert');
+const {
+    movementDataDefaults,
+    parseCsv,
+    mapColumns,
+    validateMovementRows,
+    convertToGeoJson,
+    aggregateDataForBothDirections
+} = require('../movement-core.js');
+
+// Gazetteer for the checks, keyed by ISO3 code
+const gazetteer = {
+    AFG: { name: 'Afghanistan', iso3: 'AFG', latitude: 33, longitude: 65 },
+    IRN: { name: 'Iran', iso3: 'IRN', latitude: 32, longitude: 53 },
+    PAK: { name: 'Pakistan', iso3: 'PAK', latitude: 30, longitude: 70 }
+};
+const resolveCountry = identifier => gazetteer[String(identifier).trim().toUpperCase()] || null;
+const locate = name => {
+    const entry = Object.values(gazetteer).find(candidate => candidate.name === name);
+    return [entry.longitude, entry.latitude];
+};
+
+const csv = [
+    'origin,destination,count,date,sex_female,sex_male',
+    'AFG,PAK,10,2024-01-15,6,4',
+    'AFG,PAK,3,2024-02-20,,',
+    '"AFG",IRN,"1200",2024-04-02,,',
+    '',
+    'PAK,AFG,4.5,2024-01-03,,',
+    'PAK,PAK,2,2024-01-03,,',
+    'XYZ,PAK,5,2024-01-03,,',
+    'IRN,AFG,abc,2024-01-03,,'
+].join('\n');
+
+const checks = [];
+function check(name, run) {
+    checks.push({ name, run });
+}
+
+check('parseCsv reads quoted fields and keeps blank lines as blank rows', () => {
+    const rows = parseCsv(csv);
+    assert.strictEqual(rows.length, 8);
+    assert.strictEqual(rows[2].origin, 'AFG');
+    assert.strictEqual(rows[2].count, '1200');
+    assert.deepStrictEqual(parseCsv('a,b\n"x ""y""","1\n2"\n'), [{ a: 'x "y"', b: '1\n2' }]);
+});
+
+check('mapColumns renames aliases and keeps other columns', () => {
+    const [row] = mapColumns(parseCsv(csv), movementDataDefaults.columnAliases);
+    assert.strictEqual(row.country_from, 'AFG');
+    assert.strictEqual(row.country_to, 'PAK');
+    assert.strictEqual(row.movement_count, '10');
+    assert.strictEqual(row.sex_female, '6');
+});
+
+check('validateMovementRows rejects duplicates and invalid rows by source line', () => {
+    const rows = mapColumns(parseCsv(csv), movementDataDefaults.columnAliases);
+    const { validRows, report } = validateMovementRows(rows, 2, { resolveCountry });
+    assert.strictEqual(report.totalRows, 7);
+    assert.strictEqual(report.acceptedRows, 3);
+    assert.deepStrictEqual(report.missingColumns, []);
+    assert.deepStrictEqual(report.rejected.map(issue => issue.line), [3, 7, 8, 9]);
+    assert.match(report.rejected[0].reasons[0], /Duplicate of line 2/);
+    assert.ok(report.warnings.some(warning => warning.line === 6 && /whole number/.test(warning.message)));
+    assert.deepStrictEqual(validRows.map(row => row.country_from), ['Afghanistan', 'Afghanistan', 'Pakistan']);
+});
+
+check('validateMovementRows reports missing columns', () => {
+    const { validRows, report } = validateMovementRows([{ country_from: 'AFG', country_to: 'PAK' }], 2, { resolveCountry });
+    assert.deepStrictEqual(report.missingColumns, ['movement_count']);
+    assert.strictEqual(validRows.length, 0);
+});
+
+check('convertToGeoJson merges periods into one feature per pair', () => {
+    const rows = mapColumns(parseCsv(csv), movementDataDefaults.columnAliases);
+    const { validRows } = validateMovementRows(rows, 2, { resolveCountry });
+    const { features } = convertToGeoJson(validRows);
+    assert.strictEqual(features.length, 3);
+    const [toPakistan, toIran, toAfghanistan] = features.map(feature => feature.properties);
+    assert.strictEqual(toPakistan.iso3_from, 'AFG');
+    assert.deepStrictEqual(toPakistan.period_counts, { '2024-Q1': 10 });
+    assert.deepStrictEqual(toIran.period_counts, { '2024-Q2': 1200 });
+    assert.strictEqual(toAfghanistan.movement_count, 4);
+    assert.deepStrictEqual(features[0].geometry.coordinates, [[65, 33], [70, 30]]);
+});
+
+check('aggregateDataForBothDirections splits inflow and outflow', () => {
+    const rows = mapColumns(parseCsv(csv), movementDataDefaults.columnAliases);
+    const { features } = convertToGeoJson(validateMovementRows(rows, 2, { resolveCountry }).validRows);
+    const totals = Object.fromEntries(aggregateDataForBothDirections(null, features, locate)
+        .map(feature => [feature.properties.country_from, feature.properties]));
+    assert.deepStrictEqual([totals.Afghanistan.inflow, totals.Afghanistan.outflow, totals.Afghanistan.net_flow], [4, 1210, -1206]);
+    assert.deepStrictEqual([totals.Pakistan.inflow, totals.Pakistan.outflow, totals.Pakistan.net_flow], [10, 4, 6]);
+
+    const aroundPakistan = aggregateDataForBothDirections('Pakistan', features.filter(feature =>
+        feature.properties.country_from === 'Pakistan' || feature.properties.country_to === 'Pakistan'), locate);
+    const afghanistan = aroundPakistan.find(feature => feature.properties.country_from === 'Afghanistan').properties;
+    assert.deepStrictEqual([afghanistan.inflow, afghanistan.outflow], [4, 10]);
+    assert.ok(aroundPakistan.find(feature => feature.properties.country_from === 'Pakistan').properties.is_selected);
+});
+
+let failures = 0;
+checks.forEach(({ name, run }) => {
+    try {
+        run();
+        console.log(`ok - ${name}`);
+    } catch (error) {
+        failures++;
+        console.error(`not ok - ${name}\n    ${error.message.split('\n').join('\n    ')}`);
+    }
+});
+console.log(`${checks.length - failures} of ${checks.length} checks passed`);
+process.exitCode = failures ? 1 : 0;
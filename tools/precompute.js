@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+// Turns a movement CSV into ready-to-serve files: corridors with pre-sampled great-circle arcs,
+// per-country totals and a summary with the data-quality report. Needs Node 14 or later and no packages.
+// Usage: node tools/precompute.js <movement.csv> [options]; run with --help for the options.
+
+const fs = require('fs');
+const path = require('path');
+const {
+    movementDataDefaults,
+    parseCsv,
+    mapColumns,
+    validateMovementRows,
+    buildGazetteerIndex,
+    normalizeCountryKey,
+    isBlankValue,
+    indexCountryCoordinates,
+    convertToGeoJson,
+    getPeriods,
+    applyPeriodToFeatures,
+    getFlowCategories,
+    addBreakdowns,
+    filterMovementData,
+    aggregateDataForBothDirections,
+    buildGreatCircleArc
+} = require('../movement-core.js');
+
+const usage = `Usage: node tools/precompute.js <movement.csv> [options]
+
+Options:
+  --out <dir>            Directory for the output files (default: precomputed)
+  --gazetteer <file>     Country gazetteer JSON (default: data/countries.json)
+  --segments <n>         Segments per corridor arc (default: ${movementDataDefaults.arcSegments})
+  --granularity <unit>   Period grouping for dated rows: quarter, month or none (default: ${movementDataDefaults.periodGranularity})
+  --period <key>         Output the counts of one period, e.g. 2023-Q1, instead of the total
+  --strict               Exit with status 2 if any row was rejected
+  --help                 Show this message
+
+Writes corridors.geojson, countries.geojson and summary.json to the output directory.`;
+
+// Settings for each flag, and the name of the option it sets
+const flags = {
+    '--out': { option: 'out', takesValue: true },
+    '--gazetteer': { option: 'gazetteer', takesValue: true },
+    '--segments': { option: 'segments', takesValue: true },
+    '--granularity': { option: 'granularity', takesValue: true },
+    '--period': { option: 'period', takesValue: true },
+    '--strict': { option: 'strict', takesValue: false },
+    '--help': { option: 'help', takesValue: false }
+};
+
+/**
+ * Reads the command-line arguments into options, with the defaults for anything not given.
+ * @param {Array<string>} args - The arguments after the script name.
+ * @returns {Object} { input, out, gazetteer, segments, granularity, period, strict, help }.
+ */
+function parseArguments(args) {
+    const options = {
+        input: null,
+        out: 'precomputed',
+        gazetteer: path.join(__dirname, '..', 'data', 'countries.json'),
+        segments: movementDataDefaults.arcSegments,
+        granularity: movementDataDefaults.periodGranularity,
+        period: null,
+        strict: false,
+        help: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const flag = flags[args[i]];
+        if (!flag && args[i].startsWith('--')) throw new Error(`Unknown option ${args[i]}`);
+        if (!flag) {
+            if (options.input) throw new Error(`Unexpected argument ${args[i]}`);
+            options.input = args[i];
+        } else if (flag.takesValue) {
+            if (i + 1 >= args.length) throw new Error(`${args[i]} needs a value`);
+            options[flag.option] = args[++i];
+        } else {
+            options[flag.option] = true;
+        }
+    }
+
+    options.segments = parseInt(options.segments, 10);
+    if (!Number.isInteger(options.segments) || options.segments < 1) throw new Error('--segments must be a positive whole number');
+    if (!['quarter', 'month', 'none'].includes(options.granularity)) throw new Error('--granularity must be quarter, month or none');
+    if (!options.input && !options.help) throw new Error('No movement CSV given');
+    return options;
+}
+
+/**
+ * Loads the gazetteer and returns a lookup for country identifiers. Without a gazetteer, countries
+ * keep the names and coordinates given in the file.
+ * @param {string} file - The gazetteer JSON file.
+ * @returns {Function} Finds the gazetteer entry for an ISO code, name or alias, or returns null.
+ */
+function loadCountryResolver(file) {
+    let entriesByKey = new Map();
+    try {
+        entriesByKey = buildGazetteerIndex(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+        console.warn(`Country gazetteer unavailable, using coordinates from the data: ${error.message}`);
+    }
+    return identifier => (isBlankValue(identifier) ? null : entriesByKey.get(normalizeCountryKey(identifier)) || null);
+}
+
+// Rounds coordinates to about 10 m, which is plenty for corridors and keeps the files small
+function roundCoordinate([longitude, latitude]) {
+    return [Math.round(longitude * 1e4) / 1e4, Math.round(latitude * 1e4) / 1e4];
+}
+
+/**
+ * Builds the corridor features with their arcs sampled along the great circle, largest first.
+ * @param {Object} geoJson - The movement GeoJSON for the chosen period.
+ * @param {number} segments - Segments per arc.
+ * @returns {Array<Object>} LineString features with the corridor's counts.
+ */
+function buildCorridorFeatures(geoJson, segments) {
+    return geoJson.features
+        .slice()
+        .sort((a, b) => b.properties.movement_count - a.properties.movement_count)
+        .map(feature => {
+            const [from, to] = feature.geometry.coordinates;
+            const { country_from, country_to, iso3_from, iso3_to, movement_count, flow, period_counts, breakdowns } = feature.properties;
+            const properties = { country_from, country_to, iso3_from, iso3_to, movement_count, flow };
+            if (period_counts) properties.period_counts = period_counts;
+            if (breakdowns) properties.breakdowns = breakdowns;
+            return {
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates: buildGreatCircleArc(from, to, segments).map(roundCoordinate) },
+                properties
+            };
+        });
+}
+
+/**
+ * Totals each country's arrivals, departures, net movement and partner countries, with arrivals and
+ * departures by group when the data has breakdown columns.
+ * @param {Object} geoJson - The movement GeoJSON for the chosen period.
+ * @param {Map<string, Array<number>>} coordinates - Country name to [longitude, latitude].
+ * @returns {Array<Object>} Point features, busiest country first.
+ */
+function buildCountryFeatures(geoJson, coordinates) {
+    const iso3ByCountry = new Map();
+    const partnersByCountry = new Map();
+    geoJson.features.forEach(feature => {
+        const { country_from, country_to, iso3_from, iso3_to } = feature.properties;
+        iso3ByCountry.set(country_from, iso3_from);
+        iso3ByCountry.set(country_to, iso3_to);
+        [[country_from, country_to], [country_to, country_from]].forEach(([country, partner]) => {
+            if (!partnersByCountry.has(country)) partnersByCountry.set(country, new Set());
+            partnersByCountry.get(country).add(partner);
+        });
+    });
+
+    return aggregateDataForBothDirections(null, geoJson.features, country => coordinates.get(country))
+        .sort((a, b) => b.properties.movement_count - a.properties.movement_count)
+        .map(feature => {
+            const { country_from, movement_count, inflow, outflow, net_flow, inflow_breakdowns, outflow_breakdowns } = feature.properties;
+            const properties = {
+                country: country_from,
+                iso3: iso3ByCountry.get(country_from) || null,
+                movement_count,
+                inflow,
+                outflow,
+                net_flow,
+                partners: partnersByCountry.get(country_from).size
+            };
+            if (inflow_breakdowns) Object.assign(properties, { inflow_breakdowns, outflow_breakdowns });
+            return {
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: roundCoordinate(feature.geometry.coordinates) },
+                properties
+            };
+        });
+}
+
+/**
+ * Summarises the output: row counts, totals by flow and by group, the largest corridors and countries,
+ * and the rejected rows and warnings of the data-quality report.
+ * @param {Object} details - { source, period, periods, report, geoJson, corridors, countries }.
+ * @returns {Object} The summary.
+ */
+function buildSummary({ source, period, periods, report, geoJson, corridors, countries }) {
+    const flows = {};
+    getFlowCategories(geoJson).forEach(flow => {
+        flows[flow] = 0;
+    });
+    const breakdowns = {};
+    geoJson.features.forEach(feature => {
+        if (feature.properties.flow) flows[feature.properties.flow] += feature.properties.movement_count;
+        addBreakdowns(breakdowns, feature.properties.breakdowns);
+    });
+    const topCountries = (key, sortKey) => countries
+        .slice()
+        .sort((a, b) => b.properties[sortKey] - a.properties[sortKey])
+        .slice(0, 10)
+        .map(feature => ({ country: feature.properties.country, [key]: feature.properties[sortKey] }));
+
+    return {
+        source: path.basename(source),
+        generatedAt: new Date().toISOString(),
+        period,
+        periods,
+        rows: {
+            total: report.totalRows,
+            accepted: report.acceptedRows,
+            rejected: report.rejected.length,
+            warnings: report.warnings.length
+        },
+        corridorCount: corridors.length,
+        countryCount: countries.length,
+        totalMovements: corridors.reduce((sum, feature) => sum + feature.properties.movement_count, 0),
+        flows,
+        breakdowns,
+        topCorridors: corridors.slice(0, 10).map(feature => ({
+            from: feature.properties.country_from,
+            to: feature.properties.country_to,
+            movement_count: feature.properties.movement_count
+        })),
+        topOrigins: topCountries('outflow', 'outflow'),
+        topDestinations: topCountries('inflow', 'inflow'),
+        missingColumns: report.missingColumns,
+        rejected: report.rejected,
+        warnings: report.warnings
+    };
+}
+
+// Writes a FeatureCollection with one feature per line, so published files diff cleanly
+function writeFeatureCollection(file, features) {
+    const lines = features.map(feature => JSON.stringify(feature));
+    fs.writeFileSync(file, `{"type":"FeatureCollection","features":[\n${lines.join(',\n')}\n]}\n`);
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArguments(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${usage}`);
+        return 1;
+    }
+    if (options.help) {
+        console.log(usage);
+        return 0;
+    }
+
+    let rows;
+    try {
+        rows = parseCsv(fs.readFileSync(options.input, 'utf8'));
+    } catch (error) {
+        console.error(error.message);
+        return 1;
+    }
+    const { validRows, report } = validateMovementRows(mapColumns(rows, movementDataDefaults.columnAliases), 2, {
+        resolveCountry: loadCountryResolver(options.gazetteer),
+        periodColumns: movementDataDefaults.periodColumns,
+        breakdownDimensions: movementDataDefaults.breakdownDimensions
+    });
+    report.rejected.forEach(issue => console.warn(`Line ${issue.line}: ${issue.reasons.join('; ')}`));
+    report.warnings.forEach(issue => console.warn(`Line ${issue.line}: ${issue.message}`));
+    if (report.missingColumns.length) console.error(`Missing columns: ${report.missingColumns.join(', ')}`);
+    if (!validRows.length) {
+        console.error('No movement rows passed validation');
+        return 1;
+    }
+
+    const allPeriods = convertToGeoJson(validRows, {
+        periodColumns: movementDataDefaults.periodColumns,
+        periodGranularity: options.granularity,
+        breakdownDimensions: movementDataDefaults.breakdownDimensions
+    });
+    const periods = getPeriods(allPeriods);
+    if (options.period && !periods.includes(options.period)) {
+        console.error(`Period ${options.period} not found; the data has ${periods.length ? periods.join(', ') : 'no periods'}`);
+        return 1;
+    }
+    applyPeriodToFeatures(allPeriods, options.period);
+    // Corridors with no movement in the chosen period are left out, as on the map
+    const geoJson = filterMovementData(allPeriods, { flowType: '', minCount: null, maxCount: null });
+
+    const corridors = buildCorridorFeatures(geoJson, options.segments);
+    const countries = buildCountryFeatures(geoJson, indexCountryCoordinates(allPeriods));
+    const summary = buildSummary({ source: options.input, period: options.period, periods, report, geoJson, corridors, countries });
+
+    fs.mkdirSync(options.out, { recursive: true });
+    writeFeatureCollection(path.join(options.out, 'corridors.geojson'), corridors);
+    writeFeatureCollection(path.join(options.out, 'countries.geojson'), countries);
+    fs.writeFileSync(path.join(options.out, 'summary.json'), `${JSON.stringify(summary, null, 2)}\n`);
+
+    console.log(`${report.acceptedRows} of ${report.totalRows} rows accepted: ${corridors.length} corridors, ` +
+        `${countries.length} countries, written to ${options.out}`);
+    return options.strict && report.rejected.length ? 2 : 0;
+}
+
+process.exitCode = main();